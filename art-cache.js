@@ -0,0 +1,387 @@
+// Album art cache
+//
+// Covers are downloaded once per album and kept together with their palette,
+// so the next track from the same album, switching back and forth between
+// albums and the idle slideshow neither download nor analyze them again.
+// Configured under `artCache` in .spotify-config.json:
+//   {
+//     "directory": "~/.cache/spotify-wallpaper/art",
+//     "maxBytes": 104857600      // least recently used covers are removed beyond this
+//   }
+// Entries are keyed by album ID ("album:<id>"), or by image URL ("url:<url>")
+// for sources without album IDs. The directory holds the images and
+// index.json:
+//   { version, entries: { <key>: { file, url, bytes, sha256, album, artists,
+//                                  palette, createdAt, lastUsedAt, hits } } }
+// Downloads go to a .partial file and only become entries once their length
+// matches Content-Length and they look like an image; every hit is checked
+// against the stored SHA-256, so a damaged file is downloaded again.
+//
+// The daemon, `once` and the `cache` command may use the directory at the
+// same time: the index is re-read and merged before every write, and only
+// files no entry has owned for a while are swept, never a download in progress.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { writeFileAtomic, expandHome } = require('./fs-utils');
+
+const DEFAULT_ART_CACHE = {
+  directory: null,
+  maxBytes: 100 * 1024 * 1024
+};
+
+const INDEX_VERSION = 1;
+const INDEX_FILE = 'index.json';
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+// The current and the previous cover are never evicted, whatever the budget
+const KEEP_RECENT = 2;
+// Files without an entry are only removed once they are this old; younger
+// ones may be a download or index write of another process
+const ORPHAN_AGE_MS = 60 * 60 * 1000;
+
+function defaultCacheDir() {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'spotify-wallpaper', 'art');
+}
+
+function cacheDirectory(options = {}) {
+  return path.resolve(expandHome(options.directory) || defaultCacheDir());
+}
+
+// Cache key of a track's cover, or null for tracks without remote art
+function cacheKey(track) {
+  if (!track.artUrl) {
+    return null;
+  }
+  return track.albumId ? `album:${track.albumId}` : `url:${track.artUrl}`;
+}
+
+// File extension from the first bytes, null if it is no image we know
+function imageType(head) {
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return 'jpg';
+  }
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'webp';
+  }
+  if (head.subarray(0, 4).toString('latin1') === 'GIF8') {
+    return 'gif';
+  }
+  return null;
+}
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// Download to `file`, following redirects; resolves { bytes, sha256, type }
+// and leaves nothing behind when the download is cut short
+function download(url, file, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    const request = protocol.get(url, { timeout: DOWNLOAD_TIMEOUT_MS }, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Too many redirects downloading album art'));
+          return;
+        }
+        download(new URL(response.headers.location, url).toString(), file, redirects + 1).then(resolve, reject);
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Failed to download image: ${response.statusCode}`));
+        return;
+      }
+
+      const expected = Number(response.headers['content-length']) || null;
+      const hash = crypto.createHash('sha256');
+      const head = [];
+      let bytes = 0;
+      const out = fs.createWriteStream(file);
+      const fail = (error) => {
+        out.destroy();
+        fs.unlink(file, () => reject(error));
+      };
+      response.on('data', (chunk) => {
+        hash.update(chunk);
+        if (bytes < 16) {
+          head.push(chunk);
+        }
+        bytes += chunk.length;
+      });
+      response.on('aborted', () => fail(new Error('Album art download was interrupted')));
+      response.on('error', fail);
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (expected !== null && bytes !== expected) {
+          fail(new Error(`Album art download incomplete (${bytes} of ${expected} bytes)`));
+          return;
+        }
+        const type = imageType(Buffer.concat(head));
+        if (!type) {
+          fail(new Error('Downloaded album art is not a JPEG, PNG, WebP or GIF image'));
+          return;
+        }
+        resolve({ bytes: bytes, sha256: hash.digest('hex'), type: type });
+      });
+      response.pipe(out);
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error(`Album art download timed out after ${DOWNLOAD_TIMEOUT_MS / 1000}s`));
+    });
+    request.on('error', reject);
+  });
+}
+
+// deps.analyze(imagePath) - computes the palette stored with a new cover
+function createArtCache(options = {}, deps) {
+  const settings = { ...DEFAULT_ART_CACHE, ...options };
+  const directory = cacheDirectory(settings);
+  const indexFile = path.join(directory, INDEX_FILE);
+  const { analyze } = deps;
+
+  let entries = {};
+  const inFlight = new Map(); // key -> promise of a running download
+
+  // Entries of index.json whose file is still there with the recorded size
+  function readIndex() {
+    let stored = {};
+    try {
+      const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      stored = index.version === INDEX_VERSION && index.entries ? index.entries : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[${new Date().toLocaleTimeString()}] Art cache index unreadable, starting empty:`, error.message);
+      }
+    }
+    return Object.fromEntries(Object.entries(stored).filter(([, entry]) => intact(entry)));
+  }
+
+  function intact(entry) {
+    try {
+      return fs.statSync(path.join(directory, entry.file)).size === entry.bytes;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Take in what other processes added or used since; an entry whose file is
+  // gone was removed by one of them (or by us). Our own copy wins ties, it may
+  // carry a hit from the same millisecond.
+  function merge() {
+    const merged = readIndex();
+    for (const [key, entry] of Object.entries(entries)) {
+      if (intact(entry) && (!merged[key] || merged[key].lastUsedAt <= entry.lastUsedAt)) {
+        merged[key] = entry;
+      }
+    }
+    entries = merged;
+  }
+
+  // Nothing is written here, so read-only commands leave the index alone
+  function load() {
+    fs.mkdirSync(directory, { recursive: true });
+    entries = readIndex();
+    const owned = new Set(Object.values(entries).map(entry => entry.file));
+    const now = Date.now();
+    for (const file of fs.readdirSync(directory)) {
+      if (file === INDEX_FILE || owned.has(file)) {
+        continue;
+      }
+      try {
+        const orphan = path.join(directory, file);
+        if (now - fs.statSync(orphan).mtimeMs > ORPHAN_AGE_MS) {
+          fs.rmSync(orphan, { force: true });
+        }
+      } catch (error) {
+        // Renamed or removed by another process meanwhile
+      }
+    }
+  }
+
+  function save() {
+    merge();
+    writeFileAtomic(indexFile, JSON.stringify({ version: INDEX_VERSION, entries: entries }, null, 2) + '\n');
+  }
+
+  function removeEntry(key) {
+    const entry = entries[key];
+    if (!entry) {
+      return false;
+    }
+    delete entries[key];
+    fs.rmSync(path.join(directory, entry.file), { force: true });
+    return true;
+  }
+
+  function byRecentUse() {
+    return Object.entries(entries)
+      .map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  function totalBytes() {
+    return Object.values(entries).reduce((sum, entry) => sum + entry.bytes, 0);
+  }
+
+  // Remove least recently used covers until the cache fits its budget
+  function evict() {
+    const ordered = byRecentUse();
+    let total = totalBytes();
+    const evicted = [];
+    while (total > settings.maxBytes && ordered.length > KEEP_RECENT) {
+      const oldest = ordered.pop();
+      removeEntry(oldest.key);
+      total -= oldest.bytes;
+      evicted.push(oldest.key);
+    }
+    if (evicted.length > 0) {
+      console.log(`[${new Date().toLocaleTimeString()}] Art cache: evicted ${evicted.length} cover(s) to stay under ${formatBytes(settings.maxBytes)}`);
+    }
+  }
+
+  // Entry with a file that still matches its checksum, or null
+  function verified(key) {
+    const entry = entries[key];
+    if (!entry) {
+      return null;
+    }
+    try {
+      if (sha256File(path.join(directory, entry.file)) === entry.sha256) {
+        return entry;
+      }
+      console.warn(`[${new Date().toLocaleTimeString()}] Art cache: ${key} is damaged, downloading it again`);
+    } catch (error) {
+      // Deleted behind our back
+    }
+    removeEntry(key);
+    return null;
+  }
+
+  async function add(key, track) {
+    const name = crypto.createHash('sha1').update(key).digest('hex').slice(0, 20);
+    // Per process, another one may be downloading the same cover
+    const partial = path.join(directory, `${name}.${process.pid}.partial`);
+    const { bytes, sha256, type } = await download(track.artUrl, partial);
+    const file = `${name}.${type}`;
+    fs.renameSync(partial, path.join(directory, file));
+    const palette = await analyze(path.join(directory, file));
+    const now = Date.now();
+    merge();
+    entries[key] = {
+      file: file,
+      url: track.artUrl,
+      bytes: bytes,
+      sha256: sha256,
+      album: track.album || null,
+      artists: track.artists || [],
+      palette: palette,
+      createdAt: now,
+      lastUsedAt: now,
+      hits: 0
+    };
+    evict();
+    save();
+    return entries[key];
+  }
+
+  // { imagePath, palette, cached } for a track with remote art (track.artUrl)
+  async function resolve(track) {
+    const key = cacheKey(track);
+    if (!key) {
+      throw new Error('Track has no remote album art');
+    }
+    merge();
+    const hit = verified(key);
+    if (hit) {
+      hit.lastUsedAt = Date.now();
+      hit.hits++;
+      save();
+      return { imagePath: path.join(directory, hit.file), palette: hit.palette, cached: true };
+    }
+    // The slideshow and the live display may ask for the same cover at once
+    if (!inFlight.has(key)) {
+      inFlight.set(key, add(key, track).finally(() => inFlight.delete(key)));
+    }
+    const entry = await inFlight.get(key);
+    return { imagePath: path.join(directory, entry.file), palette: entry.palette, cached: false };
+  }
+
+  function list() {
+    merge();
+    return byRecentUse().map(entry => ({ ...entry, path: path.join(directory, entry.file) }));
+  }
+
+  function stats() {
+    merge();
+    return {
+      directory: directory,
+      entries: Object.keys(entries).length,
+      bytes: totalBytes(),
+      maxBytes: settings.maxBytes
+    };
+  }
+
+  // Checks every file against its checksum; returns the keys that were removed
+  function verify() {
+    merge();
+    const removed = Object.keys(entries).filter(key => !verified(key));
+    save();
+    return removed;
+  }
+
+  function remove(key) {
+    merge();
+    const removed = removeEntry(key);
+    save();
+    return removed;
+  }
+
+  function clear() {
+    merge();
+    const count = Object.keys(entries).length;
+    for (const key of Object.keys(entries)) {
+      removeEntry(key);
+    }
+    save();
+    return count;
+  }
+
+  load();
+
+  return {
+    settings,
+    directory,
+    resolve,
+    list,
+    stats,
+    verify,
+    remove,
+    clear
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+  createArtCache,
+  cacheDirectory,
+  cacheKey,
+  formatBytes,
+  DEFAULT_ART_CACHE
+};
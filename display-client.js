@@ -0,0 +1,500 @@
+// Renderer side of the display, loaded into every layout (see theme-loader.js)
+//
+// Turns each state from electron-main.js into the display data contract and
+// applies it to the page: data-field elements, CSS variables on :root and an
+// 'album-data' event for layouts with their own script.
+//
+// Display data:
+//   {
+//     id, imageUrl,
+//     track, artist, album,
+//     colors,          // CSS colors, e.g. 'rgb(12, 34, 56)'
+//     rawColors,       // the same as [r, g, b] arrays
+//     palette,         // derived colors (see palette.js): { text, textSecondary, accent, isLight, ... } or null
+//     audioFeatures,   // as reported by the track source, or null
+//     tempoDuration,   // seconds per gradient cycle, faster for faster tracks
+//     playback,        // { trackId, isPlaying, progressMs, durationMs, device } or null
+//     lyrics,          // { lines: [{ timeMs, text }], source } or null
+//     idle             // { dim, clock } during the idle slideshow, otherwise null
+//   }
+//
+// Playback is live: the position advances locally between polls and is
+// resynced by every 'playback' message, which also reveals seeks and pauses.
+// Live fields (data-field "elapsed", "remaining", "duration", "device"),
+// [data-progress] elements (--progress, 0-1) and <body data-playback="playing|paused">
+// follow it; a 'playback' event on document reports each change with
+// `seeked`/`pausedChanged` flags.
+//
+// Lyrics follow the same position: the .lyrics element gets a .lyrics-line
+// per line, the current one with the class "current", scrolled to the middle.
+// <body data-lyrics> is only set for tracks with lyrics.
+//
+// The --palette-* variables hold text, accent and card colors that are
+// readable on the current cover and <body data-cover="light|dark"> tells how
+// light it is. Both are cleared while idle, so the dimmed slides get the
+// theme's own colors.
+//
+// While idle, <body data-display-mode="idle"> (otherwise "live"), the colors
+// are dimmed and, when enabled, <body data-clock> and data-field "clock" show
+// the time.
+//
+// With playback controls enabled (see playback-controls.js) the keys from
+// the page config trigger controls and any input shows the .controls-overlay
+// for a few seconds (<body data-controls-visible>); control results set
+// <body data-liked> and the overlay's volume and message.
+//
+// In Electron the states arrive over IPC; in a plain browser (the web
+// display, see web-display.js) over Server-Sent Events from ./events.
+
+(function () {
+  // Electron windows have Node integration, browsers have neither require nor ipcRenderer
+  const ipcRenderer = typeof require === 'function' ? require('electron').ipcRenderer : null;
+
+  // A position this far from where the local clock expected it is a seek
+  const SEEK_THRESHOLD_MS = 2000;
+  const LIVE_FIELDS = ['elapsed', 'remaining', 'duration', 'device', 'clock'];
+  const wallpaperMode = document.body.classList.contains('mode-wallpaper');
+  // Filled in by theme-loader.js
+  const configElement = document.getElementById('display-config');
+  const pageConfig = configElement ? JSON.parse(configElement.textContent) : {};
+
+  // Latest playback state and performance.now() when it arrived
+  let playback = null;
+  let playbackReceivedAt = 0;
+  let displayedTrackId = null;
+  let frameRequest = null;
+  let clockTimer = null;
+  let overlayTimer = null;
+  let lyrics = null;
+  let lyricsIndex = -1;
+
+  // The web display sends image URLs relative to the page; CSS would resolve
+  // them relative to the stylesheet using --art-url, so make them absolute
+  function imageUrlOf(data) {
+    if (data.imageUrl) {
+      return new URL(data.imageUrl, document.baseURI).href;
+    }
+    return data.imagePath ? toImageUrl(data.imagePath) : '';
+  }
+
+  function toImageUrl(imagePath) {
+    if (/^(file|https?):\/\//.test(imagePath)) {
+      return imagePath;
+    }
+    const normalized = imagePath.replace(/\\/g, '/');
+    return encodeURI('file://' + (normalized.startsWith('/') ? '' : '/') + normalized);
+  }
+
+  function toCssColor(color) {
+    return `rgb(${Math.round(color[0])}, ${Math.round(color[1])}, ${Math.round(color[2])})`;
+  }
+
+  function toDisplayData(data) {
+    const trackInfo = data.trackInfo || {};
+    const idle = data.idle || null;
+    // The idle slideshow uses a dimmed palette
+    const rawColors = (data.colors || []).map(color => (idle ? color.map(channel => channel * idle.dim) : color));
+    const tempo = data.audioFeatures && data.audioFeatures.tempo;
+    return {
+      id: data.id,
+      imageUrl: imageUrlOf(data),
+      track: trackInfo.track || '',
+      artist: trackInfo.artist || '',
+      album: trackInfo.album || '',
+      colors: rawColors.map(toCssColor),
+      rawColors: rawColors,
+      // Derived for the undimmed colors; the idle slideshow keeps the theme's light text
+      palette: idle ? null : (data.palette || null),
+      audioFeatures: data.audioFeatures || null,
+      // Map tempo to animation speed: 60 BPM = 8s, 120 BPM = 4s, 180 BPM = 2.5s (2-8 seconds)
+      tempoDuration: tempo ? Math.max(2, Math.min(8, 480 / tempo)) : 4,
+      playback: data.playback || null,
+      lyrics: data.lyrics || null,
+      idle: idle
+    };
+  }
+
+  function renderClock() {
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    for (const element of document.querySelectorAll('[data-field="clock"]')) {
+      if (element.textContent !== time) {
+        element.textContent = time;
+      }
+    }
+  }
+
+  function updateIdle(idle) {
+    document.body.dataset.displayMode = idle ? 'idle' : 'live';
+    const clock = !!(idle && idle.clock) && !wallpaperMode;
+    document.body.toggleAttribute('data-clock', clock);
+    if (clock && clockTimer === null) {
+      renderClock();
+      clockTimer = setInterval(renderClock, 1000);
+    } else if (!clock && clockTimer !== null) {
+      clearInterval(clockTimer);
+      clockTimer = null;
+    }
+  }
+
+  // m:ss, or h:mm:ss for long tracks
+  function formatTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
+  // Position now, extrapolated from the last sync while playing
+  function currentPosition() {
+    if (!playback || typeof playback.progressMs !== 'number') {
+      return null;
+    }
+    let position = playback.progressMs;
+    if (playback.isPlaying) {
+      position += performance.now() - playbackReceivedAt;
+    }
+    return typeof playback.durationMs === 'number' ? Math.min(position, playback.durationMs) : position;
+  }
+
+  function liveValues() {
+    const position = currentPosition();
+    const duration = playback && typeof playback.durationMs === 'number' ? playback.durationMs : null;
+    return {
+      elapsed: position !== null ? formatTime(position) : '',
+      remaining: position !== null && duration !== null ? `-${formatTime(duration - position)}` : '',
+      duration: duration !== null ? formatTime(duration) : '',
+      device: (playback && playback.device) || '',
+      progress: position !== null && duration ? position / duration : 0
+    };
+  }
+
+  function setLyrics(next) {
+    lyrics = next && next.lines.length > 0 ? next : null;
+    lyricsIndex = -1;
+    document.body.toggleAttribute('data-lyrics', !!lyrics && !wallpaperMode);
+    const container = document.querySelector('.lyrics-lines');
+    container.textContent = '';
+    container.style.transform = '';
+    if (!lyrics) {
+      return;
+    }
+    for (const line of lyrics.lines) {
+      const element = document.createElement('div');
+      element.className = 'lyrics-line';
+      element.textContent = line.text;
+      container.appendChild(element);
+    }
+  }
+
+  // Index of the last line that started at `position`, -1 before the first
+  function lyricsLineAt(position) {
+    let low = 0;
+    let high = lyrics.lines.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (lyrics.lines[middle].timeMs <= position) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+
+  function renderLyrics(position) {
+    if (!lyrics || position === null) {
+      return;
+    }
+    const index = lyricsLineAt(position);
+    if (index === lyricsIndex) {
+      return;
+    }
+    const container = document.querySelector('.lyrics-lines');
+    const elements = container.children;
+    if (lyricsIndex >= 0 && elements[lyricsIndex]) {
+      elements[lyricsIndex].classList.remove('current');
+    }
+    lyricsIndex = index;
+    // Before the first line, show it coming up in the middle
+    const line = elements[Math.max(0, index)];
+    if (index >= 0) {
+      line.classList.add('current');
+    }
+    container.style.transform = `translateY(${-(line.offsetTop + line.offsetHeight / 2)}px)`;
+  }
+
+  function renderPlayback() {
+    const values = liveValues();
+    renderLyrics(currentPosition());
+    for (const element of document.querySelectorAll('[data-progress]')) {
+      element.style.setProperty('--progress', values.progress.toFixed(4));
+    }
+    for (const field of LIVE_FIELDS) {
+      for (const element of document.querySelectorAll(`[data-field="${field}"]`)) {
+        // Only touch the DOM when the text changes (about once a second)
+        if (element.textContent !== values[field]) {
+          element.textContent = values[field];
+        }
+      }
+    }
+  }
+
+  function animatePlayback() {
+    renderPlayback();
+    frameRequest = playback && playback.isPlaying ? requestAnimationFrame(animatePlayback) : null;
+  }
+
+  function syncPlayback(next) {
+    if (wallpaperMode) {
+      return;
+    }
+    const previous = playback;
+    const expected = currentPosition();
+    playback = next;
+    playbackReceivedAt = performance.now();
+
+    const sameTrack = previous && next && previous.trackId === next.trackId;
+    const seeked = !!(sameTrack && expected !== null && typeof next.progressMs === 'number' &&
+      Math.abs(next.progressMs - expected) > SEEK_THRESHOLD_MS);
+    const pausedChanged = !!(sameTrack && previous.isPlaying !== next.isPlaying);
+
+    document.body.dataset.playback = next ? (next.isPlaying ? 'playing' : 'paused') : 'stopped';
+    document.dispatchEvent(new CustomEvent('playback', {
+      detail: { ...next, seeked: seeked, pausedChanged: pausedChanged }
+    }));
+
+    if (frameRequest !== null) {
+      cancelAnimationFrame(frameRequest);
+    }
+    animatePlayback();
+  }
+
+  // "audioFeatures.tempo" -> displayData.audioFeatures.tempo
+  function fieldValue(displayData, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), displayData);
+  }
+
+  // Text, accent and card colors readable on this cover; the default theme
+  // uses them through --palette-*, <body data-cover="light|dark"> is for others
+  function applyPalette(palette) {
+    const root = document.documentElement.style;
+    const names = ['--palette-text', '--palette-text-secondary', '--palette-accent', '--palette-text-shadow', '--palette-card', '--palette-track'];
+    if (!palette) {
+      names.forEach(name => root.removeProperty(name));
+      delete document.body.dataset.cover;
+      return;
+    }
+    const [r, g, b] = palette.text;
+    const lightText = palette.text.reduce((sum, channel) => sum + channel, 0) > 382;
+    root.setProperty('--palette-text', toCssColor(palette.text));
+    root.setProperty('--palette-text-secondary', toCssColor(palette.textSecondary));
+    root.setProperty('--palette-accent', toCssColor(palette.accent));
+    root.setProperty('--palette-text-shadow', lightText ? '0 2px 10px rgba(0, 0, 0, 0.8)' : '0 1px 6px rgba(255, 255, 255, 0.45)');
+    root.setProperty('--palette-card', lightText ? 'rgba(0, 0, 0, 0.45)' : 'rgba(255, 255, 255, 0.55)');
+    root.setProperty('--palette-track', `rgba(${r}, ${g}, ${b}, 0.25)`);
+    document.body.dataset.cover = palette.isLight ? 'light' : 'dark';
+  }
+
+  function apply(displayData) {
+    const root = document.documentElement.style;
+    displayData.colors.forEach((color, index) => {
+      root.setProperty(`--color${index + 1}`, color);
+    });
+    root.setProperty('--art-url', displayData.imageUrl ? `url("${displayData.imageUrl}")` : 'none');
+    applyPalette(displayData.palette);
+    root.setProperty('--tempo-duration', `${displayData.tempoDuration}s`);
+    const features = displayData.audioFeatures || {};
+    for (const feature of ['energy', 'valence', 'danceability']) {
+      root.setProperty(`--${feature}`, typeof features[feature] === 'number' ? String(features[feature]) : '0.5');
+    }
+
+    for (const element of document.querySelectorAll('[data-field]')) {
+      const field = element.dataset.field;
+      if (LIVE_FIELDS.includes(field)) {
+        continue;
+      }
+      if (field === 'art') {
+        // Unique filenames per track avoid caching issues
+        if (element.tagName === 'IMG') {
+          element.src = displayData.imageUrl;
+        } else {
+          element.style.backgroundImage = displayData.imageUrl ? `url("${displayData.imageUrl}")` : 'none';
+        }
+        continue;
+      }
+      const value = fieldValue(displayData, field);
+      element.textContent = value == null ? '' : String(value);
+    }
+
+    document.dispatchEvent(new CustomEvent('album-data', { detail: displayData }));
+  }
+
+  // Every image on the page: <img> art and CSS backgrounds, like the blurred
+  // cover of blurred-cover or themes that use --art-url
+  function imageUrlsInUse() {
+    const urls = new Set();
+    for (const image of document.querySelectorAll('img[data-field="art"]')) {
+      if (image.src) {
+        urls.add(image.src);
+      }
+    }
+    for (const element of document.querySelectorAll('body, body *')) {
+      for (const pseudo of [null, '::before', '::after']) {
+        const background = getComputedStyle(element, pseudo).backgroundImage;
+        for (const match of background.matchAll(/url\("?([^")]*)"?\)/g)) {
+          urls.add(match[1]);
+        }
+      }
+    }
+    return [...urls];
+  }
+
+  // Resolves once the art images are decoded and the next frame is painted;
+  // wallpapers are captured right after the ack, so backgrounds count too
+  function painted() {
+    const decoded = imageUrlsInUse().map((url) => {
+      const image = new Image();
+      image.src = url;
+      return image.decode().catch(() => {});
+    });
+    return Promise.all(decoded)
+      .then(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+  }
+
+  // Position updates between track changes; one for another track means a
+  // state with the new track is on its way
+  function onPlayback(next) {
+    if (next && next.trackId === displayedTrackId) {
+      syncPlayback(next);
+    }
+  }
+
+  function onState(data) {
+    const displayData = toDisplayData(data);
+    const trackId = displayData.playback ? displayData.playback.trackId : null;
+    if (trackId !== displayedTrackId) {
+      // The like state of the new track follows in a 'controls' message
+      document.body.removeAttribute('data-liked');
+    }
+    displayedTrackId = trackId;
+    apply(displayData);
+    setLyrics(displayData.lyrics);
+    updateIdle(displayData.idle);
+    syncPlayback(displayData.playback);
+    return painted();
+  }
+
+  function sendControl(action, value) {
+    if (ipcRenderer) {
+      ipcRenderer.send('control', { action: action, value: value });
+      return;
+    }
+    fetch('control', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: action, value: value })
+    }).catch(() => {});
+  }
+
+  function showOverlay() {
+    const controls = pageConfig.controls;
+    if (!controls || !controls.overlay) {
+      return;
+    }
+    document.body.setAttribute('data-controls-visible', '');
+    clearTimeout(overlayTimer);
+    overlayTimer = setTimeout(() => {
+      document.body.removeAttribute('data-controls-visible');
+      document.querySelector('.controls-overlay .controls-message').textContent = '';
+    }, controls.overlayHideMs);
+  }
+
+  function onControls(status) {
+    if (status.liked !== null && (!status.trackId || status.trackId === displayedTrackId)) {
+      document.body.toggleAttribute('data-liked', status.liked);
+    }
+    if (status.volume !== null) {
+      document.querySelector('.controls-overlay .controls-volume').textContent = `${status.volume}%`;
+    }
+    // Only user actions are worth popping up the overlay for
+    if (status.action) {
+      document.querySelector('.controls-overlay .controls-message').textContent = status.error || '';
+      if (status.error) {
+        showOverlay();
+      }
+    }
+  }
+
+  function setupControls() {
+    const controls = pageConfig.controls;
+    if (!controls || wallpaperMode) {
+      return;
+    }
+    document.addEventListener('keydown', (event) => {
+      const action = controls.keys[event.key];
+      if (!action || event.ctrlKey || event.altKey || event.metaKey) {
+        return;
+      }
+      event.preventDefault();
+      // Holding a volume key repeats, holding anything else should not skip ten tracks
+      if (!event.repeat || action.startsWith('volume-')) {
+        sendControl(action);
+      }
+      showOverlay();
+    });
+
+    if (!controls.overlay) {
+      return;
+    }
+    const overlay = document.querySelector('.controls-overlay');
+    overlay.hidden = false;
+    for (const button of overlay.querySelectorAll('[data-action]')) {
+      button.addEventListener('click', () => {
+        sendControl(button.dataset.action);
+      });
+    }
+    document.addEventListener('pointermove', showOverlay);
+    document.addEventListener('pointerdown', showOverlay);
+  }
+
+  setupControls();
+
+  if (ipcRenderer) {
+    ipcRenderer.on('playback', (event, next) => {
+      onPlayback(next);
+    });
+
+    ipcRenderer.on('controls', (event, status) => {
+      onControls(status);
+    });
+
+    // Liveness check from the poller's supervisor
+    ipcRenderer.on('ping', (event, id) => {
+      ipcRenderer.send('pong', id);
+    });
+
+    ipcRenderer.on('album-data', (event, data) => {
+      // Let the poller know this state made it to the screen; waiting for the
+      // paint makes a wallpaper capture include the new art
+      onState(data).then(() => {
+        ipcRenderer.send('album-data-ack', data.id);
+      });
+    });
+  } else {
+    // EventSource reconnects by itself and the server starts every stream
+    // with the current state
+    const events = new EventSource('events');
+    events.addEventListener('state', (event) => {
+      onState(JSON.parse(event.data));
+    });
+    events.addEventListener('playback', (event) => {
+      onPlayback(JSON.parse(event.data));
+    });
+    events.addEventListener('controls', (event) => {
+      onControls(JSON.parse(event.data));
+    });
+  }
+})();
@@ -0,0 +1,388 @@
+// Poller side of the display channel, and supervisor of the display process
+//
+// Spawns electron-main.js with an IPC channel, performs the hello/welcome
+// handshake, sends state messages and waits for the display to acknowledge
+// them (resending a few times when no ack arrives). The current state is kept
+// so it can be replayed whenever the display (re)connects or its renderer
+// reloads. See display-protocol.js for the message format.
+//
+// Supervision:
+// - when the display exits unexpectedly it is restarted with exponential backoff
+// - a ping is sent to the renderer periodically; after too many unanswered
+//   pings the display is considered hung, killed and restarted
+// - a crashed renderer (render-process-gone) also triggers a restart
+// - restart counts and the last failure are available for the health check
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { PROTOCOL_VERSION, validateMessage, playbackAt } = require('./display-protocol');
+
+const ACK_TIMEOUT_MS = 5000;
+const MAX_SEND_ATTEMPTS = 3;
+
+const DEFAULT_SUPERVISOR = {
+  restartBaseMs: 1000,          // First restart delay, doubles per consecutive failure
+  restartMaxMs: 60000,          // Longest restart delay
+  stableAfterMs: 60000,         // Uptime after which the backoff starts over
+  pingIntervalMs: 15000,        // How often the renderer is pinged
+  maxMissedPings: 2,            // Unanswered pings before the display counts as hung
+  killTimeoutMs: 5000           // Grace period between SIGTERM and SIGKILL
+};
+
+// options.displayConfig - settings forwarded to the display in the welcome message
+// options.supervisor    - overrides for DEFAULT_SUPERVISOR
+// options.onWallpaper   - called with the files of each 'wallpaper' message
+// options.controls      - shortcut and overlay settings for the display (playback-controls.js pageSettings)
+// options.onControl(action, value) - called for each 'control' message
+function createDisplayProcess(options = {}) {
+  const mainPath = options.mainPath || path.join(__dirname, 'electron-main.js');
+  const displayConfig = options.displayConfig || {};
+  const settings = { ...DEFAULT_SUPERVISOR, ...options.supervisor };
+
+  let child = null;
+  let ready = false;
+  let currentState = null;
+  let currentPlayback = null; // { data, at } - latest playback state and when it was reported
+  let nextId = 1;
+  let pendingState = null;    // { id, timer } for the unacknowledged state
+  let currentControls = null; // latest control status, replayed with the state
+
+  let stopping = false;
+  let startedAt = 0;
+  let restartAttempt = 0;
+  let restartTimer = null;
+  let killTimer = null;
+  let pingTimer = null;
+  let outstandingPing = null;
+  let missedPings = 0;
+  let failureReason = null;   // Set before we kill the display ourselves
+
+  const health = {
+    starts: 0,
+    restarts: 0,
+    lastFailure: null,
+    lastFailureAt: null,
+    lastPongAt: null
+  };
+
+  function clearPending() {
+    if (pendingState) {
+      clearTimeout(pendingState.timer);
+      pendingState = null;
+    }
+  }
+
+  function send(message) {
+    if (!child || !child.connected) {
+      return false;
+    }
+    try {
+      child.send(message);
+      return true;
+    } catch (error) {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not send ${message.type} to display:`, error.message);
+      return false;
+    }
+  }
+
+  // Send the current state and expect an ack; newer states replace older pending ones
+  function sendState(attempt = 1) {
+    if (!ready || !currentState) {
+      return;
+    }
+    clearPending();
+    const id = nextId++;
+    const data = { ...currentState, playback: currentPlaybackNow() };
+    if (!send({ type: 'state', id: id, data: data })) {
+      return;
+    }
+    console.log(`[${new Date().toLocaleTimeString()}] Sent state #${id} to display (track=${currentState.trackInfo?.track || 'unknown'})`);
+    pendingState = {
+      id: id,
+      timer: setTimeout(() => {
+        pendingState = null;
+        if (attempt < MAX_SEND_ATTEMPTS) {
+          console.warn(`[${new Date().toLocaleTimeString()}] No ack for state #${id}, resending (attempt ${attempt + 1}/${MAX_SEND_ATTEMPTS})`);
+          sendState(attempt + 1);
+        } else {
+          console.error(`[${new Date().toLocaleTimeString()}] Display did not acknowledge state #${id} after ${MAX_SEND_ATTEMPTS} attempts`);
+        }
+      }, ACK_TIMEOUT_MS)
+    };
+  }
+
+  function currentPlaybackNow() {
+    return currentPlayback ? playbackAt(currentPlayback.data, Date.now() - currentPlayback.at) : null;
+  }
+
+  function stopPinging() {
+    if (pingTimer) {
+      clearInterval(pingTimer);
+      pingTimer = null;
+    }
+    outstandingPing = null;
+    missedPings = 0;
+  }
+
+  function startPinging() {
+    stopPinging();
+    pingTimer = setInterval(() => {
+      if (outstandingPing !== null) {
+        missedPings++;
+        console.warn(`[${new Date().toLocaleTimeString()}] Display missed ping #${outstandingPing} (${missedPings}/${settings.maxMissedPings})`);
+        if (missedPings >= settings.maxMissedPings) {
+          restart('renderer not responding to pings');
+          return;
+        }
+      }
+      outstandingPing = nextId++;
+      send({ type: 'ping', id: outstandingPing });
+    }, settings.pingIntervalMs);
+  }
+
+  function handleMessage(message) {
+    const problem = validateMessage(message);
+    if (problem) {
+      console.error(`[${new Date().toLocaleTimeString()}] Ignoring message from display: ${problem}`);
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello': {
+        if (message.protocol !== PROTOCOL_VERSION) {
+          console.error(`[${new Date().toLocaleTimeString()}] Display speaks protocol ${message.protocol}, expected ${PROTOCOL_VERSION}`);
+        }
+        console.log(`[${new Date().toLocaleTimeString()}] Display connected (PID: ${message.pid})`);
+        const config = options.controls ? { ...displayConfig, controls: options.controls } : displayConfig;
+        send({ type: 'welcome', id: nextId++, protocol: PROTOCOL_VERSION, config: config });
+        ready = true;
+        startPinging();
+        // Replay whatever is current, the display starts out empty
+        sendState();
+        if (currentControls) {
+          send({ type: 'controls', data: currentControls });
+        }
+        break;
+      }
+      case 'ack':
+        if (pendingState && pendingState.id === message.id) {
+          clearPending();
+        }
+        break;
+      case 'request-state':
+        console.log(`[${new Date().toLocaleTimeString()}] Display asked for a state replay`);
+        sendState();
+        break;
+      case 'pong':
+        if (message.id === outstandingPing) {
+          outstandingPing = null;
+          missedPings = 0;
+          health.lastPongAt = Date.now();
+        }
+        break;
+      case 'renderer-gone':
+        restart(`renderer process gone (${message.reason})`);
+        break;
+      case 'control':
+        if (options.onControl) {
+          options.onControl(message.action, message.value);
+        }
+        break;
+      case 'wallpaper':
+        console.log(`[${new Date().toLocaleTimeString()}] Display rendered wallpaper for state #${message.id}`);
+        if (options.onWallpaper) {
+          options.onWallpaper(message.files);
+        }
+        break;
+    }
+  }
+
+  function scheduleRestart() {
+    if (stopping || restartTimer) {
+      return;
+    }
+    // A display that ran for a while counts as healthy again
+    if (Date.now() - startedAt >= settings.stableAfterMs) {
+      restartAttempt = 0;
+    }
+    const delay = Math.min(settings.restartMaxMs, settings.restartBaseMs * Math.pow(2, restartAttempt));
+    restartAttempt++;
+    console.log(`[${new Date().toLocaleTimeString()}] Restarting display in ${(delay / 1000).toFixed(1)}s`);
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      health.restarts++;
+      spawnDisplay();
+    }, delay);
+  }
+
+  // Kill the display; the exit handler records the reason and restarts it
+  function restart(reason) {
+    const proc = child;
+    if (!proc) {
+      return;
+    }
+    console.error(`[${new Date().toLocaleTimeString()}] Restarting display: ${reason}`);
+    failureReason = reason;
+    stopPinging();
+    proc.kill('SIGTERM');
+    // A hung Electron may ignore SIGTERM
+    killTimer = setTimeout(() => {
+      killTimer = null;
+      if (proc.exitCode === null && proc.signalCode === null) {
+        proc.kill('SIGKILL');
+      }
+    }, settings.killTimeoutMs);
+  }
+
+  function spawnDisplay() {
+    const electronPath = require('electron');
+
+    // Log environment variables being passed
+    const electronEnv = {
+      ...process.env,  // Inherit all environment variables
+      DISPLAY: process.env.DISPLAY || ':0',  // Ensure DISPLAY is set
+      XAUTHORITY: process.env.XAUTHORITY  // Pass XAUTHORITY if set
+    };
+    console.log(`[${new Date().toLocaleTimeString()}] Launching Electron with DISPLAY=${electronEnv.DISPLAY}, XAUTHORITY=${electronEnv.XAUTHORITY || 'not set'}`);
+
+    // Wallpaper mode only renders offscreen, which works without a GPU (e.g. under Xvfb)
+    const args = displayConfig.mode === 'wallpaper' ? [mainPath, '--software-rendering'] : [mainPath];
+
+    const proc = spawn(electronPath, args, {
+      detached: false,
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'], // Log stdout/stderr, talk over the IPC channel
+      env: electronEnv
+    });
+    child = proc;
+    ready = false;
+    startedAt = Date.now();
+    failureReason = null;
+    health.starts++;
+
+    // Log Electron output
+    proc.stdout.on('data', (data) => {
+      console.log(`[Electron] ${data.toString().trim()}`);
+    });
+
+    proc.stderr.on('data', (data) => {
+      console.error(`[Electron Error] ${data.toString().trim()}`);
+    });
+
+    proc.on('message', handleMessage);
+
+    let cleanedUp = false;
+    const cleanup = (reason) => {
+      if (cleanedUp) {
+        return;
+      }
+      cleanedUp = true;
+      // Clean up event listeners to prevent memory leaks
+      proc.stdout.removeAllListeners();
+      proc.stderr.removeAllListeners();
+      proc.removeAllListeners();
+      if (killTimer) {
+        clearTimeout(killTimer);
+        killTimer = null;
+      }
+      if (child === proc) {
+        child = null;
+        ready = false;
+        clearPending();
+        stopPinging();
+        if (!stopping) {
+          health.lastFailure = failureReason || reason;
+          health.lastFailureAt = Date.now();
+          scheduleRestart();
+        }
+      }
+    };
+
+    proc.on('exit', (code, signal) => {
+      console.log(`[${new Date().toLocaleTimeString()}] Electron process exited with code ${code}${signal ? ` (signal ${signal})` : ''}`);
+      cleanup(signal ? `exited on ${signal}` : `exited with code ${code}`);
+    });
+
+    proc.on('error', (error) => {
+      console.error(`[${new Date().toLocaleTimeString()}] Electron process error:`, error.message);
+      cleanup(`failed to run: ${error.message}`);
+    });
+
+    console.log(`[${new Date().toLocaleTimeString()}] Launched Electron process (PID: ${proc.pid})`);
+  }
+
+  // Show a new state; starts the display when it is not running
+  function update(state) {
+    currentState = state;
+    currentPlayback = state.playback ? { data: state.playback, at: Date.now() } : null;
+    if (!child) {
+      // A pending restart will replay the state after the handshake
+      if (!restartTimer) {
+        spawnDisplay();
+      }
+      return;
+    }
+    sendState();
+  }
+
+  // Resync the playback position of the current track (sent on every poll)
+  function updatePlayback(playback) {
+    currentPlayback = { data: playback, at: Date.now() };
+    if (ready) {
+      send({ type: 'playback', data: playback });
+    }
+  }
+
+  // Result of a playback control, or the like state of a new track
+  function updateControls(status) {
+    currentControls = status;
+    if (ready) {
+      send({ type: 'controls', data: status });
+    }
+  }
+
+  function stop() {
+    stopping = true;
+    clearPending();
+    stopPinging();
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    if (child && !child.killed) {
+      child.kill();
+    }
+  }
+
+  // One line for the periodic health check
+  function describeHealth() {
+    const status = child
+      ? (ready ? `running (PID ${child.pid})` : 'starting')
+      : (restartTimer ? 'waiting to restart' : 'not running');
+    let line = `Display: ${status}, ${health.restarts} restart(s)`;
+    if (health.lastFailure) {
+      line += `, last failure: ${health.lastFailure} at ${new Date(health.lastFailureAt).toLocaleTimeString()}`;
+    }
+    if (health.lastPongAt) {
+      line += `, last ping answered ${Math.round((Date.now() - health.lastPongAt) / 1000)}s ago`;
+    }
+    return line;
+  }
+
+  return {
+    update,
+    updatePlayback,
+    updateControls,
+    stop,
+    describeHealth,
+    getHealth: () => ({ ...health, running: !!child, connected: ready }),
+    isRunning: () => !!child,
+    isConnected: () => ready,
+    getState: () => currentState,
+    getPlayback: currentPlaybackNow
+  };
+}
+
+module.exports = {
+  createDisplayProcess,
+  DEFAULT_SUPERVISOR
+};
@@ -0,0 +1,89 @@
+// Messages exchanged between the poller and the Electron display process
+//
+// The display is spawned with an 'ipc' stdio channel (process.send / 'message').
+//
+// Display -> poller
+//   { type: 'hello', protocol, pid }        display started, wants config + state
+//   { type: 'ack', id }                     state message `id` reached the renderer
+//   { type: 'request-state' }               renderer reloaded, replay current state
+//   { type: 'pong', id }                    answer to ping, sent by the renderer
+//   { type: 'renderer-gone', reason }       the renderer process crashed or was killed
+//   { type: 'wallpaper', id, files }        wallpaper mode: PNGs rendered for state `id`,
+//                                           one { file, displayId, label, output, primary, width, height } per screen
+//   { type: 'control', action, value }      playback control from a shortcut or the overlay
+//                                           (see playback-controls.js), value only for "volume"
+//
+// Poller -> display
+//   { type: 'welcome', id, protocol, config }  answer to hello; config is the display config,
+//                                              with `controls` (shortcuts, overlay) when enabled
+//   { type: 'state', id, data }                full display state, acked by the display
+//   { type: 'ping', id }                       liveness check, answered with pong
+//   { type: 'playback', data }                 playback position between track changes, not acked
+//   { type: 'controls', data }                 result of a control / like state of a new track:
+//                                              { action, trackId, liked, volume, isPlaying, error }
+//
+// `data` of a state message:
+//   { imagePath, colors, palette, trackInfo, audioFeatures, playback, lyrics, idle }
+// palette is { swatches, isLight, luminance, text, textSecondary, accent, contrast } (palette.js)
+// lyrics is { lines: [{ timeMs, text }], source } or null (lyrics.js)
+// idle is { dim, clock } for slides of the idle slideshow (idle-mode.js), otherwise absent
+// `data` of a playback message (and `playback` above):
+//   { trackId, isPlaying, progressMs, durationMs, device }
+// progressMs is the position at the time the message is sent.
+
+const PROTOCOL_VERSION = 1;
+
+const MESSAGE_FIELDS = {
+  'hello': ['protocol'],
+  'ack': ['id'],
+  'request-state': [],
+  'pong': ['id'],
+  'renderer-gone': ['reason'],
+  'wallpaper': ['id', 'files'],
+  'control': ['action'],
+  'welcome': ['id', 'protocol'],
+  'state': ['id', 'data'],
+  'ping': ['id'],
+  'playback': ['data'],
+  'controls': ['data']
+};
+
+// Returns an error string for malformed messages, or null when the message is fine
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    return 'message is not an object with a type';
+  }
+  const fields = MESSAGE_FIELDS[message.type];
+  if (!fields) {
+    return `unknown message type "${message.type}"`;
+  }
+  for (const field of fields) {
+    if (message[field] === undefined) {
+      return `"${message.type}" message is missing "${field}"`;
+    }
+  }
+  return null;
+}
+
+// A playback state `elapsedMs` after it was reported, for passing it on or
+// replaying it later; the position only moves while playing
+function playbackAt(playback, elapsedMs) {
+  if (!playback) {
+    return null;
+  }
+  if (!playback.isPlaying || typeof playback.progressMs !== 'number') {
+    return { ...playback };
+  }
+  let progressMs = playback.progressMs + Math.max(0, elapsedMs);
+  if (typeof playback.durationMs === 'number') {
+    progressMs = Math.min(progressMs, playback.durationMs);
+  }
+  return { ...playback, progressMs: progressMs };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MESSAGE_FIELDS,
+  validateMessage,
+  playbackAt
+};
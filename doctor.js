@@ -0,0 +1,232 @@
+// Setup checks for the `doctor` command
+//
+// Looks for the problems that most often keep the display from coming up:
+// a missing or broken config, a redirect URI Spotify will reject, port 8888
+// taken by something else, no X/Wayland display or X authority (typical under
+// systemd), directories the app cannot write to and a missing or broken
+// Electron binary. Every check returns
+//   { name, status: 'ok' | 'warn' | 'fail' | 'skip', detail, hint }
+// with a hint on how to fix anything that is not ok.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { execFile } = require('child_process');
+const { authFlowFor } = require('./spotify-auth');
+const { createSecretStore } = require('./secure-store');
+const { requiredScopes, missingScopes, isTokenExpiring, TOKEN_FILE } = require('./tokens');
+const { sourceNeedsSpotifyApi } = require('./track-sources');
+const { cacheDirectory } = require('./art-cache');
+
+// The callback server of spotify-auth.js always listens here
+const CALLBACK_PORT = 8888;
+const REDIRECT_URI = `https://127.0.0.1:${CALLBACK_PORT}/callback`;
+const ELECTRON_TIMEOUT_MS = 15000;
+
+const ok = (name, detail) => ({ name, status: 'ok', detail });
+const warn = (name, detail, hint) => ({ name, status: 'warn', detail, hint });
+const fail = (name, detail, hint) => ({ name, status: 'fail', detail, hint });
+const skip = (name, detail) => ({ name, status: 'skip', detail });
+
+function readConfig(configFile) {
+  if (!fs.existsSync(configFile)) {
+    return { result: fail('Config', `${configFile} not found`, 'Copy .spotify-config.json.example to .spotify-config.json and fill in your clientId') };
+  }
+  try {
+    return { config: JSON.parse(fs.readFileSync(configFile, 'utf8')), result: ok('Config', configFile) };
+  } catch (error) {
+    return { result: fail('Config', `${configFile} is not valid JSON: ${error.message}`, 'Fix the syntax, e.g. a trailing comma or a missing quote') };
+  }
+}
+
+// Opens the secret store (without running the migration loadConfig does) and
+// reads the tokens and client secret from it
+function readSecrets(config) {
+  const store = createSecretStore(config.storage);
+  if (!store) {
+    const tokens = fs.existsSync(TOKEN_FILE) ? JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8')) : null;
+    return { where: TOKEN_FILE, tokens: tokens, clientSecret: config.clientSecret };
+  }
+  const stored = store.read('tokens');
+  return {
+    where: store.describe(),
+    keyNextToSecrets: typeof store.keyNextToSecrets === 'function' && store.keyNextToSecrets(),
+    tokens: stored ? JSON.parse(stored) : null,
+    clientSecret: config.clientSecret || store.read('clientSecret')
+  };
+}
+
+function checkSpotify(config) {
+  if (!sourceNeedsSpotifyApi(config)) {
+    return [skip('Spotify credentials', `not needed for the ${config.source} track source`)];
+  }
+  const results = [];
+  if (!config.clientId) {
+    results.push(fail('Spotify credentials', 'clientId is missing', 'Copy the Client ID of your app from the Spotify Developer Dashboard'));
+  }
+
+  if (config.redirectUri && config.redirectUri !== REDIRECT_URI) {
+    results.push(fail('Redirect URI', `"${config.redirectUri}"`, `The callback server only answers on ${REDIRECT_URI}; use exactly that in the config and the Spotify dashboard (or remove redirectUri)`));
+  } else {
+    results.push(ok('Redirect URI', `${REDIRECT_URI} (must also be listed in the Spotify dashboard)`));
+  }
+
+  let secrets = null;
+  try {
+    secrets = readSecrets(config);
+    if (secrets.keyNextToSecrets) {
+      results.push(warn('Secret storage', `${secrets.where}, with the key file in the same directory (allowKeyNextToSecrets); anyone who can read it can decrypt the tokens`,
+        'Set $SPOTIFY_WALLPAPER_PASSPHRASE, keep storage.keyFile somewhere else, or use the "secret-service" backend'));
+    } else {
+      results.push(ok('Secret storage', secrets.where));
+    }
+  } catch (error) {
+    results.push(fail('Secret storage', error.message, 'Check the passphrase or key file, or run the auth command again to replace the tokens'));
+    return results;
+  }
+
+  if (config.clientId) {
+    try {
+      const flow = authFlowFor({ ...config, clientSecret: secrets.clientSecret });
+      if (flow === 'authorization-code' && !secrets.clientSecret) {
+        results.push(fail('Spotify credentials', 'authFlow "authorization-code" needs clientSecret', 'Add clientSecret to the config, or use "authFlow": "pkce"'));
+      } else {
+        results.push(ok('Spotify credentials', `clientId set, ${flow} flow`));
+      }
+    } catch (error) {
+      results.push(fail('Spotify credentials', error.message));
+    }
+  }
+
+  const { tokens } = secrets;
+  if (!tokens) {
+    results.push(fail('Tokens', `none saved in ${secrets.where}`, 'Run: node spotify-album-art.js auth (add --headless without a browser)'));
+  } else {
+    const missing = missingScopes(tokens, requiredScopes(config));
+    const expiry = isTokenExpiring(tokens)
+      ? 'access token expired, refreshed on the next start'
+      : `access token valid until ${new Date(tokens.expires_at).toLocaleString()}`;
+    if (missing.length > 0) {
+      results.push(warn('Tokens', `missing scopes ${missing.join(', ')}`, 'Enabled features need them; the app asks for them on the next start, or run the auth command'));
+    } else {
+      results.push(ok('Tokens', expiry));
+    }
+  }
+  return results;
+}
+
+// Port 8888 is only needed while authorizing, but then nothing else may hold it
+function checkPort(needed) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', (error) => {
+      const detail = error.code === 'EADDRINUSE' ? `127.0.0.1:${CALLBACK_PORT} is in use` : `cannot listen on 127.0.0.1:${CALLBACK_PORT}: ${error.message}`;
+      const hint = `Authorization needs it for the callback; see what holds it with: ss -ltnp 'sport = :${CALLBACK_PORT}'`;
+      resolve(needed ? fail('Callback port', detail, hint) : warn('Callback port', detail, hint));
+    });
+    server.listen(CALLBACK_PORT, '127.0.0.1', () => {
+      server.close(() => resolve(ok('Callback port', `127.0.0.1:${CALLBACK_PORT} is free`)));
+    });
+  });
+}
+
+function checkDisplayServer(config) {
+  const displayConfig = config.display || {};
+  if (displayConfig.mode === 'web') {
+    return [skip('Display', 'web display mode, browsers show the page')];
+  }
+  if (process.platform !== 'linux') {
+    return [ok('Display', process.platform)];
+  }
+  if (process.env.WAYLAND_DISPLAY) {
+    return [ok('Display', `Wayland (${process.env.WAYLAND_DISPLAY})`)];
+  }
+  const display = process.env.DISPLAY;
+  if (!display) {
+    return [fail('Display', 'neither DISPLAY nor WAYLAND_DISPLAY is set',
+      'Set DISPLAY=:0 (Environment=DISPLAY=:0 in the systemd unit), or run under xvfb-run in wallpaper mode')];
+  }
+  const results = [];
+  const local = display.match(/^:(\d+)/);
+  if (local && !fs.existsSync(`/tmp/.X11-unix/X${local[1]}`)) {
+    results.push(warn('Display', `DISPLAY=${display}, but there is no X server socket /tmp/.X11-unix/X${local[1]}`, 'Check which display the desktop runs on: ls /tmp/.X11-unix'));
+  } else {
+    results.push(ok('Display', `X11 (DISPLAY=${display})`));
+  }
+
+  const xauthority = process.env.XAUTHORITY || path.join(os.homedir(), '.Xauthority');
+  try {
+    fs.accessSync(xauthority, fs.constants.R_OK);
+    results.push(ok('X authority', xauthority));
+  } catch (error) {
+    const detail = `${xauthority} ${error.code === 'ENOENT' ? 'does not exist' : 'is not readable'}`;
+    const hint = 'Point XAUTHORITY at the cookie of the desktop session (Environment=XAUTHORITY=... in the systemd unit); X servers without access control, like Xvfb, do not need one';
+    results.push(process.env.XAUTHORITY ? fail('X authority', detail, hint) : warn('X authority', detail, hint));
+  }
+  return results;
+}
+
+// A directory is usable when it, or the closest existing parent it would be
+// created in, is a writable directory
+function checkWritable(name, directory) {
+  let existing = directory;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    existing = path.dirname(existing);
+  }
+  try {
+    if (!fs.statSync(existing).isDirectory()) {
+      return fail(name, `${existing} is not a directory`);
+    }
+    fs.accessSync(existing, fs.constants.W_OK | fs.constants.X_OK);
+    return ok(name, existing === directory ? directory : `${directory} (will be created)`);
+  } catch (error) {
+    return fail(name, `${existing} is not writable`, `Fix the owner or permissions: ls -ld ${existing}`);
+  }
+}
+
+// The binary npm downloaded for electron, and whether it actually starts
+// (missing shared libraries show up here)
+function checkElectron(config) {
+  if ((config.display || {}).mode === 'web') {
+    return Promise.resolve(skip('Electron', 'web display mode'));
+  }
+  let binary;
+  try {
+    binary = require('electron');
+    fs.accessSync(binary, fs.constants.X_OK);
+  } catch (error) {
+    return Promise.resolve(fail('Electron', error.message.split('\n')[0], 'Reinstall it: rm -rf node_modules/electron && npm install'));
+  }
+  return new Promise((resolve) => {
+    execFile(binary, ['--version'], { timeout: ELECTRON_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        const output = (stderr || error.message).toString().trim().split('\n')[0];
+        resolve(fail('Electron', `${binary} does not start: ${output}`, 'Install the missing system libraries it names (e.g. libnss3, libgbm1, libasound2)'));
+        return;
+      }
+      resolve(ok('Electron', `${stdout.trim()} at ${binary}`));
+    });
+  });
+}
+
+// Runs every check; options.configFile and options.tempDir are the app's paths
+async function runDoctor({ configFile, tempDir }) {
+  const { config, result } = readConfig(configFile);
+  const results = [result];
+  const settings = config || {};
+  if (config) {
+    results.push(...checkSpotify(config));
+  }
+  const needsAuthorization = results.some(entry => entry.name === 'Tokens' && entry.status === 'fail');
+  results.push(await checkPort(needsAuthorization));
+  results.push(...checkDisplayServer(settings));
+  results.push(checkWritable('Temp directory', tempDir));
+  results.push(checkWritable('Art cache', cacheDirectory(settings.artCache)));
+  results.push(await checkElectron(settings));
+  return results;
+}
+
+module.exports = {
+  runDoctor
+};
@@ -1,46 +1,254 @@
-const { app, BrowserWindow } = require('electron');
-const path = require('path');
+const { app, BrowserWindow, ipcMain, globalShortcut } = require('electron');
 const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_VERSION, validateMessage, playbackAt } = require('./display-protocol');
+const { resolveScreens } = require('./screen-layout');
+const { buildDisplayPage } = require('./theme-loader');
+
+// Display pages and wallpaper PNGs are written here
+const TEMP_DIR = path.join(__dirname, 'temp');
+
+// Offscreen rendering for wallpapers needs no GPU; lets it run under Xvfb
+if (process.argv.includes('--software-rendering')) {
+  app.disableHardwareAcceleration();
+}
 
-let mainWindow;
-let updateFileWatcher = null;
-let updateDirWatcher = null;
-const UPDATE_FILE = path.join(__dirname, 'temp', 'update.json');
+// One window per selected screen: displayId -> { window, contentsId, target, loaded, wallpaper }
+const windows = new Map();
+let displayConfig = {};
+// Last state received from the poller, replayed when a renderer (re)loads
+let currentState = null;
+// Latest playback position and when it arrived: { data, at }
+let currentPlayback = null;
+// Latest playback control status (like state, volume), see playback-controls.js
+let currentControls = null;
+let syncTimer = null;
+
+// Acks and pongs go to the poller once every window that got the message answered:
+// `${type}:${id}` -> Set of webContents ids still to answer
+const pendingReplies = new Map();
 
 function log(message) {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] ${message}`);
 }
 
-function updateWindow(imagePath, colors, trackInfo, audioFeatures = null) {
-  log(`updateWindow called: imagePath=${imagePath}, track=${trackInfo?.track || 'unknown'}`);
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    // Update existing window
-    log('Sending update to existing window');
-    mainWindow.webContents.send('album-data', {
-      imagePath: imagePath,
-      colors: colors,
-      trackInfo: trackInfo,
-      audioFeatures: audioFeatures
-    });
-  } else {
-    // Create new window
-    log('Creating new window');
-    createWindow(imagePath, colors, trackInfo, audioFeatures);
+// Send a message to the poller over the IPC channel
+function sendToPoller(message) {
+  if (process.send && process.connected) {
+    process.send(message);
   }
 }
 
-function createWindow(imagePath, colors, trackInfo, audioFeatures = null) {
-  // Get screen dimensions for fullscreen
-  const { screen } = require('electron');
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workAreaSize;
-  
-  mainWindow = new BrowserWindow({
+function expectReplies(type, id, contentsIds) {
+  // Only the newest state/ping matters to the poller
+  for (const key of [...pendingReplies.keys()]) {
+    if (key.startsWith(`${type}:`)) {
+      pendingReplies.delete(key);
+    }
+  }
+  if (contentsIds.length === 0) {
+    sendToPoller({ type: type, id: id });
+    return;
+  }
+  pendingReplies.set(`${type}:${id}`, new Set(contentsIds));
+}
+
+function handleReply(type, id, contentsId) {
+  const key = `${type}:${id}`;
+  const waiting = pendingReplies.get(key);
+  if (!waiting) {
+    return;
+  }
+  waiting.delete(contentsId);
+  if (waiting.size === 0) {
+    pendingReplies.delete(key);
+    sendToPoller({ type: type, id: id });
+  }
+}
+
+// A closed window will never answer; don't let it hold back the others
+function dropReplies(contentsId) {
+  for (const key of [...pendingReplies.keys()]) {
+    const [type, id] = key.split(':');
+    handleReply(type, Number(id), contentsId);
+  }
+}
+
+// display.mode "wallpaper": render offscreen and capture PNGs instead of showing windows
+function isWallpaperMode() {
+  return displayConfig.mode === 'wallpaper';
+}
+
+// Size of the wallpaper in physical pixels
+function wallpaperSize(target) {
+  return {
+    width: Math.round(target.bounds.width * target.scaleFactor),
+    height: Math.round(target.bounds.height * target.scaleFactor)
+  };
+}
+
+// Keep the newest two wallpapers per screen, a setter may still read the previous one
+function removeOldWallpapers(displayId) {
+  const prefix = `wallpaper-${displayId}-`;
+  try {
+    const files = fs.readdirSync(TEMP_DIR)
+      .filter(file => file.startsWith(prefix) && file.endsWith('.png'))
+      .map(file => path.join(TEMP_DIR, file))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    for (const file of files.slice(2)) {
+      fs.unlinkSync(file);
+    }
+  } catch (error) {
+    log(`Error cleaning up old wallpapers: ${error.message}`);
+  }
+}
+
+// Tell the poller about the wallpapers once every screen has one for the current state
+function reportWallpapers() {
+  const entries = [...windows.values()];
+  if (!currentState || entries.length === 0 || !entries.every(entry => entry.wallpaper && entry.wallpaper.stateId === currentState.id)) {
+    return;
+  }
+  sendToPoller({
+    type: 'wallpaper',
+    id: currentState.id,
+    files: entries.map(entry => ({
+      file: entry.wallpaper.file,
+      displayId: entry.target.displayId,
+      label: entry.target.label,
+      output: entry.target.output,
+      primary: entry.target.primary,
+      width: entry.wallpaper.width,
+      height: entry.wallpaper.height
+    }))
+  });
+}
+
+// Capture the drawn state of an offscreen window as a PNG at the screen's resolution
+async function captureWallpaper(entry, stateId) {
+  const { target } = entry;
+  const { width, height } = wallpaperSize(target);
+  try {
+    let image = await entry.window.webContents.capturePage();
+    const size = image.getSize();
+    if (size.width !== width || size.height !== height) {
+      image = image.resize({ width: width, height: height, quality: 'best' });
+    }
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    // Unique per render, some setters ignore a changed file with an unchanged name
+    const file = path.join(TEMP_DIR, `wallpaper-${target.displayId}-${Date.now()}.png`);
+    fs.writeFileSync(file, image.toPNG());
+    log(`Rendered ${width}x${height} wallpaper for ${target.label}: ${file}`);
+    entry.wallpaper = { stateId: stateId, file: file, width: width, height: height };
+    removeOldWallpapers(target.displayId);
+    reportWallpapers();
+  } catch (error) {
+    log(`Could not capture wallpaper for ${target.label}: ${error.message}`);
+  }
+}
+
+function currentPlaybackNow() {
+  return currentPlayback ? playbackAt(currentPlayback.data, Date.now() - currentPlayback.at) : null;
+}
+
+function sendState(entry) {
+  entry.window.webContents.send('album-data', {
+    id: currentState.id,
+    ...currentState.data,
+    playback: currentPlaybackNow()
+  });
+  if (currentControls && !isWallpaperMode()) {
+    entry.window.webContents.send('controls', currentControls);
+  }
+}
+
+// Playback controls that work without focus; re-registered with every welcome
+function registerGlobalShortcuts() {
+  globalShortcut.unregisterAll();
+  const controls = displayConfig.controls;
+  if (!controls || isWallpaperMode()) {
+    return;
+  }
+  for (const [accelerator, action] of Object.entries(controls.globalShortcuts || {})) {
+    try {
+      const registered = globalShortcut.register(accelerator, () => {
+        sendToPoller({ type: 'control', action: action });
+      });
+      if (!registered) {
+        log(`Global shortcut ${accelerator} is taken by another application`);
+      }
+    } catch (error) {
+      log(`Invalid global shortcut ${accelerator}: ${error.message}`);
+    }
+  }
+}
+
+function updateWindows(state) {
+  const { imagePath, trackInfo } = state.data;
+  log(`updateWindows called: imagePath=${imagePath}, track=${trackInfo?.track || 'unknown'}`);
+  // Recreates windows that were closed in the meantime
+  syncWindows();
+
+  const entries = [...windows.values()];
+  expectReplies('ack', state.id, entries.map(entry => entry.contentsId));
+  for (const entry of entries) {
+    if (entry.loaded) {
+      sendState(entry);
+    } else {
+      // did-finish-load sends the latest state once the page is ready
+      log(`Renderer on ${entry.target.label} still loading, update will be sent when it is ready`);
+    }
+  }
+}
+
+// (Re)load the renderer with the window's layout, theme and scale; the page
+// is built from the templates each time so edited themes show up on reload
+function loadRenderer(entry) {
+  const { target } = entry;
+  // Wallpapers are rendered at physical resolution, scale up to match what a window would show
+  const scale = isWallpaperMode() ? target.scale * target.scaleFactor : target.scale;
+  const html = buildDisplayPage({
+    layout: target.layout,
+    theme: target.theme,
+    themesDir: displayConfig.themesDir,
+    scale: scale,
+    mode: isWallpaperMode() ? 'wallpaper' : 'window',
+    controls: isWallpaperMode() ? null : displayConfig.controls
+  }, log);
+  const pagePath = path.join(TEMP_DIR, `display-${target.displayId}.html`);
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  fs.writeFileSync(pagePath, html);
+  log(`Loading HTML on ${target.label} (layout=${target.layout}, theme=${target.theme}, scale=${scale})`);
+  entry.loaded = false;
+  entry.window.loadFile(pagePath);
+}
+
+// Cover the target screen; fullscreen has to be left first or the window
+// manager keeps the old size
+function placeWindow(entry) {
+  if (isWallpaperMode()) {
+    // Render again at the new resolution
+    const { width, height } = wallpaperSize(entry.target);
+    entry.window.setContentSize(width, height);
+    loadRenderer(entry);
+    return;
+  }
+  const { x, y, width, height } = entry.target.bounds;
+  entry.window.setFullScreen(false);
+  entry.window.setBounds({ x: x, y: y, width: width, height: height });
+  entry.window.setFullScreen(true);
+}
+
+// Borderless fullscreen window covering the target screen
+function createScreenWindow(target) {
+  const { x, y, width, height } = target.bounds;
+  log(`Creating window on ${target.label} (${width}x${height} at ${x},${y})`);
+  return new BrowserWindow({
     width: width,
     height: height,
-    x: 0,
-    y: 0,
+    x: x,
+    y: y,
     frame: false,
     transparent: true,
     alwaysOnTop: false,
@@ -52,116 +260,252 @@ function createWindow(imagePath, colors, trackInfo, audioFeatures = null) {
       contextIsolation: false
     }
   });
-  
+}
+
+// Hidden window rendering into an offscreen buffer, sized to the screen's pixels
+function createWallpaperWindow(target) {
+  const { width, height } = wallpaperSize(target);
+  log(`Creating offscreen ${width}x${height} wallpaper renderer for ${target.label}`);
+  return new BrowserWindow({
+    width: width,
+    height: height,
+    useContentSize: true,
+    show: false,
+    frame: false,
+    enableLargerThanScreen: true,
+    backgroundColor: '#000000',
+    webPreferences: {
+      offscreen: true,
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+}
+
+function createWindow(target) {
+  const wallpaper = isWallpaperMode();
+  const window = wallpaper ? createWallpaperWindow(target) : createScreenWindow(target);
+  const entry = { window: window, contentsId: window.webContents.id, target: target, loaded: false, wallpaper: null };
+  windows.set(target.displayId, entry);
+
   // Ensure fullscreen on Linux
-  if (process.platform === 'linux') {
-    mainWindow.setFullScreen(true);
+  if (!wallpaper && process.platform === 'linux') {
+    window.setFullScreen(true);
   }
 
-  // Load the HTML file
-  const htmlPath = path.join(__dirname, 'electron-renderer.html');
-  log(`Loading HTML from: ${htmlPath}`);
-  mainWindow.loadFile(htmlPath);
+  loadRenderer(entry);
 
-  // Pass data to renderer (pass the absolute path as-is, renderer will handle conversion)
-  mainWindow.webContents.on('did-finish-load', () => {
-    log('Window finished loading, sending initial data');
-    updateWindow(imagePath, colors, trackInfo, audioFeatures);
+  // Replay the current state whenever the page (re)loads, e.g. after a renderer reload
+  window.webContents.on('did-finish-load', () => {
+    entry.loaded = true;
+    if (currentState) {
+      log(`Window on ${entry.target.label} finished loading, sending current state`);
+      sendState(entry);
+    } else {
+      log('Window finished loading, asking poller for state');
+      sendToPoller({ type: 'request-state' });
+    }
+  });
+
+  window.webContents.on('did-start-loading', () => {
+    entry.loaded = false;
   });
-  
-  mainWindow.webContents.on('dom-ready', () => {
-    log('DOM ready');
+
+  window.webContents.on('dom-ready', () => {
+    log(`DOM ready on ${entry.target.label}`);
   });
-  
+
+  // Let the poller's supervisor restart us when a renderer dies
+  window.webContents.on('render-process-gone', (event, details) => {
+    log(`Renderer process on ${entry.target.label} gone: ${details.reason} (exit code ${details.exitCode})`);
+    sendToPoller({ type: 'renderer-gone', reason: details.reason });
+  });
+
+  window.on('unresponsive', () => {
+    log(`Window on ${entry.target.label} became unresponsive`);
+  });
+
   // Show window (in case it's hidden)
-  mainWindow.show();
-  log('Window shown');
+  if (!wallpaper) {
+    window.show();
+  }
 
-  mainWindow.on('closed', () => {
-    mainWindow = null;
+  window.on('closed', () => {
+    if (windows.get(target.displayId) === entry) {
+      windows.delete(target.displayId);
+    }
+    dropReplies(entry.contentsId);
   });
 }
 
-app.whenReady().then(() => {
-  log('Electron app ready');
-  log(`DISPLAY=${process.env.DISPLAY || 'not set'}`);
-  log(`Platform: ${process.platform}`);
-  
-  // Get data from command line arguments
-  const args = process.argv.slice(2);
-  log(`Received ${args.length} command line arguments`);
-  if (args.length >= 3) {
-    const imagePath = args[0];
-    const colors = JSON.parse(args[1]);
-    const trackInfo = JSON.parse(args[2]);
-    const audioFeatures = args.length >= 4 ? JSON.parse(args[3]) : null;
-    log(`Creating window with track: ${trackInfo.track}`);
-    createWindow(imagePath, colors, trackInfo, audioFeatures);
-    
-    // Watch for updates
-    log(`Watching for updates at: ${UPDATE_FILE}`);
-    if (fs.existsSync(UPDATE_FILE)) {
-      log('Update file exists, starting file watch');
-    } else {
-      log('Update file does not exist yet, will watch for it');
+// Match the open windows to the screens selected in config: close windows of
+// screens that went away, open windows on new screens and follow changed
+// resolutions/positions
+function syncWindows() {
+  const { screen } = require('electron');
+  const targets = resolveScreens(screen.getAllDisplays(), screen.getPrimaryDisplay().id, displayConfig, log);
+
+  for (const [displayId, entry] of windows) {
+    if (!targets.some(target => target.displayId === displayId)) {
+      log(`Closing window on ${entry.target.label}, the screen is gone or no longer selected`);
+      entry.window.destroy();
     }
-    
-    // Watch the temp directory and the update file
-    const watchUpdateFile = () => {
-      if (fs.existsSync(UPDATE_FILE)) {
-        try {
-          const updateData = JSON.parse(fs.readFileSync(UPDATE_FILE, 'utf8'));
-          log(`Update file changed, updating window with track: ${updateData.trackInfo?.track || 'unknown'}`);
-          updateWindow(updateData.imagePath, updateData.colors, updateData.trackInfo, updateData.audioFeatures);
-        } catch (e) {
-          log(`Error reading update file: ${e.message}`);
-        }
-      }
-    };
-    
-    // Initial read
-    watchUpdateFile();
-    
-    // Watch for file changes
-    updateFileWatcher = fs.watchFile(UPDATE_FILE, { interval: 1000 }, (curr, prev) => {
-      if (curr.mtime > prev.mtime) {
-        watchUpdateFile();
+  }
+
+  for (const target of targets) {
+    const entry = windows.get(target.displayId);
+    if (!entry) {
+      createWindow(target);
+      continue;
+    }
+    const previous = entry.target;
+    entry.target = target;
+    const { x, y, width, height } = target.bounds;
+    if (x !== previous.bounds.x || y !== previous.bounds.y || width !== previous.bounds.width || height !== previous.bounds.height ||
+        target.scaleFactor !== previous.scaleFactor) {
+      log(`Screen ${target.label} changed to ${width}x${height} at ${x},${y}, moving window`);
+      placeWindow(entry);
+    }
+    if (target.layout !== previous.layout || target.theme !== previous.theme || target.scale !== previous.scale) {
+      loadRenderer(entry);
+    }
+  }
+}
+
+// Docking/undocking fires a burst of screen events; rearrange once it settles
+function scheduleSync(reason) {
+  log(`Screen configuration changed (${reason})`);
+  if (!currentState) {
+    // No windows yet, the first state creates them
+    return;
+  }
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncWindows();
+  }, 500);
+}
+
+// Messages from the poller
+function handlePollerMessage(message) {
+  const problem = validateMessage(message);
+  if (problem) {
+    log(`Ignoring message from poller: ${problem}`);
+    return;
+  }
+
+  switch (message.type) {
+    case 'welcome':
+      if (message.protocol !== PROTOCOL_VERSION) {
+        log(`Poller speaks protocol ${message.protocol}, expected ${PROTOCOL_VERSION}`);
       }
-    });
-    
-    // Also watch the directory in case the file doesn't exist yet
-    const tempDir = path.dirname(UPDATE_FILE);
-    updateDirWatcher = fs.watch(tempDir, (eventType, filename) => {
-      if (filename === 'update.json') {
-        log(`Update file ${eventType} detected`);
-        setTimeout(watchUpdateFile, 100); // Small delay to ensure file is written
+      displayConfig = message.config || {};
+      log('Handshake complete');
+      registerGlobalShortcuts();
+      break;
+    case 'state':
+      currentState = message;
+      currentPlayback = message.data.playback ? { data: message.data.playback, at: Date.now() } : null;
+      updateWindows(message);
+      break;
+    case 'playback':
+      currentPlayback = { data: message.data, at: Date.now() };
+      // A wallpaper is a still picture, a live position has no place there
+      if (!isWallpaperMode()) {
+        for (const entry of windows.values()) {
+          if (entry.loaded) {
+            entry.window.webContents.send('playback', message.data);
+          }
+        }
       }
-    });
-    
-    // Clean up watchers on app quit
-    app.on('before-quit', () => {
-      if (updateFileWatcher) {
-        fs.unwatchFile(UPDATE_FILE);
-        updateFileWatcher = null;
+      break;
+    case 'controls':
+      currentControls = message.data;
+      if (!isWallpaperMode()) {
+        for (const entry of windows.values()) {
+          if (entry.loaded) {
+            entry.window.webContents.send('controls', message.data);
+          }
+        }
       }
-      if (updateDirWatcher) {
-        updateDirWatcher.close();
-        updateDirWatcher = null;
+      break;
+    case 'ping': {
+      // Route liveness pings through the renderers so a hung page goes unanswered
+      const loaded = [...windows.values()].filter(entry => entry.loaded);
+      expectReplies('pong', message.id, loaded.map(entry => entry.contentsId));
+      for (const entry of loaded) {
+        entry.window.webContents.send('ping', message.id);
       }
-    });
-  } else {
-    console.error('Missing arguments');
+      break;
+    }
+    default:
+      log(`Unexpected message type from poller: ${message.type}`);
+  }
+}
+
+// The renderers confirm each state they have drawn; pass the ack on to the poller
+ipcMain.on('album-data-ack', async (event, id) => {
+  const contentsId = event.sender.id;
+  const entry = [...windows.values()].find(candidate => candidate.contentsId === contentsId);
+  // In wallpaper mode the state only counts as shown once it is captured
+  if (entry && isWallpaperMode()) {
+    await captureWallpaper(entry, id);
+  }
+  handleReply('ack', id, contentsId);
+});
+
+ipcMain.on('pong', (event, id) => {
+  handleReply('pong', id, event.sender.id);
+});
+
+// Shortcuts and overlay buttons in the renderers
+ipcMain.on('control', (event, request) => {
+  if (request && typeof request.action === 'string') {
+    sendToPoller({ type: 'control', action: request.action, value: request.value });
+  }
+});
+
+app.whenReady().then(() => {
+  log('Electron app ready');
+  log(`DISPLAY=${process.env.DISPLAY || 'not set'}`);
+  log(`Platform: ${process.platform}`);
+
+  if (!process.send) {
+    console.error('No IPC channel to the poller; start the display through spotify-album-art.js');
     app.quit();
+    return;
   }
+
+  const { screen } = require('electron');
+  screen.on('display-added', (event, display) => scheduleSync(`added ${display.label || display.id}`));
+  screen.on('display-removed', (event, display) => scheduleSync(`removed ${display.label || display.id}`));
+  screen.on('display-metrics-changed', (event, display, changedMetrics) => {
+    scheduleSync(`${display.label || display.id}: ${changedMetrics.join(', ')}`);
+  });
+
+  process.on('message', handlePollerMessage);
+
+  // The poller went away (crash, restart); don't linger as an orphan
+  process.on('disconnect', () => {
+    log('Poller disconnected, quitting');
+    app.quit();
+  });
+
+  // Start the handshake, the poller answers with welcome + the current state
+  sendToPoller({ type: 'hello', protocol: PROTOCOL_VERSION, pid: process.pid });
+});
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
 });
 
 app.on('window-all-closed', () => {
-  // Don't quit when window is closed, keep watching for updates
+  // Don't quit when all windows are closed, the next update recreates them
   // app.quit();
 });
 
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    // Recreate window if needed
+  if (BrowserWindow.getAllWindows().length === 0 && currentState) {
+    syncWindows();
   }
 });
@@ -0,0 +1,36 @@
+// Small filesystem helpers shared by the stores
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Write a file atomically: write a temp file next to the real one, then rename,
+// so a crash or power loss never leaves a half-written file behind
+function writeFileAtomic(file, data, mode = 0o644) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tempFile, data, { mode: mode });
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (e) {
+      // Temp file was never created
+    }
+    throw error;
+  }
+}
+
+// Expand a leading ~ to the home directory
+function expandHome(filePath) {
+  if (typeof filePath === 'string' && (filePath === '~' || filePath.startsWith('~/'))) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+module.exports = {
+  writeFileAtomic,
+  expandHome
+};
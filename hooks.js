@@ -0,0 +1,258 @@
+// Hooks: run user scripts and plugins when something happens on the display
+//
+// Off by default; configured under `hooks` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "commands": [
+//       { "event": "track-changed", "command": "notify-send \"$SPOTIFY_WALLPAPER_TRACK\"", "timeoutMs": 5000 },
+//       { "event": ["playback-paused", "idle"], "command": "~/bin/dim-lights" }
+//     ],
+//     "pluginsDir": "~/.config/spotify-wallpaper/plugins",
+//     "timeoutMs": 10000,     // defaults for every hook
+//     "concurrency": 1,
+//     "maxQueued": 10
+//   }
+// Events: track-changed, playback-paused, playback-resumed and idle (the
+// slideshow started). Each event has a payload:
+//   { event, at, mode, track: { id, uri, name, artists, album, albumId, durationMs },
+//     artPath, palette: { colors, text, textSecondary, accent, isLight }, playback }
+// with colors as hex strings. Commands run through /bin/sh with the payload
+// as JSON on stdin and its main fields in $SPOTIFY_WALLPAPER_* variables
+// (see commandEnv). A plugin is a .js file or a directory in pluginsDir that
+// exports handlers by event name, and optionally its own timeoutMs,
+// concurrency and a stop() called on shutdown:
+//   module.exports = { 'track-changed': async (payload) => { ... } };
+//
+// Every hook runs on its own: at most `concurrency` runs at a time, later
+// events wait in a queue of up to maxQueued (the oldest are dropped), runs
+// longer than timeoutMs are abandoned (commands are killed), and failures are
+// only logged. Emitting never waits for hooks, so they cannot stall polling.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { expandHome } = require('./fs-utils');
+const { defaultStorageDir } = require('./secure-store');
+
+const EVENTS = ['track-changed', 'playback-paused', 'playback-resumed', 'idle'];
+
+const DEFAULT_HOOKS = {
+  enabled: false,
+  commands: [],
+  pluginsDir: null,
+  timeoutMs: 10000,
+  concurrency: 1,
+  maxQueued: 10
+};
+
+// The main payload fields for shell scripts; the full payload is on stdin
+function commandEnv(payload) {
+  const track = payload.track || {};
+  const palette = payload.palette || {};
+  return {
+    SPOTIFY_WALLPAPER_EVENT: payload.event,
+    SPOTIFY_WALLPAPER_MODE: payload.mode || '',
+    SPOTIFY_WALLPAPER_TRACK_ID: track.id || '',
+    SPOTIFY_WALLPAPER_TRACK: track.name || '',
+    SPOTIFY_WALLPAPER_ARTIST: (track.artists || []).join(', '),
+    SPOTIFY_WALLPAPER_ALBUM: track.album || '',
+    SPOTIFY_WALLPAPER_IMAGE: payload.artPath || '',
+    SPOTIFY_WALLPAPER_IS_PLAYING: payload.playback && payload.playback.isPlaying ? '1' : '0',
+    SPOTIFY_WALLPAPER_COLORS: (palette.colors || []).join(' '),
+    SPOTIFY_WALLPAPER_TEXT: palette.text || '',
+    SPOTIFY_WALLPAPER_ACCENT: palette.accent || ''
+  };
+}
+
+function runCommand(command, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    // Own process group, so a timeout also stops whatever the script started
+    const child = spawn('/bin/sh', ['-c', command], {
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: { ...process.env, ...commandEnv(payload) },
+      detached: true
+    });
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }, timeoutMs);
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    // Scripts that do not read stdin close it early
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload) + '\n');
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`timed out after ${timeoutMs}ms`));
+      } else if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+      }
+    });
+  });
+}
+
+// A plugin handler with a timeout; the handler itself cannot be stopped, the
+// hook just stops waiting for it
+function runPlugin(handler, payload, timeoutMs) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  // Synchronous throws become rejections too
+  const run = new Promise(resolve => resolve(handler(payload)));
+  return Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One hook: its own queue, concurrency limit and timeout
+function createHook(name, events, limits, execute) {
+  let running = 0;
+  const queue = [];
+
+  function next() {
+    while (running < limits.concurrency && queue.length > 0) {
+      const payload = queue.shift();
+      running++;
+      execute(payload, limits.timeoutMs)
+        .catch((error) => {
+          console.error(`[${new Date().toLocaleTimeString()}] Hook ${name} (${payload.event}) failed:`, error.message);
+        })
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  }
+
+  function enqueue(payload) {
+    queue.push(payload);
+    if (queue.length > limits.maxQueued) {
+      const dropped = queue.shift();
+      console.warn(`[${new Date().toLocaleTimeString()}] Hook ${name} is falling behind, skipping its ${dropped.event} event`);
+    }
+    next();
+  }
+
+  return {
+    name,
+    events,
+    enqueue
+  };
+}
+
+function validEvents(events, source) {
+  const list = Array.isArray(events) ? events : [events];
+  const unknown = list.filter(event => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`${source}: unknown hook event ${unknown.map(event => `"${event}"`).join(', ')} (expected ${EVENTS.join(', ')})`);
+  }
+  return list;
+}
+
+// *.js files and directories (index.js or package.json main) in the plugins directory
+function loadPlugins(directory) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not read plugins directory ${directory}:`, error.message);
+    }
+    return [];
+  }
+  const plugins = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || !(entry.isDirectory() || /\.c?js$/.test(entry.name))) {
+      continue;
+    }
+    const file = path.join(directory, entry.name);
+    try {
+      const plugin = require(file);
+      if (!EVENTS.some(event => typeof plugin[event] === 'function')) {
+        console.warn(`[${new Date().toLocaleTimeString()}] Plugin ${file} handles none of ${EVENTS.join(', ')}`);
+      }
+      plugins.push({ name: entry.name.replace(/\.c?js$/, ''), plugin: plugin });
+    } catch (error) {
+      // A broken plugin only loses itself
+      console.error(`[${new Date().toLocaleTimeString()}] Could not load plugin ${file}:`, error.message);
+    }
+  }
+  return plugins;
+}
+
+function createHooks(options = {}) {
+  const settings = { ...DEFAULT_HOOKS, ...options };
+  const pluginsDir = path.resolve(expandHome(settings.pluginsDir) || path.join(defaultStorageDir(), 'plugins'));
+  const limitsOf = source => ({
+    timeoutMs: source.timeoutMs || settings.timeoutMs,
+    concurrency: Math.max(1, source.concurrency || settings.concurrency),
+    maxQueued: Math.max(1, source.maxQueued || settings.maxQueued)
+  });
+
+  const hooks = (settings.commands || []).map((entry, index) => {
+    if (!entry.command) {
+      throw new Error(`hooks.commands[${index}] needs a "command"`);
+    }
+    const events = validEvents(entry.event, `hooks.commands[${index}]`);
+    const name = entry.name || `commands[${index}]`;
+    return createHook(name, events, limitsOf(entry), (payload, timeoutMs) => runCommand(entry.command, payload, timeoutMs));
+  });
+
+  const plugins = loadPlugins(pluginsDir);
+  for (const { name, plugin } of plugins) {
+    for (const event of EVENTS.filter(key => typeof plugin[key] === 'function')) {
+      hooks.push(createHook(`${name}:${event}`, [event], limitsOf(plugin), (payload, timeoutMs) => runPlugin(plugin[event], payload, timeoutMs)));
+    }
+  }
+
+  // Hands the event to every hook for it and returns right away
+  function emit(event, payload) {
+    const full = { event: event, at: new Date().toISOString(), ...payload };
+    for (const hook of hooks) {
+      if (hook.events.includes(event)) {
+        hook.enqueue(full);
+      }
+    }
+  }
+
+  function stop() {
+    for (const { name, plugin } of plugins) {
+      if (typeof plugin.stop === 'function') {
+        try {
+          plugin.stop();
+        } catch (error) {
+          console.error(`[${new Date().toLocaleTimeString()}] Plugin ${name} failed to stop:`, error.message);
+        }
+      }
+    }
+  }
+
+  return {
+    settings,
+    pluginsDir,
+    hooks,
+    plugins: plugins.map(({ name }) => name),
+    emit,
+    stop
+  };
+}
+
+module.exports = {
+  createHooks,
+  commandEnv,
+  EVENTS,
+  DEFAULT_HOOKS
+};
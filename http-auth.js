@@ -0,0 +1,21 @@
+// Token checks shared by the HTTP servers (local-api.js, web-display.js)
+
+const crypto = require('crypto');
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+// Compare hashes so neither the length nor the content leaks through timing
+function tokenMatches(given, expected) {
+  if (typeof given !== 'string') {
+    return false;
+  }
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+module.exports = {
+  isLoopback,
+  tokenMatches
+};
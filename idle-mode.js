@@ -0,0 +1,163 @@
+// Idle mode: a slideshow of recently played albums while nothing plays
+//
+// The poller reports every poll with observe(nowPlaying). Once nothing has
+// been playing for idle.timeoutMs the display switches to a slow slideshow of
+// the covers of recently played albums, with a dimmed palette and optionally
+// a clock. The poller calls stop() when playback resumes and shows the
+// current track again.
+//
+// Slides are sent to the display as regular states with an `idle` field:
+//   { imagePath, colors, palette, trackInfo, audioFeatures: null, playback: null,
+//     idle: { dim, clock } }
+
+const path = require('path');
+
+const DEFAULT_IDLE = {
+  enabled: true,
+  timeoutMs: 600000,        // Nothing playing for this long switches to idle mode
+  slideIntervalMs: 30000,   // How long each album is shown
+  albums: 20,               // Recently played tracks to collect albums from (Spotify allows up to 50)
+  dim: 0.6,                 // Brightness of the palette while idle (0-1)
+  clock: true               // Show a clock while idle
+};
+
+// deps.trackSource - for getRecentTracks
+// deps.display     - display process (update, getState)
+// deps.prepareArt(track) - the art and its palette (from the art cache), returns { imagePath, colors, palette }
+function createIdleMode(options = {}, deps) {
+  const settings = { ...DEFAULT_IDLE, ...options };
+  settings.albums = Math.max(1, Math.min(50, settings.albums));
+  const { trackSource, display, prepareArt } = deps;
+
+  let active = false;
+  let lastActiveAt = Date.now();
+  let slides = [];
+  let slideIndex = 0;
+  let slideTimer = null;
+  // Per album: prepared { imagePath, colors, palette }, so every cover is only looked up once per idle period
+  const prepared = new Map();
+
+  function slideState(slide, art) {
+    return {
+      imagePath: path.resolve(art.imagePath),
+      colors: art.colors,
+      palette: art.palette,
+      trackInfo: {
+        track: slide.album,
+        artist: slide.artists.join(', '),
+        album: 'Recently played'
+      },
+      audioFeatures: null,
+      playback: null,
+      idle: { dim: settings.dim, clock: settings.clock }
+    };
+  }
+
+  async function showSlide() {
+    if (!active || slides.length === 0) {
+      return;
+    }
+    const slide = slides[slideIndex % slides.length];
+    slideIndex++;
+    try {
+      let art = prepared.get(slide.slideKey);
+      if (!art) {
+        art = await prepareArt(slide);
+        prepared.set(slide.slideKey, art);
+      }
+      // The slideshow may have been stopped while the art was downloading
+      if (active) {
+        display.update(slideState(slide, art));
+      }
+    } catch (error) {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not show idle slide for ${slide.album}:`, error.message);
+    }
+  }
+
+  // One slide per album, most recently played first
+  async function collectSlides() {
+    let tracks = [];
+    try {
+      tracks = await trackSource.getRecentTracks(settings.albums);
+    } catch (error) {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not fetch recently played tracks for idle mode:`, error.message);
+    }
+    const seen = new Set();
+    return tracks.filter(track => {
+      const key = track.albumId || track.album;
+      if (!key || seen.has(key) || (!track.artUrl && !track.artPath)) {
+        return false;
+      }
+      seen.add(key);
+      // Album names stand in for ids with some sources
+      track.slideKey = key;
+      return true;
+    });
+  }
+
+  async function start() {
+    active = true;
+    console.log(`[${new Date().toLocaleTimeString()}] Nothing played for ${Math.round(settings.timeoutMs / 1000)}s, switching to idle mode`);
+    slides = await collectSlides();
+    if (!active) {
+      return;
+    }
+    slideIndex = 0;
+    if (slides.length === 0) {
+      // Sources without history (MPRIS): dim the last track instead
+      const state = display.getState();
+      if (state) {
+        display.update({ ...state, playback: null, lyrics: null, idle: { dim: settings.dim, clock: settings.clock } });
+      }
+      console.log(`[${new Date().toLocaleTimeString()}] No recently played albums, dimming the last track`);
+      return;
+    }
+    console.log(`[${new Date().toLocaleTimeString()}] Idle slideshow of ${slides.length} album(s), ${settings.slideIntervalMs / 1000}s each`);
+    await showSlide();
+    if (active) {
+      slideTimer = setInterval(showSlide, settings.slideIntervalMs);
+    }
+  }
+
+  // Call after every poll; failed polls say nothing about playback
+  function observe(nowPlaying, { failed = false } = {}) {
+    if (!settings.enabled || failed) {
+      return;
+    }
+    if (nowPlaying && nowPlaying.isPlaying) {
+      lastActiveAt = Date.now();
+      return;
+    }
+    if (!active && Date.now() - lastActiveAt >= settings.timeoutMs && display.getState()) {
+      start().catch(error => {
+        console.error(`[${new Date().toLocaleTimeString()}] Could not start idle mode:`, error.message);
+      });
+    }
+  }
+
+  // Leave idle mode (playback resumed, or shutting down)
+  function stop() {
+    if (!active) {
+      return;
+    }
+    active = false;
+    lastActiveAt = Date.now();
+    clearInterval(slideTimer);
+    slideTimer = null;
+    slides = [];
+    prepared.clear();
+    console.log(`[${new Date().toLocaleTimeString()}] Leaving idle mode`);
+  }
+
+  return {
+    settings,
+    observe,
+    stop,
+    isActive: () => active
+  };
+}
+
+module.exports = {
+  createIdleMode,
+  DEFAULT_IDLE
+};
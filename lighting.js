@@ -0,0 +1,318 @@
+// Ambient lighting: the album palette on WLED strips and Philips Hue lights
+//
+// Off by default; configured under `lighting` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "idle": "dim",                 // during the idle slideshow: dim, off or keep
+//     "outputs": [
+//       { "type": "wled", "host": "192.168.1.50", "segments": [0, 1, 2] },
+//       { "type": "hue", "bridge": "192.168.1.2", "username": "...", "lights": ["1", "4"],
+//         "maxBrightness": 60, "pulse": true, "beatsPerPulse": 2 }
+//     ]
+//   }
+// Every output takes minBrightness/maxBrightness (percent), transitionMs for
+// color changes and pulse/pulseDepth/beatsPerPulse to breathe with the tempo
+// of the track while it plays; the lights go back to full brightness when
+// playback pauses. Segment or light N gets palette color N (most
+// common first) at full saturation; its brightness follows how bright the
+// color is on the cover, within the limits.
+//
+// WLED is driven through its JSON API (POST /json/state), Hue through the
+// bridge's local REST API (PUT /api/<username>/lights/<id>/state). The Hue
+// username (the bridge's app key) can also come from $SPOTIFY_WALLPAPER_HUE_USERNAME.
+
+const DEFAULT_LIGHTING = {
+  enabled: false,
+  idle: 'dim',
+  outputs: []
+};
+
+const DEFAULT_OUTPUT = {
+  minBrightness: 5,
+  maxBrightness: 100,
+  transitionMs: 1000,
+  pulse: false,
+  pulseDepth: 0.4,           // Share of the brightness taken away between beats
+  beatsPerPulse: 1,
+  timeoutMs: 3000
+};
+
+const IDLE_MODES = ['dim', 'off', 'keep'];
+const IDLE_DIM = 0.3;
+const HUE_USERNAME_ENV = 'SPOTIFY_WALLPAPER_HUE_USERNAME';
+// Shortest half pulse; faster pulses skip beats
+const MIN_PULSE_MS = 250;
+// Hue bridges handle about ten commands a second, and every light is one command
+const HUE_COMMANDS_PER_SECOND = 10;
+
+async function requestJson(method, url, body, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    // fetch only says "fetch failed"; the cause has ECONNREFUSED and friends
+    throw new Error(`${method} ${url}: ${error.cause ? error.cause.code || error.cause.message : error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${method} ${url} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+// Full-saturation version of a color and its brightness (0-1)
+function splitBrightness(rgb) {
+  const max = Math.max(...rgb);
+  if (max === 0) {
+    return { rgb: [255, 255, 255], brightness: 0 };
+  }
+  return { rgb: rgb.map(channel => Math.round(channel * 255 / max)), brightness: max / 255 };
+}
+
+// CIE xy for Hue, using the wide gamut conversion from the Hue documentation
+function rgbToXy(rgb) {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value > 0.04045 ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92;
+  });
+  const x = r * 0.664511 + g * 0.154324 + b * 0.162028;
+  const y = r * 0.283881 + g * 0.668433 + b * 0.047685;
+  const z = r * 0.000088 + g * 0.072310 + b * 0.986039;
+  const sum = x + y + z;
+  return sum === 0 ? [0.3127, 0.329] : [Number((x / sum).toFixed(4)), Number((y / sum).toFixed(4))];
+}
+
+// Brightness of a color (0-1) within the output's limits, as 0-1
+function limitBrightness(settings, brightness) {
+  const min = settings.minBrightness / 100;
+  const max = settings.maxBrightness / 100;
+  return Math.min(max, Math.max(min, brightness * max));
+}
+
+// Each driver turns { colors: [{ rgb, brightness }], transitionMs } into
+// requests and knows how to scale everything for pulses and dimming
+const DRIVERS = {
+  wled: {
+    validate(output) {
+      if (!output.host) {
+        throw new Error('WLED outputs need a "host"');
+      }
+      return { ...output, segments: output.segments || [0] };
+    },
+    describe: output => `WLED ${output.host}`,
+    // One request drives every segment
+    minStepMs: () => 0,
+    // WLED takes per-segment colors and brightness and one master brightness to pulse with
+    async apply(output, { colors, transitionMs }) {
+      await requestJson('POST', `http://${output.host}/json/state`, {
+        on: true,
+        bri: 255,
+        tt: Math.round(transitionMs / 100),
+        seg: output.segments.map((id, index) => {
+          const color = colors[index % colors.length];
+          return { id: id, col: [color.rgb], bri: Math.round(color.brightness * 255), fx: 0 };
+        })
+      }, output.timeoutMs);
+    },
+    async scale(output, { factor, transitionMs }) {
+      await requestJson('POST', `http://${output.host}/json/state`, {
+        on: factor > 0,
+        bri: Math.max(1, Math.round(255 * factor)),
+        tt: Math.round(transitionMs / 100)
+      }, output.timeoutMs);
+    }
+  },
+  hue: {
+    validate(output) {
+      const username = output.username || process.env[HUE_USERNAME_ENV];
+      if (!output.bridge || !username) {
+        throw new Error(`Hue outputs need a "bridge" and a "username" (or $${HUE_USERNAME_ENV})`);
+      }
+      if (!Array.isArray(output.lights) || output.lights.length === 0) {
+        throw new Error('Hue outputs need "lights", a list of light ids');
+      }
+      return { ...output, username: username };
+    },
+    describe: output => `Hue ${output.bridge}`,
+    minStepMs: output => output.lights.length * 1000 / HUE_COMMANDS_PER_SECOND,
+    // Hue has no master brightness, so the last colors are kept for pulses and dimming
+    async apply(output, { colors, transitionMs }) {
+      output.lastColors = colors;
+      await Promise.all(output.lights.map((id, index) => {
+        const color = colors[index % colors.length];
+        return hueState(output, id, { on: true, xy: rgbToXy(color.rgb), bri: toHueBrightness(color.brightness), transitiontime: Math.round(transitionMs / 100) });
+      }));
+    },
+    async scale(output, { factor, transitionMs }) {
+      const colors = output.lastColors || [];
+      await Promise.all(output.lights.map((id, index) => {
+        const color = colors[index % colors.length];
+        const state = factor > 0 && color
+          ? { on: true, bri: toHueBrightness(color.brightness * factor) }
+          : { on: false };
+        return hueState(output, id, { ...state, transitiontime: Math.round(transitionMs / 100) });
+      }));
+    }
+  }
+};
+
+function toHueBrightness(brightness) {
+  return Math.max(1, Math.min(254, Math.round(brightness * 254)));
+}
+
+// The bridge answers 200 with [{ error }] for bad requests
+async function hueState(output, id, state) {
+  const result = await requestJson('PUT', `http://${output.bridge}/api/${encodeURIComponent(output.username)}/lights/${encodeURIComponent(id)}/state`, state, output.timeoutMs);
+  const failure = Array.isArray(result) && result.find(entry => entry.error);
+  if (failure) {
+    throw new Error(`light ${id}: ${failure.error.description}`);
+  }
+}
+
+function createOutput(options) {
+  const driver = DRIVERS[options.type];
+  if (!driver) {
+    throw new Error(`Unknown lighting output "${options.type}" (expected one of ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  const output = driver.validate({ ...DEFAULT_OUTPUT, ...options });
+  const name = driver.describe(output);
+
+  let pulseTimer = null;
+  let pulseHigh = true;
+  let busy = false;
+  let failing = false;
+
+  // One request at a time per output; pulses are skipped while one is slow,
+  // color changes wait for it. Errors are logged once until the output recovers.
+  let pending = Promise.resolve();
+  function send(method, args, { skipIfBusy = false } = {}) {
+    if (skipIfBusy && busy) {
+      return pending;
+    }
+    pending = pending.then(async () => {
+      busy = true;
+      try {
+        await driver[method](output, args);
+        if (failing) {
+          console.log(`[${new Date().toLocaleTimeString()}] Lighting: ${name} reachable again`);
+          failing = false;
+        }
+      } catch (error) {
+        if (!failing) {
+          console.error(`[${new Date().toLocaleTimeString()}] Lighting: ${name} failed:`, error.message);
+          failing = true;
+        }
+      } finally {
+        busy = false;
+      }
+    });
+    return pending;
+  }
+
+  // A stopped pulse may have left the lights dimmed; they go back to full
+  // brightness unless the caller sets them right after anyway
+  function stopPulse({ restore = true } = {}) {
+    const wasPulsing = pulseTimer !== null;
+    clearInterval(pulseTimer);
+    pulseTimer = null;
+    pulseHigh = true;
+    if (restore && wasPulsing) {
+      return send('scale', { factor: 1, transitionMs: output.transitionMs });
+    }
+    return Promise.resolve();
+  }
+
+  // Up on the beat, down half a pulse later. Pulses the output cannot keep up
+  // with skip every other beat (and again) so they stay in time.
+  function startPulse(tempo) {
+    stopPulse({ restore: false });
+    if (!output.pulse || !(tempo > 0)) {
+      return;
+    }
+    const minHalfPulseMs = Math.max(MIN_PULSE_MS, driver.minStepMs(output));
+    let halfPulseMs = 60000 / tempo * output.beatsPerPulse / 2;
+    while (halfPulseMs < minHalfPulseMs) {
+      halfPulseMs *= 2;
+    }
+    pulseHigh = true;
+    pulseTimer = setInterval(() => {
+      pulseHigh = !pulseHigh;
+      send('scale', { factor: pulseHigh ? 1 : 1 - output.pulseDepth, transitionMs: halfPulseMs }, { skipIfBusy: true });
+    }, halfPulseMs);
+  }
+
+  function show(colors, tempo, isPlaying) {
+    stopPulse({ restore: false });
+    const limited = colors.map((rgb) => {
+      const color = splitBrightness(rgb);
+      return { rgb: color.rgb, brightness: limitBrightness(output, color.brightness) };
+    });
+    const sent = send('apply', { colors: limited, transitionMs: output.transitionMs });
+    if (isPlaying) {
+      startPulse(tempo);
+    }
+    return sent;
+  }
+
+  function dim(factor) {
+    stopPulse({ restore: false });
+    return send('scale', { factor: factor, transitionMs: output.transitionMs });
+  }
+
+  return {
+    name,
+    show,
+    dim,
+    startPulse,
+    stopPulse
+  };
+}
+
+function createLighting(options = {}) {
+  const settings = { ...DEFAULT_LIGHTING, ...options };
+  if (!IDLE_MODES.includes(settings.idle)) {
+    throw new Error(`Unknown lighting.idle "${settings.idle}" (expected one of ${IDLE_MODES.join(', ')})`);
+  }
+  const outputs = (settings.outputs || []).map(createOutput);
+  let tempo = null;
+
+  // palette from palette.js (with colors), audio features of the track or null
+  function show(palette, audioFeatures, isPlaying) {
+    tempo = audioFeatures && audioFeatures.tempo;
+    return Promise.all(outputs.map(output => output.show(palette.colors, tempo, isPlaying)));
+  }
+
+  function setPlaying(isPlaying) {
+    return Promise.all(outputs.map(output => (isPlaying ? output.startPulse(tempo) : output.stopPulse())));
+  }
+
+  function idle() {
+    if (settings.idle === 'keep') {
+      return setPlaying(false);
+    }
+    return Promise.all(outputs.map(output => output.dim(settings.idle === 'off' ? 0 : IDLE_DIM)));
+  }
+
+  function stop() {
+    return setPlaying(false);
+  }
+
+  return {
+    settings,
+    outputs: outputs.map(output => output.name),
+    show,
+    setPlaying,
+    idle,
+    stop
+  };
+}
+
+module.exports = {
+  createLighting,
+  rgbToXy,
+  DEFAULT_LIGHTING
+};
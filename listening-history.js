@@ -0,0 +1,275 @@
+// Listening history: every displayed track in a local JSONL file
+//
+// Off by default; configured under `history` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "file": "~/.local/share/spotify-wallpaper/history.jsonl"
+//   }
+// One line is appended when a track leaves the screen (next track, idle mode
+// or shutdown):
+//   { startedAt, endedAt, listenedMs, track: { id, uri, name, artists, album,
+//     albumId, durationMs }, device, source, mode, palette: { colors, accent,
+//     text, isLight }, audioFeatures }
+// listenedMs only counts the time the track was playing while shown; mode is
+// "live" or "pinned". Nothing leaves the machine.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandHome } = require('./fs-utils');
+
+const DEFAULT_HISTORY = {
+  enabled: false,
+  file: null
+};
+
+const PERIODS = ['day', 'week', 'month'];
+
+function defaultHistoryFile() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'spotify-wallpaper', 'history.jsonl');
+}
+
+function historyFile(options = {}) {
+  return path.resolve(expandHome(options.file) || defaultHistoryFile());
+}
+
+// Records the track on screen and appends it once it is replaced
+function createListeningHistory(options = {}) {
+  const settings = { ...DEFAULT_HISTORY, ...options };
+  const file = historyFile(settings);
+
+  let current = null;      // record being collected
+  let playingSince = null; // when the current track last started playing
+  let tailChecked = false;
+
+  // Whether the file ends in the middle of a line (cut off by a crash)
+  function endsMidLine() {
+    let fd = null;
+    try {
+      fd = fs.openSync(file, 'r');
+      const size = fs.fstatSync(fd).size;
+      const last = Buffer.alloc(1);
+      return size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a;
+    } catch (error) {
+      return false;
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  function append(record) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // One write per line, so a crash can at most cut off the last line;
+      // the next line then starts on its own
+      const prefix = !tailChecked && endsMidLine() ? '\n' : '';
+      tailChecked = true;
+      fs.appendFileSync(file, prefix + JSON.stringify(record) + '\n', { mode: 0o600 });
+    } catch (error) {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not write listening history to ${file}:`, error.message);
+    }
+  }
+
+  // Whether the shown track plays; call on every change and poll
+  function setPlaying(isPlaying, device = null) {
+    if (!current) {
+      return;
+    }
+    if (device) {
+      current.device = device;
+    }
+    const now = Date.now();
+    if (playingSince !== null) {
+      current.listenedMs += now - playingSince;
+    }
+    playingSince = isPlaying ? now : null;
+  }
+
+  // The track on screen is done; appends it
+  function finish() {
+    if (!current) {
+      return;
+    }
+    setPlaying(false);
+    const { startedAt, listenedMs, device, record } = current;
+    current = null;
+    append({
+      startedAt: startedAt,
+      endedAt: new Date().toISOString(),
+      listenedMs: listenedMs,
+      track: record.track,
+      device: device,
+      source: record.source,
+      mode: record.mode,
+      palette: record.palette,
+      audioFeatures: record.audioFeatures
+    });
+  }
+
+  // record: { track, source, mode, palette, audioFeatures } of a newly shown track
+  function start(record, isPlaying, device = null) {
+    finish();
+    current = { startedAt: new Date().toISOString(), listenedMs: 0, device: device, record: record };
+    playingSince = isPlaying ? Date.now() : null;
+  }
+
+  return {
+    settings,
+    file,
+    start,
+    setPlaying,
+    finish
+  };
+}
+
+// Records from the file, oldest first, optionally only those started in [since, until)
+function readHistory(file, { since = null, until = null } = {}) {
+  let content = '';
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const records = [];
+  let skipped = 0;
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // A line cut off by a crash
+      skipped++;
+      continue;
+    }
+    const startedAt = Date.parse(record.startedAt);
+    if ((since && startedAt < since.getTime()) || (until && startedAt >= until.getTime())) {
+      continue;
+    }
+    records.push(record);
+  }
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} unreadable line(s) in ${file}`);
+  }
+  return records;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Local calendar bucket of a date: 2026-10-18, 2026-W42 (ISO week) or 2026-10
+function periodKey(date, period) {
+  if (period === 'day') {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  if (period === 'month') {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  }
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getDay() + 6) % 7) / 7);
+  return `${thursday.getFullYear()}-W${pad(week)}`;
+}
+
+// Start of the `count`th period before now, for default ranges
+function periodsAgo(period, count, now = new Date()) {
+  if (period === 'day') {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - count + 1);
+  }
+  if (period === 'week') {
+    const monday = now.getDate() - (now.getDay() + 6) % 7;
+    return new Date(now.getFullYear(), now.getMonth(), monday - 7 * (count - 1));
+  }
+  return new Date(now.getFullYear(), now.getMonth() - count + 1, 1);
+}
+
+// Top artists and albums by listened time per period, most recent period first:
+//   [{ period, listenedMs, tracks, artists: [{ name, listenedMs, plays }], albums: [...] }]
+function summarize(records, period, limit = 5) {
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unknown period "${period}" (expected ${PERIODS.join(', ')})`);
+  }
+  const buckets = new Map();
+  const add = (map, name, record) => {
+    const entry = map.get(name) || { name: name, listenedMs: 0, plays: 0 };
+    entry.listenedMs += record.listenedMs || 0;
+    entry.plays++;
+    map.set(name, entry);
+  };
+  for (const record of records) {
+    const key = periodKey(new Date(record.startedAt), period);
+    if (!buckets.has(key)) {
+      buckets.set(key, { period: key, listenedMs: 0, tracks: 0, artists: new Map(), albums: new Map() });
+    }
+    const bucket = buckets.get(key);
+    bucket.listenedMs += record.listenedMs || 0;
+    bucket.tracks++;
+    const track = record.track || {};
+    for (const artist of track.artists || []) {
+      add(bucket.artists, artist, record);
+    }
+    if (track.album) {
+      add(bucket.albums, `${track.album} - ${(track.artists || [])[0] || '?'}`, record);
+    }
+  }
+  const top = map => [...map.values()].sort((a, b) => b.listenedMs - a.listenedMs || b.plays - a.plays).slice(0, limit);
+  return [...buckets.values()]
+    .sort((a, b) => (a.period < b.period ? 1 : -1))
+    .map(bucket => ({ ...bucket, artists: top(bucket.artists), albums: top(bucket.albums) }));
+}
+
+const CSV_COLUMNS = [
+  ['startedAt', r => r.startedAt],
+  ['endedAt', r => r.endedAt],
+  ['listenedMs', r => r.listenedMs],
+  ['trackId', r => r.track && r.track.id],
+  ['track', r => r.track && r.track.name],
+  ['artists', r => r.track && (r.track.artists || []).join('; ')],
+  ['album', r => r.track && r.track.album],
+  ['albumId', r => r.track && r.track.albumId],
+  ['durationMs', r => r.track && r.track.durationMs],
+  ['device', r => r.device],
+  ['source', r => r.source],
+  ['mode', r => r.mode],
+  ['accent', r => r.palette && r.palette.accent],
+  ['tempo', r => r.audioFeatures && r.audioFeatures.tempo],
+  ['energy', r => r.audioFeatures && r.audioFeatures.energy],
+  ['valence', r => r.audioFeatures && r.audioFeatures.valence]
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(record))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  createListeningHistory,
+  historyFile,
+  readHistory,
+  summarize,
+  periodsAgo,
+  toCsv,
+  PERIODS,
+  DEFAULT_HISTORY
+};
@@ -0,0 +1,216 @@
+// Local HTTP API for status and control
+//
+// Off by default; configured under `httpApi` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "host": "127.0.0.1",     // anything but loopback requires a token
+//     "port": 8765,
+//     "token": "..."           // or $SPOTIFY_WALLPAPER_API_TOKEN
+//   }
+// With a token every request needs `Authorization: Bearer <token>` (or
+// ?token=<token>). Routes:
+//   GET    /now-playing   what the display shows and how (live, idle or pinned)
+//   GET    /palette       the colors on screen, with the derived text and accent colors
+//   GET    /art           the album art on screen
+//   GET    /health        poller, display and Spotify API health (503 when unhealthy)
+//   POST   /refresh       poll now, returns /now-playing afterwards
+//   POST   /pin           hold a track or album on screen: { track | album, durationMs }
+//                         (ids, URIs or open.spotify.com links); no body pins what is shown
+//   DELETE /pin           release the pin and show the current track again
+//
+// Requests that change something (POST, DELETE) are refused when they come
+// from a web page of another origin, or carry a body that is not JSON: a
+// browser sends those without asking first, so without a token any page the
+// user visits could pin or refresh the display.
+//
+// The poller supplies a controller with nowPlaying(), palette(), artPath(),
+// health(), refresh(), pin(request) and unpin(); errors with a `status`
+// are returned with that status as { error }.
+
+const express = require('express');
+const { isLoopback, tokenMatches } = require('./http-auth');
+
+const DEFAULT_HTTP_API = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8765,
+  token: null
+};
+
+const TOKEN_ENV = 'SPOTIFY_WALLPAPER_API_TOKEN';
+
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// "spotify:track:ID", "https://open.spotify.com/track/ID?si=..." or a bare ID
+function parseSpotifyId(value, type) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const match = value.trim().match(new RegExp(`^(?:spotify:${type}:|https?://open\\.spotify\\.com/(?:intl-[\\w-]+/)?${type}/)?([A-Za-z0-9]+)(?:[?#].*)?$`));
+  return match ? match[1] : null;
+}
+
+// The Origin header of browser requests, when it is not this server's own
+function foreignOrigin(req) {
+  const origin = req.get('origin');
+  if (!origin) {
+    return null;
+  }
+  try {
+    return new URL(origin).host === req.get('host') ? null : origin;
+  } catch (error) {
+    // "null" for sandboxed frames and file:// pages
+    return origin;
+  }
+}
+
+function createLocalApi(options = {}, controller) {
+  const settings = { ...DEFAULT_HTTP_API, ...options };
+  const token = settings.token || process.env[TOKEN_ENV] || null;
+  let server = null;
+
+  const app = express();
+  app.disable('x-powered-by');
+
+  if (token) {
+    app.use((req, res, next) => {
+      const header = req.get('authorization') || '';
+      const given = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+      if (!tokenMatches(given, token)) {
+        res.status(401).json({ error: 'Missing or wrong API token' });
+        return;
+      }
+      next();
+    });
+  }
+  app.use((req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      next();
+      return;
+    }
+    const origin = foreignOrigin(req);
+    if (origin) {
+      res.status(403).json({ error: `Requests from ${origin} are not allowed` });
+      return;
+    }
+    if (req.get('content-length') > 0 || req.get('transfer-encoding')) {
+      if (!req.is('application/json')) {
+        res.status(415).json({ error: 'Request bodies must be JSON (Content-Type: application/json)' });
+        return;
+      }
+    }
+    next();
+  });
+  app.use(express.json());
+
+  app.get('/now-playing', (req, res) => {
+    res.json(controller.nowPlaying());
+  });
+
+  app.get('/palette', (req, res) => {
+    res.json(controller.palette());
+  });
+
+  app.get('/art', (req, res) => {
+    const artPath = controller.artPath();
+    if (!artPath) {
+      throw apiError(404, 'Nothing is shown yet');
+    }
+    res.sendFile(artPath);
+  });
+
+  app.get('/health', (req, res) => {
+    const health = controller.health();
+    res.status(health.ok ? 200 : 503).json(health);
+  });
+
+  app.post('/refresh', async (req, res) => {
+    await controller.refresh();
+    res.json(controller.nowPlaying());
+  });
+
+  app.post('/pin', async (req, res) => {
+    const body = req.body || {};
+    const request = {};
+    if (body.track !== undefined) {
+      request.track = parseSpotifyId(body.track, 'track');
+      if (!request.track) {
+        throw apiError(400, '"track" must be a Spotify track ID, URI or link');
+      }
+    } else if (body.album !== undefined) {
+      request.album = parseSpotifyId(body.album, 'album');
+      if (!request.album) {
+        throw apiError(400, '"album" must be a Spotify album ID, URI or link');
+      }
+    }
+    if (body.durationMs !== undefined) {
+      if (typeof body.durationMs !== 'number' || !(body.durationMs > 0)) {
+        throw apiError(400, '"durationMs" must be a positive number');
+      }
+      request.durationMs = body.durationMs;
+    }
+    await controller.pin(request);
+    res.json(controller.nowPlaying());
+  });
+
+  app.delete('/pin', async (req, res) => {
+    await controller.unpin();
+    res.json(controller.nowPlaying());
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+  });
+
+  // Express recognizes error handlers by their four parameters
+  app.use((error, req, res, next) => {
+    // Spotify reports unknown track and album IDs with a 404
+    const status = error.status || (error.statusCode === 404 ? 404 : 500);
+    if (status >= 500) {
+      console.error(`[${new Date().toLocaleTimeString()}] HTTP API error on ${req.method} ${req.path}:`, error.message);
+    }
+    res.status(status).json({ error: error.message });
+  });
+
+  function start() {
+    if (!isLoopback(settings.host) && !token) {
+      return Promise.reject(new Error(`Refusing to serve the HTTP API on ${settings.host} without a token (set httpApi.token or $${TOKEN_ENV})`));
+    }
+    return new Promise((resolve, reject) => {
+      server = app.listen(settings.port, settings.host);
+      server.once('listening', () => {
+        const address = server.address();
+        console.log(`[${new Date().toLocaleTimeString()}] HTTP API listening on http://${settings.host}:${address.port}${token ? ' (token required)' : ''}`);
+        resolve(address);
+      });
+      server.once('error', (error) => {
+        server = null;
+        reject(error);
+      });
+    });
+  }
+
+  function stop() {
+    if (server) {
+      server.close();
+      server = null;
+    }
+  }
+
+  return {
+    settings,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createLocalApi,
+  parseSpotifyId,
+  apiError,
+  DEFAULT_HTTP_API
+};
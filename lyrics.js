@@ -0,0 +1,221 @@
+// Time-synced lyrics from local LRC files
+//
+// Off by default; configured under `lyrics` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "directory": "~/Music/Lyrics",   // searched recursively for *.lrc
+//     "offsetMs": 0                    // shifts all lyrics, positive shows them earlier
+//   }
+// A file belongs to a track by its [ar:]/[ti:] tags, or else by its name:
+// "Artist - Title.lrc", or "Title.lrc" inside a directory named after the
+// artist. Names are compared loosely: case, accents, punctuation and suffixes
+// like "(feat. ...)" or "- Remastered 2011" are ignored, and small spelling
+// differences still match.
+//
+// Lyrics are sent to the display as part of the state:
+//   { lines: [{ timeMs, text }], source }   sorted by time, or null without lyrics
+
+const fs = require('fs');
+const path = require('path');
+const { expandHome } = require('./fs-utils');
+
+const DEFAULT_LYRICS = {
+  enabled: false,
+  directory: '~/Music/Lyrics',
+  offsetMs: 0,
+  minSimilarity: 0.85,      // 0-1, how close a title has to be to count as the same
+  rescanMs: 600000          // Rescan the directory this often
+};
+
+// A track without lyrics triggers a rescan at most this often, for files added meanwhile
+const MISS_RESCAN_MS = 60000;
+
+// Loose form of a title or artist for comparisons
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*(feat|ft\.|with|remaster|live|version|edit|mix|mono|stereo)[^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+.*(remaster|live|version|edit|mix|mono|stereo).*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for equal names, towards 0 the more edits they are apart
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+}
+
+function parseTimestamp(minutes, seconds, fraction) {
+  const fractionMs = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+  return Number(minutes) * 60000 + Number(seconds) * 1000 + fractionMs;
+}
+
+// { tags: { ar, ti, offset, ... }, lines: [{ timeMs, text }] }
+function parseLrc(content) {
+  const tags = {};
+  const lines = [];
+  for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const timestamps = [];
+    let rest = rawLine.trim();
+    let match;
+    while ((match = rest.match(/^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/))) {
+      timestamps.push(parseTimestamp(match[1], match[2], match[3]));
+      rest = rest.slice(match[0].length);
+    }
+    if (timestamps.length === 0) {
+      const tag = rest.match(/^\[([a-z#]+):(.*)\]$/i);
+      if (tag) {
+        tags[tag[1].toLowerCase()] = tag[2].trim();
+      }
+      continue;
+    }
+    // Enhanced LRC has per-word <mm:ss.xx> stamps inside the line
+    const text = rest.replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+    for (const timeMs of timestamps) {
+      lines.push({ timeMs: timeMs, text: text });
+    }
+  }
+  lines.sort((a, b) => a.timeMs - b.timeMs);
+  return { tags: tags, lines: lines };
+}
+
+async function listLrcFiles(directory) {
+  const files = [];
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+  for (const entry of entries) {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listLrcFiles(file));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.lrc')) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// Artist and title of a file, from its tags or its name; artist is null for
+// "Title.lrc" directly in the lyrics directory
+function describeFile(file, tags, root) {
+  const base = path.basename(file, path.extname(file));
+  const separator = base.indexOf(' - ');
+  let artist = tags.ar || (separator > 0 ? base.slice(0, separator) : null);
+  if (!artist && path.dirname(file) !== root) {
+    artist = path.basename(path.dirname(file));
+  }
+  const title = tags.ti || (separator > 0 ? base.slice(separator + 3) : base);
+  return { file: file, artist: artist ? normalizeName(artist) : null, title: normalizeName(title) };
+}
+
+function createLyricsLibrary(options = {}) {
+  const settings = { ...DEFAULT_LYRICS, ...options };
+  const directory = path.resolve(expandHome(settings.directory));
+
+  let index = [];
+  let scannedAt = 0;
+  let scanning = null;
+
+  function scan() {
+    if (!scanning) {
+      scanning = (async () => {
+        const entries = [];
+        for (const file of await listLrcFiles(directory)) {
+          try {
+            const { tags } = parseLrc(await fs.promises.readFile(file, 'utf8'));
+            entries.push(describeFile(file, tags, directory));
+          } catch (error) {
+            console.error(`[${new Date().toLocaleTimeString()}] Could not read lyrics file ${file}:`, error.message);
+          }
+        }
+        index = entries;
+        scannedAt = Date.now();
+        console.log(`[${new Date().toLocaleTimeString()}] Indexed ${index.length} lyrics file(s) in ${directory}`);
+      })().finally(() => {
+        scanning = null;
+      });
+    }
+    return scanning;
+  }
+
+  // Best index entry for the track, or null
+  function match(track) {
+    const title = normalizeName(track.name);
+    const artists = (track.artists || []).map(normalizeName);
+    let best = null;
+    for (const entry of index) {
+      // Files without an artist only need a matching title
+      const artistMatches = entry.artist === null || artists.length === 0 ||
+        artists.some(artist => similarity(artist, entry.artist) >= settings.minSimilarity);
+      const score = artistMatches ? similarity(title, entry.title) : 0;
+      if (score >= settings.minSimilarity && (!best || score > best.score)) {
+        best = { entry: entry, score: score };
+      }
+    }
+    return best ? best.entry : null;
+  }
+
+  // Lyrics for a normalized track (see track-sources.js), null when there are none
+  async function find(track) {
+    if (Date.now() - scannedAt >= settings.rescanMs) {
+      await scan();
+    }
+    let entry = match(track);
+    if (!entry && Date.now() - scannedAt >= MISS_RESCAN_MS) {
+      await scan();
+      entry = match(track);
+    }
+    if (!entry) {
+      return null;
+    }
+    try {
+      const { tags, lines } = parseLrc(await fs.promises.readFile(entry.file, 'utf8'));
+      const offsetMs = (Number(tags.offset) || 0) + settings.offsetMs;
+      const timed = lines.map(line => ({ timeMs: Math.max(0, line.timeMs - offsetMs), text: line.text }));
+      if (timed.length === 0) {
+        return null;
+      }
+      console.log(`Lyrics: ${path.relative(directory, entry.file)} (${timed.length} lines)`);
+      return { lines: timed, source: path.basename(entry.file) };
+    } catch (error) {
+      // Deleted since the last scan
+      scannedAt = 0;
+      return null;
+    }
+  }
+
+  return {
+    settings,
+    directory,
+    find
+  };
+}
+
+module.exports = {
+  createLyricsLibrary,
+  parseLrc,
+  normalizeName,
+  DEFAULT_LYRICS
+};
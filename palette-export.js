@@ -0,0 +1,261 @@
+// Palette export: the colors of the current album for the rest of the desktop
+//
+// Off by default; configured under `paletteExport` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "targets": [
+//       { "format": "pywal", "path": "~/.cache/wal/colors.json" },
+//       { "format": "xresources" },       // path defaults to ~/.cache/spotify-wallpaper/palette/<file>
+//       { "format": "kitty", "path": "~/.config/kitty/album.conf" }
+//     ],
+//     "reloadCommand": "xrdb -merge ~/.cache/spotify-wallpaper/palette/colors.Xresources",
+//     "reloadTimeoutMs": 15000
+//   }
+// Formats: pywal (colors.json as written by pywal), xresources, css (custom
+// properties on :root), json (the full palette), kitty and alacritty (TOML).
+// Every track change rewrites all targets, then runs reloadCommand through
+// /bin/sh with $SPOTIFY_WALLPAPER_IMAGE, _TRACK, _ARTIST and _ACCENT set.
+//
+// Terminals need 16 colors on a dark background: color0 is the darkest
+// swatch darkened, color1-6 the swatches (most common first) made readable
+// on it, color9-14 lighter versions of them, color7/15 the foreground.
+
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { writeFileAtomic, expandHome } = require('./fs-utils');
+const { relativeLuminance, ensureContrast, mix, toHex } = require('./palette');
+
+const DEFAULT_PALETTE_EXPORT = {
+  enabled: false,
+  targets: [],
+  reloadCommand: null,
+  reloadTimeoutMs: 15000
+};
+
+const DEFAULT_DIR = path.join(os.homedir(), '.cache', 'spotify-wallpaper', 'palette');
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+const TERMINAL_CONTRAST = 4.5;
+const ALACRITTY_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// 16 terminal colors plus background, foreground and cursor for a palette
+function terminalScheme(palette) {
+  const byLuminance = [...palette.colors].sort((a, b) => relativeLuminance(a) - relativeLuminance(b));
+  const background = mix(byLuminance[0], BLACK, 0.7);
+  const foreground = ensureContrast(mix(byLuminance[byLuminance.length - 1], WHITE, 0.8), background, 7, WHITE);
+  const normal = palette.colors.slice(0, 6).map(color => ensureContrast(color, background, TERMINAL_CONTRAST, WHITE));
+  const bright = normal.map(color => mix(color, WHITE, 0.25));
+  const colors = [
+    background, ...normal, mix(foreground, background, 0.15),
+    mix(background, foreground, 0.3), ...bright, foreground
+  ];
+  return {
+    background: toHex(background),
+    foreground: toHex(foreground),
+    cursor: toHex(foreground),
+    colors: colors.map(toHex)
+  };
+}
+
+// context: { palette (palette.js, with colors), scheme, imagePath, trackInfo }
+const FORMATS = {
+  pywal: {
+    file: 'colors.json',
+    render: ({ scheme, imagePath }) => JSON.stringify({
+      wallpaper: imagePath,
+      alpha: '100',
+      special: { background: scheme.background, foreground: scheme.foreground, cursor: scheme.cursor },
+      colors: Object.fromEntries(scheme.colors.map((color, index) => [`color${index}`, color]))
+    }, null, 2) + '\n'
+  },
+  xresources: {
+    file: 'colors.Xresources',
+    render: ({ scheme, trackInfo }) => [
+      `! ${describe(trackInfo)}`,
+      `*.background: ${scheme.background}`,
+      `*.foreground: ${scheme.foreground}`,
+      `*.cursorColor: ${scheme.cursor}`,
+      ...scheme.colors.map((color, index) => `*.color${index}: ${color}`)
+    ].join('\n') + '\n'
+  },
+  css: {
+    file: 'colors.css',
+    render: ({ palette, scheme, imagePath, trackInfo }) => [
+      `/* ${describe(trackInfo)} */`,
+      ':root {',
+      `  --wallpaper: url("${imagePath.replace(/["\\]/g, '\\$&')}");`,
+      `  --background: ${scheme.background};`,
+      `  --foreground: ${scheme.foreground};`,
+      `  --cursor: ${scheme.cursor};`,
+      ...scheme.colors.map((color, index) => `  --color${index}: ${color};`),
+      `  --text: ${toHex(palette.text)};`,
+      `  --text-secondary: ${toHex(palette.textSecondary)};`,
+      `  --accent: ${toHex(palette.accent)};`,
+      ...palette.swatches.map((swatch, index) => `  --swatch${index + 1}: ${swatch.hex};`),
+      '}'
+    ].join('\n') + '\n'
+  },
+  json: {
+    file: 'palette.json',
+    render: ({ palette, scheme, imagePath, trackInfo }) => JSON.stringify({
+      track: trackInfo.track,
+      artist: trackInfo.artist,
+      album: trackInfo.album,
+      image: imagePath,
+      isLight: palette.isLight,
+      luminance: palette.luminance,
+      text: toHex(palette.text),
+      textSecondary: toHex(palette.textSecondary),
+      accent: toHex(palette.accent),
+      contrast: palette.contrast,
+      swatches: palette.swatches.map(swatch => ({ name: swatch.name, hex: swatch.hex, share: Number(swatch.share.toFixed(3)) })),
+      terminal: scheme
+    }, null, 2) + '\n'
+  },
+  kitty: {
+    file: 'kitty.conf',
+    render: ({ palette, scheme, trackInfo }) => [
+      `# ${describe(trackInfo)}`,
+      `background ${scheme.background}`,
+      `foreground ${scheme.foreground}`,
+      `cursor ${scheme.cursor}`,
+      `selection_background ${scheme.colors[8]}`,
+      `selection_foreground ${scheme.foreground}`,
+      `url_color ${toHex(palette.accent)}`,
+      ...scheme.colors.map((color, index) => `color${index} ${color}`)
+    ].join('\n') + '\n'
+  },
+  alacritty: {
+    file: 'alacritty.toml',
+    render: ({ scheme, trackInfo }) => [
+      `# ${describe(trackInfo)}`,
+      '[colors.primary]',
+      `background = "${scheme.background}"`,
+      `foreground = "${scheme.foreground}"`,
+      '',
+      '[colors.cursor]',
+      `cursor = "${scheme.cursor}"`,
+      `text = "${scheme.background}"`,
+      '',
+      '[colors.normal]',
+      ...ALACRITTY_NAMES.map((name, index) => `${name} = "${scheme.colors[index]}"`),
+      '',
+      '[colors.bright]',
+      ...ALACRITTY_NAMES.map((name, index) => `${name} = "${scheme.colors[index + 8]}"`)
+    ].join('\n') + '\n'
+  }
+};
+
+// One line for the header comment of the generated files
+function describe(trackInfo) {
+  return `Colors of "${trackInfo.album}" by ${trackInfo.artist}, written by spotify-wallpaper`.replace(/[\r\n]+/g, ' ');
+}
+
+function runReloadCommand(command, env, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    // Own process group, so a timeout also stops whatever the command started
+    const child = spawn('/bin/sh', ['-c', command], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      env: { ...process.env, ...env },
+      detached: true
+    });
+    let stderr = '';
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }, timeoutMs);
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Reload command ${signal ? `was stopped after ${timeoutMs}ms` : `exited with code ${code}`}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+function createPaletteExporter(options = {}) {
+  const settings = { ...DEFAULT_PALETTE_EXPORT, ...options };
+  const targets = (settings.targets || []).map((target) => {
+    const format = FORMATS[target.format];
+    if (!format) {
+      throw new Error(`Unknown palette export format "${target.format}" (expected one of ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return { format: target.format, path: path.resolve(expandHome(target.path || path.join(DEFAULT_DIR, format.file))) };
+  });
+
+  // Exports run one after another; a track change during a slow reload
+  // command only exports the newest palette afterwards
+  let running = null;
+  let queued = null;
+
+  async function write(context) {
+    const scheme = terminalScheme(context.palette);
+    const written = [];
+    for (const target of targets) {
+      try {
+        writeFileAtomic(target.path, FORMATS[target.format].render({ ...context, scheme: scheme }));
+        written.push(target);
+      } catch (error) {
+        console.error(`[${new Date().toLocaleTimeString()}] Could not write the ${target.format} palette to ${target.path}:`, error.message);
+      }
+    }
+    if (written.length > 0) {
+      console.log(`Palette exported: ${written.map(target => target.format).join(', ')}`);
+    }
+    if (settings.reloadCommand && written.length > 0) {
+      try {
+        await runReloadCommand(settings.reloadCommand, {
+          SPOTIFY_WALLPAPER_IMAGE: context.imagePath,
+          SPOTIFY_WALLPAPER_TRACK: context.trackInfo.track || '',
+          SPOTIFY_WALLPAPER_ARTIST: context.trackInfo.artist || '',
+          SPOTIFY_WALLPAPER_ACCENT: toHex(context.palette.accent)
+        }, settings.reloadTimeoutMs);
+      } catch (error) {
+        console.error(`[${new Date().toLocaleTimeString()}] ${error.message}`);
+      }
+    }
+  }
+
+  // palette from palette.js (with colors), the shown image and { track, artist, album }
+  function exportPalette(palette, imagePath, trackInfo) {
+    queued = { palette: palette, imagePath: path.resolve(imagePath), trackInfo: trackInfo };
+    if (!running) {
+      running = (async () => {
+        while (queued) {
+          const context = queued;
+          queued = null;
+          await write(context);
+        }
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  return {
+    settings,
+    targets,
+    exportPalette
+  };
+}
+
+module.exports = {
+  createPaletteExporter,
+  terminalScheme,
+  FORMATS,
+  DEFAULT_PALETTE_EXPORT
+};
@@ -0,0 +1,182 @@
+// Palette of an album cover
+//
+// Vibrant finds up to six named swatches. They are ranked by population (how
+// much of the cover they cover), near-duplicates are merged, and text and
+// accent colors are derived that stay readable (WCAG contrast) on the
+// gradient made from the swatches:
+//   {
+//     colors,        // six [r, g, b] for --color1..6: the swatches, most common first, repeated to fill
+//     swatches,      // [{ name, rgb, hex, population, share }] in the same order
+//     isLight,       // whether the cover is light overall
+//     luminance,     // relative luminance of the population-weighted average (0-1)
+//     text,          // [r, g, b], at least 4.5:1 against every swatch where possible
+//     textSecondary, // [r, g, b], softer than text, still at least 4.5:1 against the average
+//     accent,        // [r, g, b], a vivid swatch adjusted to at least 4.5:1 against the average
+//     contrast       // { text, accent }: the worst contrast ratios that were reached
+//   }
+
+const Vibrant = require('node-vibrant');
+
+const SWATCH_NAMES = ['Vibrant', 'Muted', 'DarkVibrant', 'DarkMuted', 'LightVibrant', 'LightMuted'];
+// Swatches closer than this (Euclidean RGB distance) count as the same color
+const MERGE_DISTANCE = 32;
+const TEXT_CONTRAST = 4.5;     // WCAG AA for normal text
+// The accent is exported as a text color too (kitty url_color, --accent in CSS)
+const ACCENT_CONTRAST = TEXT_CONTRAST;
+const WHITE = [255, 255, 255];
+const NEAR_BLACK = [18, 18, 18];
+
+// Used when the cover cannot be read: neutral greys
+const FALLBACK_COLORS = [[48, 48, 48], [28, 28, 28], [72, 72, 72], [16, 16, 16]];
+
+function channelLuminance(channel) {
+  const value = channel / 255;
+  return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+// WCAG relative luminance (0 = black, 1 = white)
+function relativeLuminance(rgb) {
+  return 0.2126 * channelLuminance(rgb[0]) + 0.7152 * channelLuminance(rgb[1]) + 0.0722 * channelLuminance(rgb[2]);
+}
+
+// WCAG contrast ratio, 1 to 21
+function contrastRatio(a, b) {
+  const lighter = Math.max(relativeLuminance(a), relativeLuminance(b));
+  const darker = Math.min(relativeLuminance(a), relativeLuminance(b));
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// `amount` of the way from a to b
+function mix(a, b, amount) {
+  return a.map((channel, index) => Math.round(channel + (b[index] - channel) * amount));
+}
+
+function distance(a, b) {
+  return Math.sqrt(a.reduce((sum, channel, index) => sum + Math.pow(channel - b[index], 2), 0));
+}
+
+function toHex(rgb) {
+  return '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+}
+
+function saturation(rgb) {
+  const max = Math.max(...rgb);
+  const min = Math.min(...rgb);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+// Worst contrast of `color` against any of `backgrounds`
+function minContrast(color, backgrounds) {
+  return Math.min(...backgrounds.map(background => contrastRatio(color, background)));
+}
+
+// Ranked, merged swatches from a Vibrant palette
+function rankSwatches(vibrantPalette) {
+  const swatches = [];
+  for (const name of SWATCH_NAMES) {
+    const swatch = vibrantPalette[name];
+    if (!swatch) {
+      continue;
+    }
+    const rgb = swatch.getRgb().map(Math.round);
+    const population = swatch.getPopulation();
+    const twin = swatches.find(existing => distance(existing.rgb, rgb) < MERGE_DISTANCE);
+    if (twin) {
+      // Keep one color, weighted towards the more common of the two
+      twin.rgb = mix(twin.rgb, rgb, population / (twin.population + population || 1));
+      twin.population += population;
+      continue;
+    }
+    swatches.push({ name: name, rgb: rgb, population: population });
+  }
+  swatches.sort((a, b) => b.population - a.population);
+  const total = swatches.reduce((sum, swatch) => sum + swatch.population, 0) || 1;
+  return swatches.map(swatch => ({ ...swatch, hex: toHex(swatch.rgb), share: swatch.population / total }));
+}
+
+function weightedAverage(swatches) {
+  const total = swatches.reduce((sum, swatch) => sum + swatch.share, 0) || 1;
+  return [0, 1, 2].map(index => Math.round(swatches.reduce((sum, swatch) => sum + swatch.rgb[index] * swatch.share, 0) / total));
+}
+
+// Text color: a tint of the palette if one is readable on every swatch,
+// otherwise white or near-black, whichever reads best
+function deriveText(colors, isLight) {
+  const lightest = colors.reduce((best, color) => (relativeLuminance(color) > relativeLuminance(best) ? color : best));
+  const darkest = colors.reduce((best, color) => (relativeLuminance(color) < relativeLuminance(best) ? color : best));
+  const light = [mix(lightest, WHITE, 0.85), WHITE];
+  const dark = [mix(darkest, NEAR_BLACK, 0.85), NEAR_BLACK];
+  const candidates = isLight ? [...dark, ...light] : [...light, ...dark];
+  const passing = candidates.find(candidate => minContrast(candidate, colors) >= TEXT_CONTRAST);
+  if (passing) {
+    return passing;
+  }
+  return [WHITE, NEAR_BLACK].reduce((best, candidate) => (minContrast(candidate, colors) > minContrast(best, colors) ? candidate : best));
+}
+
+// Move `color` towards white or black until it reaches `ratio` against `background`
+function ensureContrast(color, background, ratio, towards) {
+  for (let amount = 0; amount <= 1; amount += 0.05) {
+    const candidate = mix(color, towards, amount);
+    if (contrastRatio(candidate, background) >= ratio) {
+      return candidate;
+    }
+  }
+  return towards;
+}
+
+// Palette from Vibrant's result; see the top of the file
+function buildPalette(vibrantPalette) {
+  let swatches = rankSwatches(vibrantPalette);
+  if (swatches.length === 0) {
+    swatches = FALLBACK_COLORS.map((rgb, index) => ({ name: 'Fallback', rgb: rgb, hex: toHex(rgb), population: 0, share: index === 0 ? 1 : 0 }));
+  }
+  // The gradient layouts use all six; repeat the most common ones
+  const colors = swatches.map(swatch => swatch.rgb);
+  for (let index = 0; colors.length < 6; index++) {
+    colors.push(colors[index]);
+  }
+
+  const average = weightedAverage(swatches);
+  const luminance = relativeLuminance(average);
+  const isLight = luminance > 0.4;
+  const text = deriveText(colors, isLight);
+  const towardsText = relativeLuminance(text) > luminance ? WHITE : NEAR_BLACK;
+  const textSecondary = ensureContrast(mix(text, average, 0.3), average, TEXT_CONTRAST, towardsText);
+  const vivid = swatches.reduce((best, swatch) => (saturation(swatch.rgb) > saturation(best.rgb) ? swatch : best)).rgb;
+  const accent = ensureContrast(vivid, average, ACCENT_CONTRAST, towardsText);
+
+  return {
+    colors: colors,
+    swatches: swatches,
+    isLight: isLight,
+    luminance: Number(luminance.toFixed(3)),
+    text: text,
+    textSecondary: textSecondary,
+    accent: accent,
+    contrast: {
+      text: Number(minContrast(text, colors).toFixed(2)),
+      accent: Number(contrastRatio(accent, average).toFixed(2))
+    }
+  };
+}
+
+// Palette of an image file; a neutral palette when the image cannot be read
+async function extractPalette(imagePath) {
+  try {
+    return buildPalette(await Vibrant.from(imagePath).getPalette());
+  } catch (error) {
+    console.error('Error extracting colors:', error.message);
+    return buildPalette({});
+  }
+}
+
+module.exports = {
+  extractPalette,
+  buildPalette,
+  contrastRatio,
+  relativeLuminance,
+  ensureContrast,
+  mix,
+  toHex
+};
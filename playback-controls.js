@@ -0,0 +1,187 @@
+// Playback controls: play/pause, next/previous, like/unlike and volume
+//
+// Off by default; enabling them requests the extra scopes in
+// FEATURE_SCOPES.controls (see tokens.js). Configured under `controls` in
+// .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "keys": { " ": "toggle", ... },              // window shortcuts, KeyboardEvent.key -> action
+//     "globalShortcuts": { "MediaPlayPause": "toggle" }, // Electron accelerators, work without focus
+//     "overlay": true,                             // on-screen buttons, shown on mouse/touch/key input
+//     "overlayHideMs": 3000,
+//     "volumeStep": 10
+//   }
+// The display sends { action, value } requests (see display-protocol.js); every
+// request is answered with a status { trackId, liked, volume, isPlaying, error }
+// that the display shows in the overlay. Controls always go through the
+// Spotify Web API, also with the mpris track source, and need Spotify Premium.
+
+const ACTIONS = ['toggle', 'play', 'pause', 'next', 'previous', 'like', 'unlike', 'toggle-like', 'volume-up', 'volume-down', 'volume'];
+
+const DEFAULT_CONTROLS = {
+  enabled: false,
+  keys: {
+    ' ': 'toggle',
+    'k': 'toggle',
+    'ArrowRight': 'next',
+    'ArrowLeft': 'previous',
+    'l': 'toggle-like',
+    'ArrowUp': 'volume-up',
+    'ArrowDown': 'volume-down'
+  },
+  globalShortcuts: {},
+  overlay: true,
+  overlayHideMs: 3000,
+  volumeStep: 10
+};
+
+// Readable reasons for the player endpoint errors users actually hit
+function describeError(error) {
+  const reason = error.body && error.body.error && error.body.error.reason;
+  if (reason === 'NO_ACTIVE_DEVICE' || error.statusCode === 404) {
+    return 'No active Spotify device';
+  }
+  if (reason === 'PREMIUM_REQUIRED') {
+    return 'Spotify Premium is required for playback control';
+  }
+  if (error.statusCode === 403) {
+    return 'Spotify refused the request (Premium required, or missing permission: run auth again)';
+  }
+  return error.message || 'Unknown error';
+}
+
+// deps.spotifyClient - the central Spotify client (spotify-client.js)
+function createPlaybackControls(options = {}, deps) {
+  const settings = {
+    ...DEFAULT_CONTROLS,
+    ...options,
+    keys: { ...DEFAULT_CONTROLS.keys, ...(options.keys || {}) }
+  };
+  const { spotifyClient } = deps;
+
+  for (const [binding, action] of [...Object.entries(settings.keys), ...Object.entries(settings.globalShortcuts)]) {
+    if (action && !ACTIONS.includes(action)) {
+      console.warn(`[${new Date().toLocaleTimeString()}] Ignoring shortcut "${binding}": unknown action "${action}" (expected one of ${ACTIONS.join(', ')})`);
+    }
+  }
+
+  // What the display needs for shortcuts and the overlay
+  function pageSettings() {
+    const valid = (bindings) => Object.fromEntries(Object.entries(bindings).filter(([, action]) => ACTIONS.includes(action)));
+    return {
+      keys: valid(settings.keys),
+      globalShortcuts: valid(settings.globalShortcuts),
+      overlay: settings.overlay,
+      overlayHideMs: settings.overlayHideMs
+    };
+  }
+
+  async function playbackState() {
+    const response = await spotifyClient.call('playback-state', api => api.getMyCurrentPlaybackState());
+    // 204 (nothing playing anywhere) has no body
+    return response.body && response.body.device ? response.body : null;
+  }
+
+  async function isLiked(trackId) {
+    const response = await spotifyClient.call('library', api => api.containsMySavedTracks([trackId]));
+    return !!response.body[0];
+  }
+
+  async function setLiked(trackId, liked) {
+    await spotifyClient.call('library', api => (liked ? api.addToMySavedTracks([trackId]) : api.removeFromMySavedTracks([trackId])));
+  }
+
+  async function setVolume(state, volume) {
+    if (!state || typeof state.device.volume_percent !== 'number') {
+      throw new Error('The active device does not support volume control');
+    }
+    const clamped = Math.round(Math.max(0, Math.min(100, volume)));
+    await spotifyClient.call('player', api => api.setVolume(clamped));
+    return clamped;
+  }
+
+  // fallbackTrackId is the track on screen, liked when nothing is playing
+  async function run(action, value, fallbackTrackId = null) {
+    const status = { action: action, trackId: fallbackTrackId, liked: null, volume: null, isPlaying: null, error: null };
+    try {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown control action "${action}"`);
+      }
+      const state = await playbackState();
+      if (state) {
+        status.isPlaying = !!state.is_playing;
+        status.volume = typeof state.device.volume_percent === 'number' ? state.device.volume_percent : null;
+        if (state.item && state.item.type !== 'episode') {
+          status.trackId = state.item.id;
+        }
+      }
+
+      switch (action) {
+        case 'toggle':
+        case 'play':
+        case 'pause': {
+          const play = action === 'toggle' ? !status.isPlaying : action === 'play';
+          await spotifyClient.call('player', api => (play ? api.play() : api.pause()));
+          status.isPlaying = play;
+          break;
+        }
+        case 'next':
+          await spotifyClient.call('player', api => api.skipToNext());
+          break;
+        case 'previous':
+          await spotifyClient.call('player', api => api.skipToPrevious());
+          break;
+        case 'like':
+        case 'unlike':
+        case 'toggle-like': {
+          if (!status.trackId) {
+            throw new Error('No track to like');
+          }
+          const liked = action === 'toggle-like' ? !(await isLiked(status.trackId)) : action === 'like';
+          await setLiked(status.trackId, liked);
+          status.liked = liked;
+          break;
+        }
+        case 'volume-up':
+        case 'volume-down':
+          status.volume = await setVolume(state, (status.volume || 0) + (action === 'volume-up' ? 1 : -1) * settings.volumeStep);
+          break;
+        case 'volume':
+          if (typeof value !== 'number') {
+            throw new Error('"volume" needs a value between 0 and 100');
+          }
+          status.volume = await setVolume(state, value);
+          break;
+      }
+      console.log(`[${new Date().toLocaleTimeString()}] Playback control: ${action}${status.volume !== null && action.startsWith('volume') ? ` (${status.volume}%)` : ''}`);
+    } catch (error) {
+      status.error = describeError(error);
+      console.error(`[${new Date().toLocaleTimeString()}] Playback control "${action}" failed:`, status.error);
+    }
+    return status;
+  }
+
+  // Like state of a newly shown track, for the overlay
+  async function statusFor(trackId) {
+    const status = { action: null, trackId: trackId, liked: null, volume: null, isPlaying: null, error: null };
+    try {
+      status.liked = await isLiked(trackId);
+    } catch (error) {
+      // Episodes, albums pinned through the HTTP API and local files cannot be liked
+    }
+    return status;
+  }
+
+  return {
+    settings,
+    pageSettings,
+    run,
+    statusFor
+  };
+}
+
+module.exports = {
+  createPlaybackControls,
+  ACTIONS,
+  DEFAULT_CONTROLS
+};
@@ -0,0 +1,65 @@
+// Adaptive poll scheduling
+//
+// Plans the delay until the next poll from the playback state of the last
+// poll instead of using a fixed interval:
+// - while playing, the next poll lands just after the expected end of the
+//   track, but never later than playingIntervalMs (so skips are still noticed)
+// - close to a transition the delay shrinks towards minIntervalMs
+// - while paused, with nothing playing, or after errors the delay backs off
+//   exponentially up to maxIntervalMs
+
+const DEFAULT_POLLING = {
+  minIntervalMs: 2000,          // Never poll more often than this
+  maxIntervalMs: 120000,        // Longest back-off when paused or idle
+  playingIntervalMs: 15000,     // Longest gap between polls while a track plays
+  transitionGraceMs: 1500,      // Poll this long after the expected end of a track
+  backoffFactor: 2              // Growth of the delay while paused or idle
+};
+
+function createPollScheduler(options = {}) {
+  const settings = { ...DEFAULT_POLLING, ...options };
+  if (settings.maxIntervalMs < settings.minIntervalMs) {
+    settings.maxIntervalMs = settings.minIntervalMs;
+  }
+  let idleDelay = null;
+
+  function clamp(delay) {
+    return Math.round(Math.min(settings.maxIntervalMs, Math.max(settings.minIntervalMs, delay)));
+  }
+
+  // nowPlaying is the normalized track from the track source (or null)
+  // failed should be true when the poll could not reach the source
+  function nextDelay(nowPlaying, { failed = false } = {}) {
+    if (!failed && nowPlaying && nowPlaying.isPlaying) {
+      idleDelay = null;
+      if (typeof nowPlaying.progressMs === 'number' && typeof nowPlaying.durationMs === 'number' && nowPlaying.durationMs > 0) {
+        const remaining = Math.max(0, nowPlaying.durationMs - nowPlaying.progressMs);
+        return clamp(Math.min(remaining + settings.transitionGraceMs, settings.playingIntervalMs));
+      }
+      return clamp(settings.playingIntervalMs);
+    }
+
+    // Paused, nothing playing or an error: back off gradually
+    idleDelay = idleDelay === null
+      ? settings.playingIntervalMs
+      : idleDelay * settings.backoffFactor;
+    idleDelay = clamp(idleDelay);
+    return idleDelay;
+  }
+
+  // Forget the back-off, after a forced refresh or playback control
+  function reset() {
+    idleDelay = null;
+  }
+
+  return {
+    settings,
+    nextDelay,
+    reset
+  };
+}
+
+module.exports = {
+  createPollScheduler,
+  DEFAULT_POLLING
+};
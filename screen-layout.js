@@ -0,0 +1,105 @@
+// Which screens get a display window, and with which layout and scale
+//
+// Configured under `display` in .spotify-config.json:
+//   {
+//     "screens": "all",        // "all", "primary", or a list of screen entries
+//     "layout": "default",     // default layout for every window (see theme-loader.js)
+//     "theme": "default",      // default theme for every window
+//     "scale": 1               // default scale for every window
+//   }
+// A screen entry picks one screen and optionally overrides layout/theme/scale:
+//   { "screen": "primary" | <index> | "<label or id>", "layout": "split", "theme": "light", "scale": 1.5 }
+// and, for wallpaper mode, names the output for setters that need it:
+//   { "screen": 1, "output": "HDMI-1" }
+// Indexes follow Electron's screen.getAllDisplays() order; labels are the
+// monitor names Electron reports (matched case-insensitively as a substring).
+//
+// Kept free of Electron so the selection can be reasoned about (and run) in
+// plain Node; electron-main.js passes in the display objects.
+
+const DEFAULT_SCREEN_CONFIG = {
+  screens: 'all',
+  layout: 'default',
+  theme: 'default',
+  scale: 1
+};
+
+function findScreen(displays, primaryId, selector) {
+  if (selector === 'primary') {
+    return displays.find(d => d.id === primaryId);
+  }
+  if (typeof selector === 'number') {
+    return displays[selector];
+  }
+  if (typeof selector === 'string') {
+    const wanted = selector.toLowerCase();
+    return displays.find(d => String(d.id) === selector) ||
+      displays.find(d => d.label && d.label.toLowerCase().includes(wanted));
+  }
+  return undefined;
+}
+
+function normalizeScale(scale, warn) {
+  const value = Number(scale);
+  if (Number.isFinite(value) && value > 0) {
+    return value;
+  }
+  warn(`Invalid scale "${scale}", using 1`);
+  return 1;
+}
+
+// displays  - Electron Display objects ({ id, label, bounds, ... })
+// primaryId - id of screen.getPrimaryDisplay()
+// Returns one target per window:
+//   { displayId, label, primary, bounds, scaleFactor, output, layout, theme, scale }
+// Layout and theme names are checked when the page is built (theme-loader.js)
+function resolveScreens(displays, primaryId, displayConfig = {}, warn = () => {}) {
+  const config = { ...DEFAULT_SCREEN_CONFIG, ...displayConfig };
+  let entries;
+  if (config.screens === 'all') {
+    entries = displays.map((d, index) => ({ screen: index }));
+  } else if (config.screens === 'primary') {
+    entries = [{ screen: 'primary' }];
+  } else if (Array.isArray(config.screens)) {
+    entries = config.screens;
+  } else {
+    warn(`Unknown display.screens value ${JSON.stringify(config.screens)}, using "all"`);
+    entries = displays.map((d, index) => ({ screen: index }));
+  }
+
+  const targets = [];
+  for (const entry of entries) {
+    const display = findScreen(displays, primaryId, entry.screen);
+    if (!display) {
+      // Not connected right now, e.g. an external monitor while undocked
+      continue;
+    }
+    if (targets.some(t => t.displayId === display.id)) {
+      warn(`Screen ${JSON.stringify(entry.screen)} is listed more than once, ignoring the duplicate`);
+      continue;
+    }
+    targets.push({
+      displayId: display.id,
+      label: display.label || `display ${display.id}`,
+      primary: display.id === primaryId,
+      bounds: display.bounds,
+      scaleFactor: display.scaleFactor || 1,
+      output: entry.output || null,
+      layout: entry.layout || config.layout,
+      theme: entry.theme || config.theme,
+      scale: normalizeScale(entry.scale !== undefined ? entry.scale : config.scale, warn)
+    });
+  }
+
+  // Never end up with no window at all because the listed screens are unplugged
+  if (targets.length === 0 && displays.length > 0 && config.screens !== 'primary') {
+    warn('None of the configured screens is connected, using the primary screen');
+    return resolveScreens(displays, primaryId, { ...displayConfig, screens: 'primary' }, warn);
+  }
+  return targets;
+}
+
+module.exports = {
+  DEFAULT_SCREEN_CONFIG,
+  resolveScreens
+};
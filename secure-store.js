@@ -0,0 +1,280 @@
+// Secret storage for the refresh/access tokens and the client secret
+//
+// Backends (config.storage.backend):
+// - "encrypted-file" (default): AES-256-GCM encrypted files in
+//   ~/.config/spotify-wallpaper (outside the working copy). The key is derived
+//   with scrypt from a passphrase in $SPOTIFY_WALLPAPER_PASSPHRASE, or from a
+//   key file that is generated on first use (mode 0600) in
+//   ~/.local/share/spotify-wallpaper. The key file is kept apart from the
+//   encrypted files, so a copy or backup of one directory is not enough to
+//   read the tokens; a key file inside the storage directory is refused unless
+//   storage.allowKeyNextToSecrets is set.
+// - "secret-service": the desktop keyring (GNOME Keyring, KWallet, ...) through
+//   libsecret's `secret-tool`.
+// - "plaintext": the old behaviour, .spotify-tokens.json next to the script and
+//   clientSecret inside .spotify-config.json.
+//
+// Every backend stores named string secrets: read(name), write(name, value),
+// remove(name) and describe() for log messages.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { writeFileAtomic, expandHome } = require('./fs-utils');
+
+const SECRET_SERVICE_ATTRIBUTE = 'spotify-wallpaper';
+
+function defaultStorageDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'spotify-wallpaper');
+}
+
+function defaultKeyFile() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'spotify-wallpaper', 'secret.key');
+}
+
+// Earlier versions generated the key next to the secrets; move it to the new
+// default so existing tokens stay readable
+function moveLegacyKeyFile(directory, keyFile) {
+  const legacyKeyFile = path.join(directory, 'secret.key');
+  if (fs.existsSync(keyFile) || !fs.existsSync(legacyKeyFile) || path.resolve(legacyKeyFile) === path.resolve(keyFile)) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  try {
+    fs.renameSync(legacyKeyFile, keyFile);
+  } catch (e) {
+    if (e.code !== 'EXDEV') {
+      throw e;
+    }
+    writeFileAtomic(keyFile, fs.readFileSync(legacyKeyFile, 'utf8'), 0o600);
+    fs.unlinkSync(legacyKeyFile);
+  }
+  console.log(`Moved encryption key file ${legacyKeyFile} to ${keyFile}`);
+}
+
+// AES-256-GCM file store
+function createEncryptedFileStore(options = {}) {
+  const directory = expandHome(options.directory) || defaultStorageDir();
+  const keyFile = expandHome(options.keyFile) || defaultKeyFile();
+  const passphraseEnv = options.passphraseEnv || 'SPOTIFY_WALLPAPER_PASSPHRASE';
+  const keyNextToSecrets = path.resolve(path.dirname(keyFile)) === path.resolve(directory);
+  const derivedKeys = new Map();
+
+  // Passphrase from the environment wins; otherwise the key file (created on first use)
+  function keyMaterial() {
+    if (process.env[passphraseEnv]) {
+      return { source: `$${passphraseEnv}`, secret: process.env[passphraseEnv] };
+    }
+    if (keyNextToSecrets && !options.allowKeyNextToSecrets) {
+      throw new Error(`Refusing to use the key file ${keyFile}: it sits next to the encrypted secrets, so anyone who can read ${directory} can decrypt them. ` +
+        `Move it (storage.keyFile), set $${passphraseEnv}, or set storage.allowKeyNextToSecrets to true`);
+    }
+    if (!options.keyFile) {
+      moveLegacyKeyFile(directory, keyFile);
+    }
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+      writeFileAtomic(keyFile, crypto.randomBytes(32).toString('hex') + '\n', 0o600);
+      console.log(`Generated encryption key file ${keyFile}`);
+    }
+    return { source: keyFile, secret: fs.readFileSync(keyFile, 'utf8').trim() };
+  }
+
+  // scrypt is deliberately slow, so keys are cached per salt
+  function deriveKey(salt) {
+    const material = keyMaterial();
+    const cacheKey = `${material.source}:${salt.toString('hex')}`;
+    if (!derivedKeys.has(cacheKey)) {
+      derivedKeys.set(cacheKey, crypto.scryptSync(material.secret, salt, 32));
+    }
+    return derivedKeys.get(cacheKey);
+  }
+
+  function fileFor(name) {
+    return path.join(directory, `${name}.enc`);
+  }
+
+  return {
+    backend: 'encrypted-file',
+
+    read(name) {
+      const file = fileFor(name);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const salt = Buffer.from(envelope.salt, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(salt), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      try {
+        return Buffer.concat([
+          decipher.update(Buffer.from(envelope.data, 'base64')),
+          decipher.final()
+        ]).toString('utf8');
+      } catch (e) {
+        throw new Error(`Could not decrypt ${file} - wrong passphrase or key file?`);
+      }
+    },
+
+    write(name, value) {
+      const salt = crypto.randomBytes(16);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(salt), iv);
+      const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+      const envelope = {
+        version: 1,
+        cipher: 'aes-256-gcm',
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      };
+      fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+      writeFileAtomic(fileFor(name), JSON.stringify(envelope, null, 2), 0o600);
+    },
+
+    remove(name) {
+      try {
+        fs.unlinkSync(fileFor(name));
+      } catch (e) {
+        // Already gone
+      }
+    },
+
+    describe() {
+      return `encrypted files in ${directory}`;
+    },
+
+    // Whether the key is a key file in the same directory as the secrets
+    // (only with allowKeyNextToSecrets), which is no protection against
+    // someone who can read that directory
+    keyNextToSecrets() {
+      return !process.env[passphraseEnv] && keyNextToSecrets;
+    }
+  };
+}
+
+// libsecret keyring through `secret-tool`
+function createSecretServiceStore() {
+  function secretTool(args, input) {
+    return execFileSync('secret-tool', args, {
+      input: input,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 10000
+    });
+  }
+
+  const attributes = (name) => ['service', SECRET_SERVICE_ATTRIBUTE, 'account', name];
+
+  try {
+    execFileSync('secret-tool', ['--version'], { stdio: 'ignore', timeout: 5000 });
+  } catch (e) {
+    // Older secret-tool versions have no --version but still exist
+    if (e.code === 'ENOENT') {
+      throw new Error('storage.backend "secret-service" needs secret-tool (package libsecret-tools or libsecret)');
+    }
+  }
+
+  return {
+    backend: 'secret-service',
+
+    read(name) {
+      try {
+        const value = secretTool(['lookup', ...attributes(name)]);
+        return value ? value : null;
+      } catch (e) {
+        // secret-tool exits with 1 when nothing matches
+        if (e.status === 1 && !e.stderr) {
+          return null;
+        }
+        throw new Error(`Could not read ${name} from the Secret Service: ${(e.stderr || e.message).toString().trim()}`);
+      }
+    },
+
+    write(name, value) {
+      secretTool(['store', `--label=Spotify Wallpaper ${name}`, ...attributes(name)], String(value));
+    },
+
+    remove(name) {
+      try {
+        secretTool(['clear', ...attributes(name)]);
+      } catch (e) {
+        // Nothing stored
+      }
+    },
+
+    describe() {
+      return 'the Secret Service keyring';
+    }
+  };
+}
+
+// Returns null for the plaintext backend (callers keep their old file handling)
+function createSecretStore(options = {}) {
+  const backend = options.backend || 'encrypted-file';
+  switch (backend) {
+    case 'plaintext':
+      return null;
+    case 'encrypted-file':
+      return createEncryptedFileStore(options);
+    case 'secret-service':
+      return createSecretServiceStore(options);
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected "encrypted-file", "secret-service" or "plaintext")`);
+  }
+}
+
+// Expiry of a stored token JSON string, 0 when it has none or does not parse
+function tokensExpireAt(value) {
+  try {
+    return JSON.parse(value).expires_at || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Move plaintext secrets into the store: the token file is imported (unless
+// the store already holds the same or newer tokens) and deleted, and
+// clientSecret is removed from the config file
+function migratePlaintextSecrets(store, { config, configFile, tokenFile }) {
+  if (!store) {
+    return;
+  }
+
+  if (fs.existsSync(tokenFile)) {
+    const plaintext = fs.readFileSync(tokenFile, 'utf8');
+    const stored = store.read('tokens');
+    if (!stored) {
+      store.write('tokens', plaintext);
+      console.log(`Migrated ${path.basename(tokenFile)} to ${store.describe()}`);
+    } else if (stored.trim() !== plaintext.trim()) {
+      if (tokensExpireAt(plaintext) > tokensExpireAt(stored)) {
+        store.write('tokens', plaintext);
+        console.log(`Replaced the tokens in ${store.describe()} with the newer ones from ${path.basename(tokenFile)}`);
+      } else {
+        console.log(`Discarded ${path.basename(tokenFile)}, ${store.describe()} already holds the same or newer tokens`);
+      }
+    }
+    fs.unlinkSync(tokenFile);
+  }
+
+  if (config.clientSecret) {
+    store.write('clientSecret', config.clientSecret);
+    const rawConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    delete rawConfig.clientSecret;
+    writeFileAtomic(configFile, JSON.stringify(rawConfig, null, 2) + '\n', 0o600);
+    console.log(`Moved clientSecret from ${path.basename(configFile)} to ${store.describe()}`);
+  }
+}
+
+module.exports = {
+  createSecretStore,
+  migratePlaintextSecrets,
+  defaultStorageDir
+};
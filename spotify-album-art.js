@@ -3,17 +3,45 @@
 const SpotifyWebApi = require('spotify-web-api-node');
 const fs = require('fs');
 const path = require('path');
-const { exec, spawn } = require('child_process');
-const http = require('http');
-const https = require('https');
-const { URL } = require('url');
-const Vibrant = require('node-vibrant');
-const selfsigned = require('selfsigned');
+const { extractPalette, toHex } = require('./palette');
+const { createPaletteExporter } = require('./palette-export');
+const { createHooks } = require('./hooks');
+const { createLighting } = require('./lighting');
+const { createArtCache, formatBytes } = require('./art-cache');
+const { createListeningHistory, historyFile, readHistory, summarize, periodsAgo, toCsv, PERIODS } = require('./listening-history');
+const { createTrackSource, sourceNeedsSpotifyApi } = require('./track-sources');
+const { createPollScheduler } = require('./poll-scheduler');
+const { createSpotifyClient } = require('./spotify-client');
+const {
+  TOKEN_FILE,
+  useTokenStore,
+  describeTokenStorage,
+  loadTokens,
+  saveTokens,
+  clearTokens,
+  tokensFromGrant,
+  requiredScopes,
+  missingScopes,
+  isTokenExpiring
+} = require('./tokens');
+const { authFlowFor, authenticate, createTokenRefresher, isHeadless } = require('./spotify-auth');
+const { createSecretStore, migratePlaintextSecrets } = require('./secure-store');
+const { createDisplayProcess } = require('./display-process');
+const { createWallpaperSetter } = require('./wallpaper-setters');
+const { createIdleMode } = require('./idle-mode');
+const { createLocalApi, apiError } = require('./local-api');
+const { createWebDisplay, mirrorDisplay } = require('./web-display');
+const { createPlaybackControls } = require('./playback-controls');
+const { createLyricsLibrary } = require('./lyrics');
+const { runDoctor } = require('./doctor');
 
 // Configuration
 const CONFIG_FILE = path.join(__dirname, '.spotify-config.json');
-const TOKEN_FILE = path.join(__dirname, '.spotify-tokens.json');
 const TEMP_IMAGE_DIR = path.join(__dirname, 'temp');
+// Spotify needs a moment before a skip or pause shows up in the player state
+const CONTROL_REFRESH_DELAY_MS = 700;
+// How long `once` waits for the display to render the track
+const ONCE_RENDER_TIMEOUT_MS = 60000;
 
 // Ensure temp directory exists with proper permissions
 if (!fs.existsSync(TEMP_IMAGE_DIR)) {
@@ -35,471 +63,649 @@ function loadConfig() {
     console.error('See README.md for setup instructions.');
     process.exit(1);
   }
-  return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-}
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
 
-// Load tokens
-function loadTokens() {
-  if (fs.existsSync(TOKEN_FILE)) {
-    return JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
+  // Keep tokens and the client secret out of plaintext files
+  const store = createSecretStore(config.storage);
+  migratePlaintextSecrets(store, { config, configFile: CONFIG_FILE, tokenFile: TOKEN_FILE });
+  useTokenStore(store);
+  if (store && !config.clientSecret) {
+    config.clientSecret = store.read('clientSecret') || undefined;
   }
-  return null;
+  return config;
+}
+
+// Electron display process (see display-process.js), created in main()
+let display = null;
+
+// The track shown last: { track, imagePath, palette, audioFeatures, shownAt }
+let nowShowing = null;
+
+// Downloaded covers and their palettes (see art-cache.js), created in main()
+let artCache = null;
+
+// Local LRC lyrics (see lyrics.js), created in main() when enabled
+let lyricsLibrary = null;
+
+// Writes the palette for terminals and other apps (see palette-export.js), created in main() when enabled
+let paletteExporter = null;
+
+// Send the new track to the display, starting it if needed
+function updateDisplay(imagePath, palette, trackInfo, audioFeatures = null, playback = null, lyrics = null) {
+  const { colors, ...derived } = palette;
+  display.update({
+    imagePath: path.resolve(imagePath),
+    colors: colors,
+    palette: derived,
+    trackInfo: trackInfo,
+    audioFeatures: audioFeatures,
+    playback: playback,
+    lyrics: lyrics
+  });
+}
+
+// Playback position of a track from the source, see display-protocol.js
+function playbackFromTrack(track) {
+  return {
+    trackId: track.id,
+    isPlaying: !!track.isPlaying,
+    progressMs: typeof track.progressMs === 'number' ? track.progressMs : null,
+    durationMs: typeof track.durationMs === 'number' ? track.durationMs : null,
+    device: track.device || null
+  };
 }
 
-// Save tokens
-function saveTokens(tokens) {
-  fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2));
+// Create the Web API wrapper for the configured authorization flow
+function createSpotifyApi(config) {
+  if (!config.clientId) {
+    throw new Error('clientId is missing from .spotify-config.json');
+  }
+  const flow = authFlowFor(config);
+  if (flow === 'authorization-code' && !config.clientSecret) {
+    throw new Error('authFlow "authorization-code" needs clientSecret in .spotify-config.json (or use "pkce")');
+  }
+  const spotifyApi = new SpotifyWebApi({
+    clientId: config.clientId,
+    clientSecret: flow === 'pkce' ? undefined : config.clientSecret,
+    redirectUri: config.redirectUri || 'https://127.0.0.1:8888/callback'
+  });
+  return { spotifyApi, flow, scopes: requiredScopes(config) };
 }
 
-// Download image from URL
-function downloadImage(url, filepath) {
-  return new Promise((resolve, reject) => {
-    // Ensure the directory exists before writing
-    const dir = path.dirname(filepath);
-    if (!fs.existsSync(dir)) {
+// Wait for another process (the `auth` command) to write usable tokens
+function waitForTokenFile(previousTokens, scopes) {
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      let tokens = null;
       try {
-        fs.mkdirSync(dir, { recursive: true, mode: 0o755 });
+        tokens = loadTokens();
       } catch (e) {
-        return reject(new Error(`Failed to create directory ${dir}: ${e.message}`));
-      }
-    }
-    
-    const protocol = url.startsWith('https') ? https : http;
-    const file = fs.createWriteStream(filepath);
-    
-    protocol.get(url, (response) => {
-      if (response.statusCode === 302 || response.statusCode === 301) {
-        // Handle redirect
-        return downloadImage(response.headers.location, filepath)
-          .then(resolve)
-          .catch(reject);
-      }
-      
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlinkSync(filepath);
-        reject(new Error(`Failed to download image: ${response.statusCode}`));
         return;
       }
-      
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close();
+      const changed = tokens && (!previousTokens || tokens.refresh_token !== previousTokens.refresh_token);
+      if (changed && missingScopes(tokens, scopes).length === 0) {
+        clearInterval(timer);
         resolve();
-      });
-    }).on('error', (err) => {
-      file.close();
-      if (fs.existsSync(filepath)) {
-        fs.unlinkSync(filepath);
       }
-      reject(err);
-    });
+    }, 5000);
   });
 }
 
-// Extract colors from image
-async function extractColors(imagePath) {
+// Get new tokens from the user. Without a terminal to paste into (systemd),
+// headless mode waits for `node spotify-album-art.js auth` to be run instead.
+async function obtainTokens(spotifyApi, scopes, flow, headless) {
+  if (headless && !process.stdin.isTTY) {
+    console.error(`[${new Date().toLocaleTimeString()}] Spotify authorization needed, but there is no terminal to complete it here.`);
+    console.error(`Run this from an SSH session or terminal:  node ${path.join(__dirname, 'spotify-album-art.js')} auth`);
+    console.error('Waiting for new tokens...');
+    await waitForTokenFile(loadTokens(), scopes);
+    console.log(`[${new Date().toLocaleTimeString()}] New tokens found`);
+    return;
+  }
+  await authenticate(spotifyApi, scopes, { flow, headless });
+}
+
+// Background re-authorization, started when the refresh token stops working
+// while the service is running. The display keeps showing the last track until
+// the user completes the authorization printed in the log.
+let reauthorization = null;
+
+function startReauthorization(spotifyClient, scopes, flow, headless) {
+  if (reauthorization) {
+    return reauthorization;
+  }
+  console.error(`[${new Date().toLocaleTimeString()}] Spotify needs to be authorized again;`);
+  console.error('polling continues and resumes as soon as authorization completes.');
+  reauthorization = obtainTokens(spotifyClient.api, scopes, flow, headless)
+    .then(() => {
+      spotifyClient.setTokens(loadTokens());
+      console.log(`[${new Date().toLocaleTimeString()}] Re-authorization complete, resuming Spotify polling`);
+    })
+    .catch((error) => {
+      console.error(`[${new Date().toLocaleTimeString()}] Re-authorization failed:`, error.message);
+      // Try again later instead of giving up on an unattended display
+      setTimeout(() => startReauthorization(spotifyClient, scopes, flow, headless), 60000).unref();
+    })
+    .finally(() => {
+      reauthorization = null;
+    });
+  return reauthorization;
+}
+
+// Initialize Spotify API
+// Returns the central API client (see spotify-client.js) with valid tokens.
+// One-shot commands pass interactive: false; they fail instead of waiting
+// for the user to authorize.
+async function initializeSpotify(config, { interactive = true } = {}) {
   try {
-    const palette = await Vibrant.from(imagePath).getPalette();
-    const colors = [];
+    const { spotifyApi, flow, scopes } = createSpotifyApi(config);
+    const headless = isHeadless(config, process.argv.slice(2));
+
+    let tokens = loadTokens();
     
-    // Extract vibrant colors from the palette
-    const colorKeys = ['Vibrant', 'Muted', 'DarkVibrant', 'DarkMuted', 'LightVibrant', 'LightMuted'];
-    for (const key of colorKeys) {
-      if (palette[key]) {
-        const rgb = palette[key].getRgb();
-        colors.push(rgb);
+    if (!tokens && !interactive) {
+      throw new Error('Not authorized yet, run: node spotify-album-art.js auth');
+    } else if (!tokens) {
+      console.log('No saved tokens found. Starting OAuth flow...');
+      await obtainTokens(spotifyApi, scopes, flow, headless);
+      tokens = loadTokens();
+      if (!tokens) {
+        throw new Error('Authentication failed - no tokens saved');
+      }
+    } else {
+      // Enabled features may need scopes the user has not granted yet
+      const missing = missingScopes(tokens, scopes);
+      if (missing.length > 0) {
+        console.log(`Saved tokens are missing scopes for enabled features: ${missing.join(', ')}`);
+      }
+      if (missing.length > 0 && interactive) {
+        console.log('Re-authorizing to request them...');
+        await obtainTokens(spotifyApi, scopes, flow, headless);
+        tokens = loadTokens();
       }
     }
-    
-    // If we don't have enough colors, duplicate some
-    while (colors.length < 4) {
-      colors.push(...colors);
+
+    spotifyApi.setAccessToken(tokens.access_token);
+    spotifyApi.setRefreshToken(tokens.refresh_token);
+
+    const spotifyClient = createSpotifyClient(spotifyApi, {
+      ...config.api,
+      tokenExpiresAt: tokens.expires_at,
+      refreshAccessToken: createTokenRefresher(spotifyApi, flow),
+      onTokens: (body) => saveTokens(tokensFromGrant(body, loadTokens() || {})),
+      onAuthorizationLost: () => {
+        if (interactive) {
+          startReauthorization(spotifyClient, scopes, flow, headless);
+        }
+      }
+    });
+
+    // Refresh up front when the token has expired (or its expiry is unknown)
+    if (isTokenExpiring(tokens, spotifyClient.settings.refreshAheadMs)) {
+      console.log('Access token expired or about to expire. Refreshing...');
+      try {
+        await spotifyClient.refresh();
+      } catch (refreshError) {
+        if (!interactive) {
+          throw spotifyClient.getStats().authorizationLost
+            ? new Error('Spotify rejected the saved tokens, run: node spotify-album-art.js auth')
+            : refreshError;
+        }
+        if (reauthorization) {
+          // Refresh token revoked, wait for the user before polling starts
+          await reauthorization;
+        } else {
+          // Network trouble; the client retries on the first API call
+          console.error('Token refresh failed, will retry when polling starts:', refreshError.message);
+        }
+      }
     }
-    
-    return colors.slice(0, 6); // Return up to 6 colors
+
+    return spotifyClient;
+  } catch (error) {
+    // One-shot commands report their errors themselves
+    if (interactive) {
+      console.error('Error initializing Spotify API:', error.message);
+      if (error.stack) {
+        console.error(error.stack);
+      }
+    }
+    throw error;
+  }
+}
+
+// One-shot `auth` command: authorize, save tokens and exit. Lets kiosks and
+// systemd installs be provisioned over SSH without a desktop session.
+async function authCommand(args) {
+  try {
+    const config = loadConfig();
+    const { spotifyApi, flow, scopes } = createSpotifyApi(config);
+    await authenticate(spotifyApi, scopes, { flow, headless: isHeadless(config, args) });
+    console.log(`Tokens saved to ${describeTokenStorage()}`);
+    process.exit(0);
   } catch (error) {
-    console.error('Error extracting colors:', error.message);
-    // Return default colors if extraction fails
-    return [
-      [255, 0, 0],
-      [0, 255, 0],
-      [0, 0, 255],
-      [255, 255, 0]
-    ];
+    console.error('Error:', error.message);
+    process.exit(1);
   }
 }
 
-// Clean up old album art images, keeping only the most recent ones
-function cleanupOldImages(currentImagePath, keepCount = 2) {
+// `cache [list|stats|verify|clear|remove <key>]`: inspect and clear the art cache
+function cacheCommand(args) {
   try {
-    if (!fs.existsSync(TEMP_IMAGE_DIR)) {
-      return;
+    // Only artCache is needed, so the secret store is left alone
+    const config = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+    const cache = createArtCache(config.artCache, { analyze: extractPalette });
+    const stats = cache.stats();
+    const [action = 'list', key] = args;
+    switch (action) {
+      case 'list':
+        for (const entry of cache.list()) {
+          const lastUsed = new Date(entry.lastUsedAt).toLocaleString();
+          console.log(`${entry.key}\n  ${entry.album || '?'} - ${entry.artists.join(', ') || '?'}\n  ${formatBytes(entry.bytes)}, ${entry.hits} hit(s), last used ${lastUsed}, ${entry.path}`);
+        }
+        console.log(`${stats.entries} cover(s), ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)} in ${stats.directory}`);
+        break;
+      case 'stats':
+        console.log(`Directory: ${stats.directory}`);
+        console.log(`Covers:    ${stats.entries}`);
+        console.log(`Size:      ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}`);
+        break;
+      case 'verify': {
+        const removed = cache.verify();
+        console.log(removed.length > 0 ? `Removed ${removed.length} damaged cover(s): ${removed.join(', ')}` : `All ${stats.entries} cover(s) are intact`);
+        break;
+      }
+      case 'clear':
+        console.log(`Removed ${cache.clear()} cover(s) from ${stats.directory}`);
+        break;
+      case 'remove':
+        if (!key) {
+          throw new Error('Usage: cache remove <key> (see cache list)');
+        }
+        if (!cache.remove(key)) {
+          throw new Error(`No cached cover ${key}`);
+        }
+        console.log(`Removed ${key}`);
+        break;
+      default:
+        throw new Error(`Unknown cache command "${action}" (expected list, stats, verify, clear or remove <key>)`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// --name value and --name=value options after a subcommand
+function parseOptions(args) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else {
+      options[match[1]] = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
     }
+  }
+  return { options, positional };
+}
 
-    const files = fs.readdirSync(TEMP_IMAGE_DIR);
-    const imageFiles = files
-      .filter(file => file.startsWith('album-art-') && file.endsWith('.jpg'))
-      .map(file => {
-        const filePath = path.join(TEMP_IMAGE_DIR, file);
-        const stats = fs.statSync(filePath);
-        return {
-          name: file,
-          path: filePath,
-          mtime: stats.mtime.getTime()
-        };
-      })
-      .sort((a, b) => b.mtime - a.mtime); // Sort by modification time, newest first
+// YYYY-MM-DD is local midnight, anything else goes through Date
+function parseDate(value, name) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date like 2026-10-01`);
+  }
+  return date;
+}
 
-    // Get the current image filename to make sure we don't delete it
-    const currentFileName = path.basename(currentImagePath);
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+// `history [list|top|export] [--since DATE] [--until DATE] ...`: read the listening history
+function historyCommand(args) {
+  try {
+    const config = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+    const file = historyFile(config.history);
+    const { options, positional } = parseOptions(args);
+    const action = positional[0] || 'list';
+    const period = options.period || 'week';
+    if (!PERIODS.includes(period)) {
+      throw new Error(`--period must be one of ${PERIODS.join(', ')}`);
+    }
+    // top looks at the last few periods unless told otherwise
+    const defaultSince = action === 'top' ? periodsAgo(period, { day: 7, week: 4, month: 6 }[period]) : null;
+    const since = options.since ? parseDate(options.since, 'since') : defaultSince;
+    const until = options.until ? parseDate(options.until, 'until') : null;
+    const records = readHistory(file, { since, until });
 
-    // Remove old images, but keep the current one and a few recent ones
-    let kept = 0;
-    for (const file of imageFiles) {
-      if (file.name === currentFileName) {
-        // Always keep the current image
-        kept++;
-        continue;
+    switch (action) {
+      case 'list': {
+        const limit = Number(options.limit) || 20;
+        for (const record of records.slice(-limit).reverse()) {
+          const track = record.track || {};
+          const listened = `${formatDuration(record.listenedMs || 0)}${track.durationMs ? ` of ${formatDuration(track.durationMs)}` : ''}`;
+          console.log(`${new Date(record.startedAt).toLocaleString()}  ${track.name} - ${(track.artists || []).join(', ')} (${track.album}), ${listened}${record.device ? ` on ${record.device}` : ''}`);
+        }
+        console.log(`${records.length} track(s) in ${file}${records.length > limit ? `, showing the last ${limit} (--limit)` : ''}`);
+        break;
       }
-      
-      if (kept < keepCount) {
-        // Keep the most recent images
-        kept++;
-        continue;
+      case 'top': {
+        const limit = Number(options.limit) || 5;
+        for (const bucket of summarize(records, period, limit)) {
+          console.log(`\n${bucket.period}: ${bucket.tracks} track(s), ${formatDuration(bucket.listenedMs)} listened`);
+          console.log('  Artists:');
+          bucket.artists.forEach((artist, index) => console.log(`    ${index + 1}. ${artist.name} (${formatDuration(artist.listenedMs)}, ${artist.plays} track(s))`));
+          console.log('  Albums:');
+          bucket.albums.forEach((album, index) => console.log(`    ${index + 1}. ${album.name} (${formatDuration(album.listenedMs)}, ${album.plays} track(s))`));
+        }
+        if (records.length === 0) {
+          console.log(`No listening history since ${since ? since.toLocaleDateString() : 'ever'} in ${file}`);
+        }
+        break;
       }
-      
-      // Delete old images
-      try {
-        fs.unlinkSync(file.path);
-      } catch (err) {
-        // Ignore errors deleting individual files
+      case 'export': {
+        const format = options.format || 'csv';
+        if (format !== 'csv' && format !== 'json') {
+          throw new Error('--format must be csv or json');
+        }
+        const output = format === 'csv' ? toCsv(records) : JSON.stringify(records, null, 2) + '\n';
+        if (options.output && options.output !== true) {
+          fs.writeFileSync(options.output, output);
+          console.error(`Exported ${records.length} track(s) to ${options.output}`);
+        } else {
+          process.stdout.write(output);
+        }
+        break;
       }
+      default:
+        throw new Error(`Unknown history command "${action}" (expected list, top or export)`);
     }
+    // No process.exit(): a large export to a pipe has to be flushed first
+    process.exitCode = 0;
   } catch (error) {
-    // Silently fail cleanup - not critical
-    console.error('Error cleaning up old images:', error.message);
+    console.error('Error:', error.message);
+    process.exit(1);
   }
 }
 
-// Global Electron process reference
-let electronProcess = null;
-let electronIPC = null;
-
-// Launch or update Electron app
-function launchElectronApp(imagePath, colors, trackInfo, audioFeatures = null) {
-  return new Promise((resolve, reject) => {
-    const updateData = {
-      imagePath: path.resolve(imagePath),
-      colors: colors,
-      trackInfo: trackInfo,
-      audioFeatures: audioFeatures
-    };
-    
-    // Write update to a file that Electron can watch
-    const updateFile = path.join(TEMP_IMAGE_DIR, 'update.json');
-    try {
-      fs.writeFileSync(updateFile, JSON.stringify(updateData, null, 2));
-      console.log(`[${new Date().toLocaleTimeString()}] Wrote update file: ${updateFile}`);
-      console.log(`[${new Date().toLocaleTimeString()}] Update data: track=${trackInfo.track}`);
-    } catch (error) {
-      console.error(`[${new Date().toLocaleTimeString()}] Error writing update file:`, error.message);
-    }
-    
-    // If Electron is already running, it will pick up the update via file watch
-    if (electronProcess && !electronProcess.killed) {
-      console.log(`[${new Date().toLocaleTimeString()}] Electron process already running, update will be picked up via file watch`);
-      resolve();
-      return;
-    }
-    
-    // Launch new Electron process
-    const electronPath = require('electron');
-    const mainPath = path.join(__dirname, 'electron-main.js');
-    
-    // Use absolute path
-    const absoluteImagePath = path.resolve(imagePath);
-    const escapedColors = JSON.stringify(colors);
-    const escapedTrackInfo = JSON.stringify(trackInfo);
-    const escapedAudioFeatures = JSON.stringify(audioFeatures);
-    
-    const args = [
-      mainPath,
-      absoluteImagePath,
-      escapedColors,
-      escapedTrackInfo,
-      escapedAudioFeatures
-    ];
-    
-    // Log environment variables being passed
-    const electronEnv = {
-      ...process.env,  // Inherit all environment variables
-      DISPLAY: process.env.DISPLAY || ':0',  // Ensure DISPLAY is set
-      XAUTHORITY: process.env.XAUTHORITY  // Pass XAUTHORITY if set
-    };
-    console.log(`[${new Date().toLocaleTimeString()}] Launching Electron with DISPLAY=${electronEnv.DISPLAY}, XAUTHORITY=${electronEnv.XAUTHORITY || 'not set'}`);
-    
-    electronProcess = spawn(electronPath, args, {
-      detached: false,
-      stdio: ['ignore', 'pipe', 'pipe'], // Capture stdout and stderr for logging
-      env: electronEnv
-    });
-    
-    // Log Electron output
-    electronProcess.stdout.on('data', (data) => {
-      console.log(`[Electron] ${data.toString().trim()}`);
-    });
-    
-    electronProcess.stderr.on('data', (data) => {
-      console.error(`[Electron Error] ${data.toString().trim()}`);
-    });
-    
-    electronProcess.on('exit', (code) => {
-      console.log(`[${new Date().toLocaleTimeString()}] Electron process exited with code ${code}`);
-      // Clean up event listeners to prevent memory leaks
-      electronProcess.stdout.removeAllListeners();
-      electronProcess.stderr.removeAllListeners();
-      electronProcess.removeAllListeners();
-      electronProcess = null;
-    });
-    
-    electronProcess.on('error', (error) => {
-      console.error(`[${new Date().toLocaleTimeString()}] Electron process error:`, error.message);
-      // Clean up on error
-      if (electronProcess) {
-        electronProcess.stdout.removeAllListeners();
-        electronProcess.stderr.removeAllListeners();
-        electronProcess.removeAllListeners();
-        electronProcess = null;
-      }
-    });
-    
-    electronProcess.unref();
-    
-    console.log(`[${new Date().toLocaleTimeString()}] Launched Electron process (PID: ${electronProcess.pid})`);
-    
-    // Give it a moment to start
-    setTimeout(() => {
-      resolve();
-    }, 500);
-  });
+function formatPosition(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 }
 
-// Initialize Spotify API
-async function initializeSpotify() {
+// `status`: the current track and the saved tokens, without starting a display
+async function statusCommand() {
+  let trackSource = null;
+  let exitCode = 0;
   try {
     const config = loadConfig();
-    const spotifyApi = new SpotifyWebApi({
-      clientId: config.clientId,
-      clientSecret: config.clientSecret,
-      redirectUri: config.redirectUri || 'https://127.0.0.1:8888/callback'
-    });
-
-    let tokens = loadTokens();
-    
-    if (!tokens) {
-      console.log('No saved tokens found. Starting OAuth flow...');
-      console.log('WARNING: Authentication requires user interaction. If running as a service,');
-      console.log('you may need to authenticate manually first by running the script directly.');
-      await authenticate(spotifyApi);
-      tokens = loadTokens();
-      if (!tokens) {
-        throw new Error('Authentication failed - no tokens saved');
+    const needsSpotify = sourceNeedsSpotifyApi(config);
+    let track = null;
+    let lastPlayed = null;
+    let problem = null;
+    try {
+      const spotifyClient = needsSpotify ? await initializeSpotify(config, { interactive: false }) : null;
+      trackSource = createTrackSource(config, { spotifyClient });
+      track = await trackSource.getCurrentTrack();
+      if (!track) {
+        [lastPlayed] = await trackSource.getRecentTracks(1);
       }
+    } catch (error) {
+      problem = error;
     }
 
-    spotifyApi.setAccessToken(tokens.access_token);
-    spotifyApi.setRefreshToken(tokens.refresh_token);
+    const describe = t => `${t.name} - ${t.artists.join(', ')} (${t.album})`;
+    console.log(`Source:      ${config.source || 'spotify'}`);
+    if (track) {
+      const position = typeof track.progressMs === 'number'
+        ? `${formatPosition(track.progressMs)}${track.durationMs ? ` / ${formatPosition(track.durationMs)}` : ''}, `
+        : '';
+      console.log(`Now playing: ${describe(track)}`);
+      console.log(`             ${position}${track.isPlaying ? 'playing' : 'paused'}${track.device ? ` on ${track.device}` : ''}`);
+    } else if (!problem) {
+      console.log(`Now playing: nothing${lastPlayed ? `, last played ${describe(lastPlayed)}` : ''}`);
+    }
 
-    // Check if token needs refresh
-    try {
-      await spotifyApi.getMe();
-    } catch (error) {
-      if (error.statusCode === 401) {
-        console.log('Token expired. Refreshing...');
-        try {
-          const data = await spotifyApi.refreshAccessToken();
-          spotifyApi.setAccessToken(data.body['access_token']);
-          if (data.body['refresh_token']) {
-            spotifyApi.setRefreshToken(data.body['refresh_token']);
-          }
-          saveTokens({
-            access_token: spotifyApi.getAccessToken(),
-            refresh_token: spotifyApi.getRefreshToken()
-          });
-        } catch (refreshError) {
-          console.error('Failed to refresh token. Re-authenticating...');
-          console.error('Refresh error:', refreshError.message);
-          await authenticate(spotifyApi);
-          tokens = loadTokens();
-          if (!tokens) {
-            throw new Error('Re-authentication failed - no tokens saved');
-          }
-          spotifyApi.setAccessToken(tokens.access_token);
-          spotifyApi.setRefreshToken(tokens.refresh_token);
+    if (needsSpotify) {
+      // Read after initializeSpotify, which may just have refreshed them
+      const tokens = loadTokens();
+      console.log(`Tokens:      ${tokens ? describeTokenStorage() : 'none saved, run the auth command'}`);
+      if (tokens) {
+        let expiry = 'expiry unknown, refreshed on the next API call';
+        if (tokens.expires_at && tokens.expires_at > Date.now()) {
+          expiry = `valid until ${new Date(tokens.expires_at).toLocaleString()} (${formatDuration(tokens.expires_at - Date.now())}), refreshed automatically`;
+        } else if (tokens.expires_at) {
+          expiry = `expired ${new Date(tokens.expires_at).toLocaleString()}, refreshed on the next API call`;
+        }
+        console.log(`Access:      ${expiry}`);
+        const missing = missingScopes(tokens, requiredScopes(config));
+        if (missing.length > 0) {
+          console.log(`Scopes:      missing ${missing.join(', ')}, run the auth command again`);
         }
-      } else {
-        throw error;
       }
     }
 
-    return spotifyApi;
-  } catch (error) {
-    console.error('Error initializing Spotify API:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
+    if (problem) {
+      console.error('Error:', problem.message);
+      exitCode = 1;
     }
-    throw error;
+  } catch (error) {
+    console.error('Error:', error.message);
+    exitCode = 1;
+  }
+  if (trackSource) {
+    trackSource.close();
   }
+  process.exit(exitCode);
 }
 
-// OAuth authentication
-function authenticate(spotifyApi) {
-  return new Promise((resolve, reject) => {
-    const scopes = ['user-read-recently-played', 'user-read-currently-playing'];
-    const authorizeURL = spotifyApi.createAuthorizeURL(scopes, 'state');
-
-    console.log('\n=== Spotify Authentication Required ===');
-    const redirectUri = spotifyApi.getRedirectURI();
-    console.log('Redirect URI being used:', redirectUri);
-    
-    // Parse and display the authorization URL to verify redirect_uri parameter
+// `logout`: delete the saved tokens. Spotify cannot revoke tokens through
+// the API; removing the app from the account page revokes its access for good.
+function logoutCommand() {
+  try {
+    loadConfig();
+    let hadTokens = true;
     try {
-      const urlObj = new URL(authorizeURL);
-      const redirectParam = urlObj.searchParams.get('redirect_uri');
-      console.log('Redirect URI in authorization URL:', redirectParam);
-      console.log('Match:', redirectParam === redirectUri ? 'YES ✓' : 'NO ✗');
-      if (redirectParam !== redirectUri) {
-        console.log('WARNING: Mismatch detected!');
+      hadTokens = !!loadTokens();
+    } catch (error) {
+      // Tokens that cannot be decrypted any more are deleted all the same
+    }
+    clearTokens();
+    console.log(hadTokens ? `Deleted the saved tokens from ${describeTokenStorage()}` : `No saved tokens in ${describeTokenStorage()}`);
+    console.log('A running instance keeps its tokens and saves them again on the next refresh; stop it first.');
+    console.log('To revoke the app\'s access to your account as well, remove it at https://www.spotify.com/account/apps/');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// `doctor`: check the config and the environment, see doctor.js
+async function doctorCommand() {
+  try {
+    const results = await runDoctor({ configFile: CONFIG_FILE, tempDir: TEMP_IMAGE_DIR });
+    const marks = { ok: '✓', warn: '!', fail: '✗', skip: '-' };
+    for (const result of results) {
+      console.log(`${marks[result.status]} ${result.name}: ${result.detail}`);
+      if (result.hint) {
+        console.log(`    ${result.hint}`);
       }
-    } catch (e) {
-      console.log('Could not parse authorization URL');
     }
-    
-    console.log('\nPlease visit this URL to authorize the application:');
-    console.log(authorizeURL);
-    console.log('\nWaiting for authorization...');
-    console.log('Note: Your browser may show a security warning for the self-signed certificate.');
-    console.log('This is normal for localhost. Click "Advanced" and proceed anyway.');
-    console.log('\nIMPORTANT: Make sure your Spotify app has this EXACT redirect URI:');
-    console.log('  https://127.0.0.1:8888/callback');
-    console.log('  (Must be HTTPS, not HTTP!)\n');
-
-    // Generate self-signed certificate for HTTPS with larger key size
-    const attrs = [{ name: 'commonName', value: '127.0.0.1' }];
-    const pems = selfsigned.generate(attrs, { 
-      days: 365,
-      keySize: 2048,  // Use 2048-bit key (required by modern OpenSSL)
-      algorithm: 'sha256'
-    });
+    const failures = results.filter(result => result.status === 'fail').length;
+    const warnings = results.filter(result => result.status === 'warn').length;
+    console.log(`\n${failures > 0 ? `${failures} problem(s)` : 'No problems found'}${warnings > 0 ? `, ${warnings} warning(s)` : ''}`);
+    process.exit(failures > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
 
-    // Start HTTPS server to receive callback
-    const server = https.createServer({
-      key: pems.private,
-      cert: pems.cert
-    }, async (req, res) => {
-      if (req.url.startsWith('/callback')) {
-        const url = new URL(req.url, 'https://127.0.0.1:8888');
-        const code = url.searchParams.get('code');
-        const error = url.searchParams.get('error');
-
-        if (error) {
-          res.writeHead(400, { 'Content-Type': 'text/html' });
-          res.end(`<h1>Authorization failed: ${error}</h1>`);
-          server.close();
-          reject(new Error(`Authorization failed: ${error}`));
-          return;
-        }
+// `once`: render the current (or last played) track a single time and exit,
+// e.g. from cron or a keybinding. Wallpaper mode sets the wallpaper, the other
+// modes only leave the rendered PNGs in temp/.
+async function onceCommand() {
+  try {
+    const config = loadConfig();
+    const displayConfig = config.display || {};
+    if (displayConfig.mode === 'web') {
+      throw new Error('once renders with Electron; the web display only exists while the app runs');
+    }
+    const spotifyClient = sourceNeedsSpotifyApi(config) ? await initializeSpotify(config, { interactive: false }) : null;
+    artCache = createArtCache(config.artCache, { analyze: extractPalette });
+    const trackSource = createTrackSource(config, { spotifyClient });
+    if (config.paletteExport && config.paletteExport.enabled) {
+      paletteExporter = createPaletteExporter(config.paletteExport);
+    }
 
-        if (code) {
-          try {
-            const data = await spotifyApi.authorizationCodeGrant(code);
-            saveTokens({
-              access_token: data.body['access_token'],
-              refresh_token: data.body['refresh_token']
-            });
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end('<h1>Authorization successful! You can close this window.</h1>');
-            server.close();
-            console.log('Authorization successful!\n');
-            resolve();
-          } catch (err) {
-            res.writeHead(500, { 'Content-Type': 'text/html' });
-            res.end(`<h1>Error: ${err.message}</h1>`);
-            server.close();
-            reject(err);
-          }
-        }
-      }
-    });
+    let track = await trackSource.getCurrentTrack();
+    if (!track) {
+      [track] = await trackSource.getRecentTracks(1);
+    }
+    if (!track) {
+      throw new Error('Nothing is playing and there are no recently played tracks');
+    }
+    if (!track.artUrl && !track.artPath) {
+      throw new Error(`No album art available for ${track.name}`);
+    }
 
-    server.listen(8888, '127.0.0.1', () => {
-      console.log('Local HTTPS server started on https://127.0.0.1:8888');
+    // Always rendered offscreen: a window would close again right away
+    const wallpaperSetter = createWallpaperSetter(displayConfig.mode === 'wallpaper' ? config.wallpaper : { setter: 'none' });
+    const rendered = new Promise((resolve) => {
+      display = createDisplayProcess({
+        displayConfig: { ...displayConfig, mode: 'wallpaper' },
+        supervisor: config.supervisor,
+        onWallpaper: resolve
+      });
     });
-  });
+    const { exported } = await showTrack(trackSource, track);
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`The display did not render within ${ONCE_RENDER_TIMEOUT_MS / 1000}s`)), ONCE_RENDER_TIMEOUT_MS);
+    });
+    const files = await Promise.race([rendered, timeout]).finally(() => clearTimeout(timer));
+    await wallpaperSetter.apply(files);
+    await exported;
+    for (const file of files) {
+      console.log(`Rendered ${file.label}: ${file.file}`);
+    }
+    // The setter is not closed: swaybg has to keep running to show the wallpaper
+    display.stop();
+    trackSource.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    if (display) {
+      display.stop();
+    }
+    process.exit(1);
+  }
 }
 
-// Helper function to refresh token if expired
-async function refreshTokenIfNeeded(spotifyApi, error) {
-  if (error && error.statusCode === 401) {
-    console.log(`[${new Date().toLocaleTimeString()}] Token expired. Refreshing...`);
+// Download the art, extract colors and audio features and show a track.
+// Resolves with { exported }, the palette export that finishes in the background.
+async function showTrack(trackSource, track) {
+  const artistNames = track.artists.join(', ');
+  console.log(`Track: ${track.name}`);
+  console.log(`Artist: ${artistNames}`);
+  console.log(`Album: ${track.album}`);
+
+  const { imagePath, palette, cached } = await loadArt(track);
+  if (cached) {
+    console.log(`Album art and palette from cache`);
+  }
+  console.log(`Palette: ${palette.isLight ? 'light' : 'dark'} cover, text contrast ${palette.contrast.text}:1`);
+  
+  // Fetch audio features for the track
+  let audioFeatures = null;
+  try {
+    audioFeatures = await trackSource.getAudioFeatures(track);
+    if (audioFeatures) {
+      console.log(`Audio features: tempo=${audioFeatures.tempo?.toFixed(1)}bpm, energy=${audioFeatures.energy?.toFixed(2)}`);
+    } else {
+      console.log('Audio features returned null or empty, using defaults');
+    }
+  } catch (error) {
+    if (error.statusCode === 401) {
+      console.log('Audio features not available (token refresh failed) - using defaults');
+    } else if (error.statusCode === 403) {
+      // 403 errors are common for audio features - some tracks don't have them available
+      // or there might be rate limiting. Continue without features.
+      console.log('Audio features not available for this track (403 Forbidden) - using default animation speed');
+    } else if (error.statusCode === 404) {
+      console.log('Audio features not found for this track (404) - using default animation speed');
+    } else {
+      console.log(`Could not fetch audio features: ${error.message || 'Unknown error'}`);
+      if (error.statusCode) {
+        console.log(`  Status code: ${error.statusCode}`);
+      }
+    }
+    // Continue without audio features - app will use defaults
+  }
+  
+  let lyrics = null;
+  if (lyricsLibrary) {
     try {
-      const data = await spotifyApi.refreshAccessToken();
-      spotifyApi.setAccessToken(data.body['access_token']);
-      if (data.body['refresh_token']) {
-        spotifyApi.setRefreshToken(data.body['refresh_token']);
-      }
-      saveTokens({
-        access_token: spotifyApi.getAccessToken(),
-        refresh_token: spotifyApi.getRefreshToken()
-      });
-      console.log(`[${new Date().toLocaleTimeString()}] Token refreshed successfully`);
-      return true;
-    } catch (refreshError) {
-      console.error(`[${new Date().toLocaleTimeString()}] Failed to refresh token:`, refreshError.message);
-      console.error('Re-authentication required. Please restart the service.');
-      return false;
+      lyrics = await lyricsLibrary.find(track);
+    } catch (error) {
+      console.log(`Could not look up lyrics: ${error.message}`);
     }
   }
-  return false;
+  
+  const trackInfo = {
+    track: track.name,
+    artist: artistNames,
+    album: track.album
+  };
+  
+  console.log(`Updating display...`);
+  updateDisplay(imagePath, palette, trackInfo, audioFeatures, playbackFromTrack(track), lyrics);
+  // Reload commands can be slow; the display does not wait for them
+  const exported = paletteExporter ? paletteExporter.exportPalette(palette, imagePath, trackInfo) : Promise.resolve();
+  
+  nowShowing = { track: track, imagePath: imagePath, palette: palette, audioFeatures: audioFeatures, shownAt: Date.now() };
+  return { exported };
 }
 
 // Fetch and display current track
-async function fetchAndDisplay(spotifyApi, lastTrackId = null) {
+// Returns the displayed track ID together with what the source reported as
+// currently playing, so the poll scheduler can plan the next poll.
+// `playing` is a currently playing track the caller just fetched; without it
+// the source is asked.
+async function fetchAndDisplay(trackSource, lastTrackId = null, playing = null) {
+  let nowPlaying = null;
+  let failed = false;
+  const result = (trackId) => ({ trackId, nowPlaying, failed });
+
   try {
     // Try to get currently playing track first (more accurate)
     let track = null;
     let currentTrackId = null;
     
     try {
-      const currentlyPlaying = await spotifyApi.getMyCurrentPlayingTrack();
-      if (currentlyPlaying.body && currentlyPlaying.body.item) {
-        track = currentlyPlaying.body.item;
+      track = playing || await trackSource.getCurrentTrack();
+      nowPlaying = track;
+      if (track) {
         currentTrackId = track.id;
-        console.log(`[${new Date().toLocaleTimeString()}] Currently playing track detected`);
+        console.log(`[${new Date().toLocaleTimeString()}] Currently playing track detected (${trackSource.name})`);
       }
     } catch (e) {
-      // If token expired, try to refresh
+      failed = true;
+      // Token refresh failed, return early
       if (e.statusCode === 401) {
-        const refreshed = await refreshTokenIfNeeded(spotifyApi, e);
-        if (refreshed) {
-          // Retry the call after refresh
-          try {
-            const currentlyPlaying = await spotifyApi.getMyCurrentPlayingTrack();
-            if (currentlyPlaying.body && currentlyPlaying.body.item) {
-              track = currentlyPlaying.body.item;
-              currentTrackId = track.id;
-              console.log(`[${new Date().toLocaleTimeString()}] Currently playing track detected (after token refresh)`);
-            }
-          } catch (retryError) {
-            // If still fails, fall through to recently played
-          }
-        } else {
-          // Token refresh failed, return early
-          return lastTrackId;
-        }
+        return result(lastTrackId);
       }
       // If no currently playing track or other error, fall back to recently played
+      console.error(`[${new Date().toLocaleTimeString()}] Error fetching currently playing track:`, e.message);
     }
     
     // Fall back to recently played tracks if no currently playing track
@@ -508,59 +714,36 @@ async function fetchAndDisplay(spotifyApi, lastTrackId = null) {
       // If we already have a lastTrackId, keep showing it instead of reverting to older recently played tracks
       if (lastTrackId !== null) {
         console.log(`[${new Date().toLocaleTimeString()}] No currently playing track, keeping last displayed track (${lastTrackId})`);
-        return lastTrackId;
+        return result(lastTrackId);
       }
       
       // Only use recently played if we've never displayed anything
       try {
-        const response = await spotifyApi.getMyRecentlyPlayedTracks({ limit: 1 });
+        const recentTracks = await trackSource.getRecentTracks(1);
         
-        if (!response.body.items || response.body.items.length === 0) {
+        if (recentTracks.length === 0) {
           console.log(`[${new Date().toLocaleTimeString()}] No recently played tracks found.`);
-          return lastTrackId;
+          return result(lastTrackId);
         }
 
-        track = response.body.items[0].track;
+        track = recentTracks[0];
         currentTrackId = track.id;
         console.log(`[${new Date().toLocaleTimeString()}] Using recently played track (initial load)`);
       } catch (e) {
-        // If token expired, try to refresh and retry
-        if (e.statusCode === 401) {
-          const refreshed = await refreshTokenIfNeeded(spotifyApi, e);
-          if (refreshed) {
-            try {
-              const response = await spotifyApi.getMyRecentlyPlayedTracks({ limit: 1 });
-              if (response.body.items && response.body.items.length > 0) {
-                track = response.body.items[0].track;
-                currentTrackId = track.id;
-                console.log(`[${new Date().toLocaleTimeString()}] Using recently played track (after token refresh)`);
-              } else {
-                console.log(`[${new Date().toLocaleTimeString()}] No recently played tracks found.`);
-                return lastTrackId;
-              }
-            } catch (retryError) {
-              console.error(`[${new Date().toLocaleTimeString()}] Error fetching recently played tracks:`, retryError.message);
-              return lastTrackId;
-            }
-          } else {
-            return lastTrackId;
-          }
-        } else {
-          console.error(`[${new Date().toLocaleTimeString()}] Error fetching recently played tracks:`, e.message);
-          return lastTrackId;
-        }
+        console.error(`[${new Date().toLocaleTimeString()}] Error fetching recently played tracks:`, e.message);
+        return result(lastTrackId);
       }
     }
     
     if (!track || !currentTrackId) {
       console.log(`[${new Date().toLocaleTimeString()}] No valid track found (track: ${!!track}, id: ${currentTrackId})`);
-      return lastTrackId;
+      return result(lastTrackId);
     }
     
     // Only update if track changed
     if (currentTrackId === lastTrackId) {
       console.log(`[${new Date().toLocaleTimeString()}] Same track (${currentTrackId}), skipping update`);
-      return lastTrackId;
+      return result(lastTrackId);
     }
     
     // Log when track changes
@@ -568,119 +751,440 @@ async function fetchAndDisplay(spotifyApi, lastTrackId = null) {
       console.log(`[${new Date().toLocaleTimeString()}] Track changed from ${lastTrackId} to ${currentTrackId}`);
     }
 
-    const album = track.album;
-    const albumArtUrl = album.images[0]?.url || album.images[album.images.length - 1]?.url;
-
-    if (!albumArtUrl) {
+    if (!track.artUrl && !track.artPath) {
       console.log('No album art available for this track.');
-      return currentTrackId;
+      return result(currentTrackId);
     }
 
     console.log(`\n[${new Date().toLocaleTimeString()}] New track detected:`);
-    console.log(`Track: ${track.name}`);
-    console.log(`Artist: ${track.artists.map(a => a.name).join(', ')}`);
-    console.log(`Album: ${album.name}`);
-    console.log(`Downloading album art...`);
-
-    // Use track ID in filename to avoid caching issues
-    const imagePath = path.join(TEMP_IMAGE_DIR, `album-art-${currentTrackId}.jpg`);
-    await downloadImage(albumArtUrl, imagePath);
-    
-    console.log(`Extracting colors from album art...`);
-    const colors = await extractColors(imagePath);
-    
-    // Fetch audio features for the track
-    let audioFeatures = null;
-    if (currentTrackId) {
-      try {
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        const features = await spotifyApi.getAudioFeaturesForTrack(currentTrackId);
-        if (features.body && features.body.tempo !== null && features.body.tempo !== undefined) {
-          audioFeatures = features.body;
-          console.log(`Audio features: tempo=${audioFeatures.tempo?.toFixed(1)}bpm, energy=${audioFeatures.energy?.toFixed(2)}`);
-        } else {
-          console.log('Audio features returned null or empty, using defaults');
-        }
-      } catch (error) {
-        // If token expired, try to refresh and retry once
-        if (error.statusCode === 401) {
-          const refreshed = await refreshTokenIfNeeded(spotifyApi, error);
-          if (refreshed) {
-            try {
-              const features = await spotifyApi.getAudioFeaturesForTrack(currentTrackId);
-              if (features.body && features.body.tempo !== null && features.body.tempo !== undefined) {
-                audioFeatures = features.body;
-                console.log(`Audio features: tempo=${audioFeatures.tempo?.toFixed(1)}bpm, energy=${audioFeatures.energy?.toFixed(2)} (after token refresh)`);
-              }
-            } catch (retryError) {
-              // If still fails, continue without features
-              console.log('Audio features not available after token refresh - using defaults');
-            }
-          } else {
-            console.log('Audio features not available (token refresh failed) - using defaults');
-          }
-        } else if (error.statusCode === 403) {
-          // 403 errors are common for audio features - some tracks don't have them available
-          // or there might be rate limiting. Continue without features.
-          console.log('Audio features not available for this track (403 Forbidden) - using default animation speed');
-        } else if (error.statusCode === 404) {
-          console.log('Audio features not found for this track (404) - using default animation speed');
-        } else {
-          console.log(`Could not fetch audio features: ${error.message || 'Unknown error'}`);
-          if (error.statusCode) {
-            console.log(`  Status code: ${error.statusCode}`);
-          }
-        }
-        // Continue without audio features - app will use defaults
-      }
-    } else {
-      console.log('No track ID available, skipping audio features');
-    }
-    
-    // Clean up old images (keep current + 1 previous)
-    cleanupOldImages(imagePath, 2);
-    
-    const trackInfo = {
-      track: track.name,
-      artist: track.artists.map(a => a.name).join(', '),
-      album: album.name
-    };
-    
-    console.log(`Updating display...`);
-    await launchElectronApp(imagePath, colors, trackInfo, audioFeatures);
+    await showTrack(trackSource, track);
     
-    return currentTrackId;
+    return result(currentTrackId);
   } catch (error) {
     console.error('Error fetching track:', error.message);
-    return lastTrackId;
+    failed = true;
+    return result(lastTrackId);
+  }
+}
+
+// Art of a track and its palette: local files (MPRIS) are used as they are,
+// remote covers come from the art cache
+async function loadArt(track) {
+  if (track.artPath) {
+    console.log(`Extracting colors from album art...`);
+    return { imagePath: track.artPath, palette: await extractPalette(track.artPath), cached: false };
+  }
+  return artCache.resolve(track);
+}
+
+// Art and palette of an idle slide, see idle-mode.js
+async function prepareArt(track) {
+  const { imagePath, palette: { colors, ...palette } } = await loadArt(track);
+  return { imagePath: imagePath, colors: colors, palette: palette };
+}
+
+// Payload of a hook event (see hooks.js) for the track shown last
+function hookPayload(mode, playback) {
+  const track = nowShowing ? nowShowing.track : null;
+  const palette = nowShowing ? nowShowing.palette : null;
+  return {
+    mode: mode,
+    track: track ? {
+      id: track.id,
+      uri: track.uri || null,
+      name: track.name,
+      artists: track.artists,
+      album: track.album,
+      albumId: track.albumId || null,
+      durationMs: typeof track.durationMs === 'number' ? track.durationMs : null
+    } : null,
+    artPath: nowShowing ? path.resolve(nowShowing.imagePath) : null,
+    palette: palette ? {
+      colors: palette.colors.map(toHex),
+      text: toHex(palette.text),
+      textSecondary: toHex(palette.textSecondary),
+      accent: toHex(palette.accent),
+      isLight: palette.isLight
+    } : null,
+    playback: playback
+  };
+}
+
+// Keep the display's progress in step with the player; nothing playing any
+// more (player closed, 204 from Spotify) counts as paused on the last track
+function resyncPlayback(nowPlaying, displayedTrackId) {
+  if (nowPlaying && nowPlaying.id === displayedTrackId) {
+    display.updatePlayback(playbackFromTrack(nowPlaying));
+    return;
+  }
+  const playback = display.getPlayback();
+  if (!nowPlaying && playback && playback.isPlaying) {
+    display.updatePlayback({ ...playback, isPlaying: false });
   }
 }
 
 // Main function with polling
 async function main() {
   try {
-    const spotifyApi = await initializeSpotify();
+    const config = loadConfig();
+    let spotifyClient = null;
+    if (sourceNeedsSpotifyApi(config)) {
+      spotifyClient = await initializeSpotify(config);
+    }
+    artCache = createArtCache(config.artCache, { analyze: extractPalette });
+    const cacheStats = artCache.stats();
+    console.log(`Art cache: ${cacheStats.entries} cover(s), ${formatBytes(cacheStats.bytes)} of ${formatBytes(cacheStats.maxBytes)} in ${cacheStats.directory}`);
+    const trackSource = createTrackSource(config, { spotifyClient });
+    if (config.lyrics && config.lyrics.enabled) {
+      lyricsLibrary = createLyricsLibrary(config.lyrics);
+      console.log(`Lyrics from ${lyricsLibrary.directory}`);
+    }
+    if (config.paletteExport && config.paletteExport.enabled) {
+      paletteExporter = createPaletteExporter(config.paletteExport);
+      console.log(`Exporting the palette to ${paletteExporter.targets.map(target => target.path).join(', ') || 'no targets'}`);
+    }
+    // User scripts and plugins (see hooks.js)
+    const hooks = config.hooks && config.hooks.enabled ? createHooks(config.hooks) : null;
+    if (hooks) {
+      console.log(`Hooks: ${hooks.settings.commands.length} command(s), ${hooks.plugins.length} plugin(s) from ${hooks.pluginsDir}`);
+    }
+    // WLED and Hue lights in the album colors (see lighting.js)
+    const lighting = config.lighting && config.lighting.enabled ? createLighting(config.lighting) : null;
+    if (lighting) {
+      console.log(`Lighting: ${lighting.outputs.join(', ') || 'no outputs'}`);
+    }
+    // Local log of the shown tracks (see listening-history.js)
+    const history = config.history && config.history.enabled ? createListeningHistory(config.history) : null;
+    if (history) {
+      console.log(`Listening history in ${history.file}`);
+    }
+    // Wallpaper mode renders PNGs offscreen and hands them to a wallpaper setter
+    const wallpaperSetter = config.display && config.display.mode === 'wallpaper'
+      ? createWallpaperSetter(config.wallpaper)
+      : null;
+    if (wallpaperSetter) {
+      console.log(`Wallpaper mode, setting wallpapers with ${wallpaperSetter.name}`);
+    }
+    // Playback controls from shortcuts and the overlay (see playback-controls.js)
+    const controls = config.controls && config.controls.enabled
+      ? createPlaybackControls(config.controls, { spotifyClient })
+      : null;
+    const handleControl = async (action, value) => {
+      const status = await controls.run(action, value, nowShowing ? nowShowing.track.id : null);
+      display.updateControls(status);
+      // Show the new track or state right away instead of with the next regular poll
+      if (!status.error && ['toggle', 'play', 'pause', 'next', 'previous'].includes(action)) {
+        setTimeout(() => {
+          forcePoll();
+        }, CONTROL_REFRESH_DELAY_MS);
+      }
+    };
+    const displayControls = controls ? { controls: controls.pageSettings(), onControl: handleControl } : {};
+    
+    // Web mode serves the display to browsers only; otherwise the web display
+    // can run next to the Electron one
+    const displayConfig = config.display || {};
+    const webDisplay = displayConfig.mode === 'web' || (config.web && config.web.enabled)
+      ? createWebDisplay(config.web, displayConfig, displayControls)
+      : null;
+    if (displayConfig.mode === 'web') {
+      display = webDisplay;
+    } else {
+      display = createDisplayProcess({
+        displayConfig: config.display,
+        supervisor: config.supervisor,
+        onWallpaper: wallpaperSetter ? (files) => wallpaperSetter.apply(files) : null,
+        ...displayControls
+      });
+      if (webDisplay) {
+        display = mirrorDisplay(display, webDisplay);
+      }
+    }
+    if (displayConfig.mode === 'web') {
+      // Without the server there is no display at all
+      await webDisplay.start();
+    } else if (webDisplay) {
+      webDisplay.start().catch(error => {
+        console.error(`[${new Date().toLocaleTimeString()}] Could not start the web display:`, error.message);
+      });
+    }
     
-    console.log('Starting Spotify album art display...');
-    console.log('Polling every 30 seconds for new tracks...');
+    console.log(`Starting Spotify album art display (track source: ${trackSource.name})...`);
+    const scheduler = createPollScheduler(config.polling);
+    console.log(`Polling adaptively every ${scheduler.settings.minIntervalMs / 1000}-${scheduler.settings.maxIntervalMs / 1000} seconds for new tracks...`);
     console.log('Press Ctrl+C to stop.\n');
     
     let lastTrackId = null;
+    let pollTimer = null;
+    let pollInFlight = null;
+    let lastPoll = null;
+    let nextPollAt = null;
+    // A track or album held on screen through the HTTP API: { track, until, timer }
+    let pinned = null;
+    // Track whose like state the display knows
+    let likeStateTrackId = null;
+    // What hooks and lights were last told about: the shown track, whether it plays, idle mode
+    let announced = { showing: null, isPlaying: null, idle: false };
+    const idleMode = createIdleMode(config.idle, {
+      trackSource: trackSource,
+      display: display,
+      prepareArt: prepareArt
+    });
     
-    // Initial fetch
-    lastTrackId = await fetchAndDisplay(spotifyApi, lastTrackId);
-    
-    // Poll every 30 seconds
-    const pollInterval = setInterval(async () => {
+    // Poll, then plan the next poll from the playback state we just saw
+    const pollOnce = async () => {
+      let nowPlaying = null;
+      let failed = false;
+      // Playback that ended idle mode, shown without asking the source again
+      let resumed = null;
       try {
-        lastTrackId = await fetchAndDisplay(spotifyApi, lastTrackId);
+        if (idleMode.isActive() || pinned) {
+          // The slideshow or a pin owns the display; still watch the player
+          try {
+            nowPlaying = await trackSource.getCurrentTrack();
+          } catch (e) {
+            failed = true;
+            console.error(`[${new Date().toLocaleTimeString()}] Error fetching currently playing track:`, e.message);
+          }
+          if (pinned) {
+            if (!failed) {
+              resyncPlayback(nowPlaying, pinned.track.id);
+            }
+          } else if (nowPlaying && nowPlaying.isPlaying) {
+            idleMode.stop();
+            // Show the current track again even if it was the last one before idling
+            lastTrackId = null;
+            resumed = nowPlaying;
+          }
+        }
+        if (!idleMode.isActive() && !pinned) {
+          const previousTrackId = lastTrackId;
+          const result = await fetchAndDisplay(trackSource, lastTrackId, resumed);
+          lastTrackId = result.trackId;
+          nowPlaying = result.nowPlaying;
+          failed = result.failed;
+          // Same track: resync the progress shown between polls (seeks, pauses)
+          if (!failed && lastTrackId !== null && lastTrackId === previousTrackId) {
+            resyncPlayback(nowPlaying, lastTrackId);
+          }
+        }
       } catch (error) {
         console.error(`[${new Date().toLocaleTimeString()}] Error in polling:`, error.message);
         // Don't log full stack trace for polling errors to reduce log size
+        failed = true;
+      }
+      lastPoll = { at: Date.now(), failed: failed };
+      if (controls && nowShowing && nowShowing.track.id !== likeStateTrackId) {
+        likeStateTrackId = nowShowing.track.id;
+        controls.statusFor(likeStateTrackId)
+          .then(status => display.updateControls(status))
+          .catch((error) => {
+            console.error(`[${new Date().toLocaleTimeString()}] Could not update the playback controls:`, error.message);
+            // Try again with the next poll
+            likeStateTrackId = null;
+          });
+      }
+      if (!pinned) {
+        idleMode.observe(nowPlaying, { failed });
+      }
+      announceChanges();
+      const delay = scheduler.nextDelay(nowPlaying, { failed });
+      console.log(`[${new Date().toLocaleTimeString()}] Next poll in ${(delay / 1000).toFixed(1)}s`);
+      nextPollAt = Date.now() + delay;
+      pollTimer = setTimeout(poll, delay);
+    };
+    
+    // Polls requested while one runs (timer, POST /refresh) share it
+    const poll = () => {
+      if (!pollInFlight) {
+        clearTimeout(pollTimer);
+        pollInFlight = pollOnce().finally(() => {
+          pollInFlight = null;
+        });
+      }
+      return pollInFlight;
+    };
+    
+    // Something changed on purpose (refresh, control, unpin): poll now and
+    // plan the next poll without the back-off built up while paused
+    const forcePoll = () => {
+      scheduler.reset();
+      return poll();
+    };
+    
+    const unpin = async () => {
+      if (!pinned) {
+        return;
       }
-    }, 30000); // 30 seconds
+      clearTimeout(pinned.timer);
+      console.log(`[${new Date().toLocaleTimeString()}] Released pinned ${pinned.track.name}`);
+      pinned = null;
+      // Show whatever plays now, even if it is the track that was shown before
+      lastTrackId = null;
+      await forcePoll();
+    };
+    
+    // Hold a track or album (or what is shown now) on screen until unpinned
+    const pin = async ({ track, album, durationMs } = {}) => {
+      let target = null;
+      if (track || album) {
+        const method = track ? 'getTrack' : 'getAlbum';
+        if (typeof trackSource[method] !== 'function') {
+          throw apiError(400, `The ${trackSource.name} track source cannot look up ${track ? 'tracks' : 'albums'}`);
+        }
+        target = await trackSource[method](track || album);
+        if (!target.artUrl && !target.artPath) {
+          throw apiError(422, `No album art available for ${target.name}`);
+        }
+      } else if (nowShowing) {
+        target = nowShowing.track;
+      } else {
+        throw apiError(409, 'Nothing is shown yet');
+      }
+      
+      if (pinned) {
+        clearTimeout(pinned.timer);
+      }
+      // The slideshow may cover the track that is being pinned
+      const wasIdle = idleMode.isActive();
+      idleMode.stop();
+      pinned = { track: target, until: durationMs ? Date.now() + durationMs : null, timer: null };
+      if (durationMs) {
+        pinned.timer = setTimeout(() => {
+          unpin().catch(error => {
+            console.error(`[${new Date().toLocaleTimeString()}] Could not release pin:`, error.message);
+          });
+        }, durationMs);
+      }
+      console.log(`\n[${new Date().toLocaleTimeString()}] Pinned ${album ? 'album' : 'track'}${durationMs ? ` for ${Math.round(durationMs / 1000)}s` : ''}:`);
+      if (wasIdle || !nowShowing || nowShowing.track !== target) {
+        await showTrack(trackSource, target);
+        announceChanges();
+      } else {
+        console.log(`Track: ${target.name}`);
+      }
+    };
+    
+    const currentMode = () => (pinned ? 'pinned' : (idleMode.isActive() ? 'idle' : 'live'));
+    
+    // Tell the hooks, lights and history what changed since they last heard;
+    // called after every poll and pin, never waits for them
+    function announceChanges() {
+      if (!hooks && !lighting && !history) {
+        return;
+      }
+      const playback = display.getPlayback();
+      const isPlaying = playback ? playback.isPlaying : null;
+      const idle = idleMode.isActive();
+      const emit = (event) => {
+        if (hooks) {
+          hooks.emit(event, hookPayload(currentMode(), playback));
+        }
+        if (history) {
+          if (event === 'track-changed') {
+            const { track, palette } = hookPayload(currentMode(), playback);
+            history.start({
+              track: track,
+              source: trackSource.name,
+              mode: currentMode(),
+              palette: palette && { colors: palette.colors, accent: palette.accent, text: palette.text, isLight: palette.isLight },
+              audioFeatures: nowShowing.audioFeatures
+            }, !!isPlaying, playback && playback.device);
+          } else if (event === 'idle') {
+            history.finish();
+          }
+        }
+        if (lighting) {
+          if (event === 'track-changed') {
+            lighting.show(nowShowing.palette, nowShowing.audioFeatures, !!isPlaying);
+          } else if (event === 'idle') {
+            lighting.idle();
+          } else {
+            lighting.setPlaying(event === 'playback-resumed');
+          }
+        }
+      };
+      if (nowShowing && nowShowing !== announced.showing) {
+        emit('track-changed');
+      } else if (!idle && isPlaying !== null && announced.isPlaying !== null && isPlaying !== announced.isPlaying) {
+        emit(isPlaying ? 'playback-resumed' : 'playback-paused');
+      }
+      if (idle && !announced.idle) {
+        emit('idle');
+      }
+      if (history && !idle) {
+        history.setPlaying(!!isPlaying, playback && playback.device);
+      }
+      announced = { showing: nowShowing, isPlaying: idle ? announced.isPlaying : isPlaying, idle: idle };
+    }
+    
+    // Local HTTP API (see local-api.js)
+    const localApi = config.httpApi && config.httpApi.enabled ? createLocalApi(config.httpApi, {
+      nowPlaying: () => ({
+        mode: currentMode(),
+        track: nowShowing ? {
+          id: nowShowing.track.id,
+          uri: nowShowing.track.uri || null,
+          name: nowShowing.track.name,
+          artists: nowShowing.track.artists,
+          album: nowShowing.track.album,
+          albumId: nowShowing.track.albumId || null
+        } : null,
+        shownAt: nowShowing ? new Date(nowShowing.shownAt).toISOString() : null,
+        playback: display.getPlayback(),
+        audioFeatures: nowShowing ? nowShowing.audioFeatures : null,
+        pinnedUntil: pinned && pinned.until ? new Date(pinned.until).toISOString() : null
+      }),
+      // The palette on screen, which is the slide's during the idle slideshow
+      palette: () => {
+        const state = display.getState();
+        const colors = state ? state.colors : [];
+        const derived = state && state.palette;
+        const describe = color => (color ? { rgb: color.map(Math.round), hex: toHex(color) } : null);
+        return {
+          mode: currentMode(),
+          colors: colors.map(describe),
+          isLight: derived ? derived.isLight : null,
+          text: describe(derived && derived.text),
+          textSecondary: describe(derived && derived.textSecondary),
+          accent: describe(derived && derived.accent),
+          contrast: derived ? derived.contrast : null,
+          swatches: derived ? derived.swatches.map(swatch => ({ name: swatch.name, hex: swatch.hex, share: Number(swatch.share.toFixed(3)) })) : []
+        };
+      },
+      artPath: () => {
+        const state = display.getState();
+        return state ? state.imagePath : null;
+      },
+      health: () => {
+        const spotify = spotifyClient ? spotifyClient.getStats() : null;
+        const displayHealth = display.getHealth();
+        return {
+          ok: !!lastPoll && !lastPoll.failed && displayHealth.running && !(spotify && spotify.authorizationLost),
+          mode: currentMode(),
+          source: trackSource.name,
+          lastPollAt: lastPoll ? new Date(lastPoll.at).toISOString() : null,
+          lastPollFailed: lastPoll ? lastPoll.failed : null,
+          nextPollAt: nextPollAt ? new Date(nextPollAt).toISOString() : null,
+          display: displayHealth,
+          spotify: spotify,
+          uptimeSeconds: Math.round(process.uptime())
+        };
+      },
+      refresh: () => forcePoll(),
+      pin: pin,
+      unpin: unpin
+    }) : null;
+    
+    // Initial fetch
+    await poll();
+    
+    if (localApi) {
+      // The display works without the API, so a busy port is not fatal
+      localApi.start().catch(error => {
+        console.error(`[${new Date().toLocaleTimeString()}] Could not start the HTTP API:`, error.message);
+      });
+    }
     
     // Periodic memory cleanup and health check (every 10 minutes)
     let healthCheckInterval = setInterval(() => {
@@ -700,28 +1204,43 @@ async function main() {
         }
       }
       
-      // Ensure temp directory cleanup
-      if (fs.existsSync(TEMP_IMAGE_DIR)) {
-        try {
-          const files = fs.readdirSync(TEMP_IMAGE_DIR);
-          const imageFiles = files.filter(f => f.startsWith('album-art-') && f.endsWith('.jpg'));
-          if (imageFiles.length > 10) {
-            console.log(`[${new Date().toLocaleTimeString()}] Cleaning up ${imageFiles.length} old image files`);
-            cleanupOldImages(null, 2);
-          }
-        } catch (e) {
-          // Ignore cleanup errors
-        }
+      // Report display restarts and liveness
+      console.log(`[${new Date().toLocaleTimeString()}] ${display.describeHealth()}`);
+      
+      // Report API error counters and circuit breaker state
+      if (spotifyClient) {
+        console.log(`[${new Date().toLocaleTimeString()}] ${spotifyClient.describeStats()}`);
       }
+      
+      const cacheStats = artCache.stats();
+      console.log(`[${new Date().toLocaleTimeString()}] Art cache: ${cacheStats.entries} cover(s), ${formatBytes(cacheStats.bytes)} of ${formatBytes(cacheStats.maxBytes)}`);
     }, 600000); // Every 10 minutes
     
     // Handle graceful shutdown
     const shutdown = () => {
       console.log(`\n[${new Date().toLocaleTimeString()}] Shutting down...`);
-      clearInterval(pollInterval);
+      clearTimeout(pollTimer);
       clearInterval(healthCheckInterval);
-      if (electronProcess && !electronProcess.killed) {
-        electronProcess.kill();
+      if (pinned) {
+        clearTimeout(pinned.timer);
+      }
+      if (localApi) {
+        localApi.stop();
+      }
+      if (hooks) {
+        hooks.stop();
+      }
+      if (lighting) {
+        lighting.stop();
+      }
+      if (history) {
+        history.finish();
+      }
+      idleMode.stop();
+      trackSource.close();
+      display.stop();
+      if (wallpaperSetter) {
+        wallpaperSetter.close();
       }
       process.exit(0);
     };
@@ -735,10 +1254,14 @@ async function main() {
       if (error.stack) {
         console.error(error.stack);
       }
-      clearInterval(pollInterval);
+      clearTimeout(pollTimer);
       clearInterval(healthCheckInterval);
-      if (electronProcess && !electronProcess.killed) {
-        electronProcess.kill();
+      if (history) {
+        history.finish();
+      }
+      display.stop();
+      if (wallpaperSetter) {
+        wallpaperSetter.close();
       }
       process.exit(1);
     });
@@ -752,5 +1275,45 @@ async function main() {
   }
 }
 
-// Run main function
-main();
+const USAGE = `Usage: node spotify-album-art.js [command] [options]
+
+Commands:
+  run [--headless]     Show the album art and keep polling (the default)
+  once                 Render the current track once and exit (sets the wallpaper in wallpaper mode)
+  status               Show the current track and when the access token expires
+  auth [--headless]    Authorize with Spotify, save the tokens and exit
+  logout               Delete the saved tokens
+  doctor               Check the config, redirect URI, port 8888, display, directories and Electron
+  cache [list|stats|verify|clear|remove <key>]
+                       Inspect and clear the album art cache
+  history [list|top|export] [--since DATE] [--until DATE] [--limit N]
+          [--period day|week|month] [--format csv|json] [--output FILE]
+                       Read the listening history
+  help                 Show this help`;
+
+const COMMANDS = {
+  run: () => main(),
+  once: onceCommand,
+  status: statusCommand,
+  auth: authCommand,
+  logout: logoutCommand,
+  doctor: doctorCommand,
+  cache: cacheCommand,
+  history: historyCommand
+};
+
+// No command (or only options such as --headless) runs the display, so
+// existing service files and aliases keep working
+const cliArgs = process.argv.slice(2);
+const commandName = cliArgs[0];
+if (['help', '--help', '-h'].includes(commandName)) {
+  console.log(USAGE);
+} else if (!commandName || commandName.startsWith('-')) {
+  main();
+} else if (Object.hasOwn(COMMANDS, commandName)) {
+  COMMANDS[commandName](cliArgs.slice(1));
+} else {
+  console.error(`Unknown command "${commandName}"\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
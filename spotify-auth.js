@@ -0,0 +1,370 @@
+// Spotify authorization
+//
+// Two flows are supported:
+// - "authorization-code": the classic grant, needs clientId + clientSecret
+// - "pkce": Authorization Code with PKCE, needs only a clientId. A random code
+//   verifier is generated per authorization and its SHA-256 challenge is sent
+//   with the authorize URL; the code exchange and later refreshes identify the
+//   app by client_id alone.
+// Both flows use the same self-signed HTTPS callback server on 127.0.0.1:8888,
+// or, in headless mode, read the redirect URL the user pastes on stdin.
+
+const crypto = require('crypto');
+const https = require('https');
+const readline = require('readline');
+const { URL } = require('url');
+const selfsigned = require('selfsigned');
+const { saveTokens, tokensFromGrant } = require('./tokens');
+
+const AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// PKCE when there is no client secret, unless config.authFlow says otherwise
+function authFlowFor(config) {
+  if (config.authFlow) {
+    if (config.authFlow !== 'pkce' && config.authFlow !== 'authorization-code') {
+      throw new Error(`Unknown authFlow "${config.authFlow}" (expected "pkce" or "authorization-code")`);
+    }
+    return config.authFlow;
+  }
+  return config.clientSecret ? 'authorization-code' : 'pkce';
+}
+
+// Code verifier (43-128 characters from the unreserved set) and its S256 challenge
+function createPkcePair() {
+  const verifier = crypto.randomBytes(64).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function buildPkceAuthorizeUrl({ clientId, redirectUri, scopes, state, challenge }) {
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('code_challenge_method', 'S256');
+  url.searchParams.set('code_challenge', challenge);
+  url.searchParams.set('scope', scopes.join(' '));
+  url.searchParams.set('state', state);
+  return url.toString();
+}
+
+// POST a form to the accounts token endpoint. Resolves and rejects with the
+// same { body, headers, statusCode } shape spotify-web-api-node uses, so the
+// API client can treat both flows alike.
+function requestToken(params) {
+  return new Promise((resolve, reject) => {
+    const form = new URLSearchParams(params).toString();
+    const req = https.request(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(form)
+      },
+      timeout: 15000
+    }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => {
+        let body = {};
+        try {
+          body = raw ? JSON.parse(raw) : {};
+        } catch (e) {
+          body = { error: 'invalid_response', error_description: raw.slice(0, 200) };
+        }
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ body: body, headers: res.headers, statusCode: res.statusCode });
+          return;
+        }
+        const error = new Error(`Token request failed: ${body.error || res.statusCode}${body.error_description ? ` ${body.error_description}` : ''}`);
+        error.statusCode = res.statusCode;
+        error.headers = res.headers;
+        error.body = body;
+        reject(error);
+      });
+    });
+    req.on('timeout', () => {
+      req.destroy(new Error('Token request timed out'));
+    });
+    req.on('error', reject);
+    req.end(form);
+  });
+}
+
+// Refresh function for the API client matching the configured flow
+function createTokenRefresher(spotifyApi, flow) {
+  if (flow !== 'pkce') {
+    return () => spotifyApi.refreshAccessToken();
+  }
+  return () => requestToken({
+    grant_type: 'refresh_token',
+    refresh_token: spotifyApi.getRefreshToken(),
+    client_id: spotifyApi.getClientId()
+  });
+}
+
+// Exchange an authorization code for tokens and save them
+async function exchangeCode(spotifyApi, request, code) {
+  let data;
+  if (request.pkce) {
+    data = await requestToken({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: request.redirectUri,
+      client_id: spotifyApi.getClientId(),
+      code_verifier: request.pkce.verifier
+    });
+  } else {
+    data = await spotifyApi.authorizationCodeGrant(code);
+  }
+  saveTokens(tokensFromGrant(data.body));
+}
+
+// Build the authorize URL (and PKCE pair) for one authorization attempt
+function createAuthorizationRequest(spotifyApi, scopes, flow) {
+  const redirectUri = spotifyApi.getRedirectURI();
+  const state = crypto.randomBytes(16).toString('hex');
+  let pkce = null;
+  let authorizeURL;
+  if (flow === 'pkce') {
+    pkce = createPkcePair();
+    authorizeURL = buildPkceAuthorizeUrl({
+      clientId: spotifyApi.getClientId(),
+      redirectUri: redirectUri,
+      scopes: scopes,
+      state: state,
+      challenge: pkce.challenge
+    });
+  } else {
+    authorizeURL = spotifyApi.createAuthorizeURL(scopes, state);
+  }
+  return { authorizeURL, redirectUri, state, pkce };
+}
+
+// Pull the code out of a pasted redirect URL (or accept a bare code)
+function parsePastedAuthorization(input, expectedState) {
+  const text = input.trim();
+  if (!text) {
+    return { code: null };
+  }
+  if (!/^https?:\/\//i.test(text)) {
+    return { code: text };
+  }
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    return { code: null, problem: 'That does not look like a URL or an authorization code.' };
+  }
+  if (url.searchParams.get('error')) {
+    return { code: null, error: url.searchParams.get('error') };
+  }
+  // A pasted URL has to prove it answers our request; only a bare code is
+  // taken on trust
+  const state = url.searchParams.get('state');
+  if (!state) {
+    return { code: null, problem: 'The URL has no "state" parameter. Paste the whole URL from the address bar, or just the code.' };
+  }
+  if (state !== expectedState) {
+    return { code: null, problem: 'The URL belongs to an older authorization attempt. Please use the URL printed above.' };
+  }
+  const code = url.searchParams.get('code');
+  return code ? { code: code } : { code: null, problem: 'No "code" parameter found in that URL.' };
+}
+
+// Headless: the browser runs on another machine, so the redirect to
+// 127.0.0.1:8888 fails there. The user copies that URL (or just its code)
+// from the address bar and pastes it here.
+function waitForPastedAuthorization(spotifyApi, request, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: input, output: output, terminal: !!input.isTTY });
+    let done = false;
+    let exchanging = false;
+
+    const finish = (error) => {
+      done = true;
+      rl.close();
+      if (error) {
+        reject(error);
+      } else {
+        console.log('Authorization successful!\n');
+        resolve();
+      }
+    };
+
+    console.log('After approving, your browser will try to open https://127.0.0.1:8888/callback?code=...');
+    console.log('That page will fail to load on another machine - that is expected.');
+    rl.setPrompt('Paste the full URL from the address bar (or just the code) and press Enter:\n> ');
+    rl.prompt();
+
+    rl.on('line', async (line) => {
+      if (done || exchanging) {
+        return;
+      }
+      const pasted = parsePastedAuthorization(line, request.state);
+      if (pasted.error) {
+        finish(new Error(`Authorization failed: ${pasted.error}`));
+        return;
+      }
+      if (!pasted.code) {
+        if (pasted.problem) {
+          console.log(pasted.problem);
+        }
+        rl.prompt();
+        return;
+      }
+      exchanging = true;
+      try {
+        await exchangeCode(spotifyApi, request, pasted.code);
+        finish();
+      } catch (err) {
+        // Codes are single use and expire quickly, a fresh attempt is needed
+        finish(err);
+      }
+    });
+
+    rl.on('close', () => {
+      if (!done && !exchanging) {
+        done = true;
+        reject(new Error('No authorization code received (input closed)'));
+      }
+    });
+  });
+}
+
+// Query parameters and error messages end up in the callback pages
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Local: the browser on this machine is redirected to our callback server
+function waitForCallback(spotifyApi, request) {
+  return new Promise((resolve, reject) => {
+    // Generate self-signed certificate for HTTPS with larger key size
+    const attrs = [{ name: 'commonName', value: '127.0.0.1' }];
+    const pems = selfsigned.generate(attrs, {
+      days: 365,
+      keySize: 2048,  // Use 2048-bit key (required by modern OpenSSL)
+      algorithm: 'sha256'
+    });
+
+    // Start HTTPS server to receive callback
+    const server = https.createServer({
+      key: pems.private,
+      cert: pems.cert
+    }, async (req, res) => {
+      if (req.url.startsWith('/callback')) {
+        const url = new URL(req.url, 'https://127.0.0.1:8888');
+        const code = url.searchParams.get('code');
+        const error = url.searchParams.get('error');
+
+        if (error) {
+          res.writeHead(400, { 'Content-Type': 'text/html' });
+          res.end(`<h1>Authorization failed: ${escapeHtml(error)}</h1>`);
+          server.close();
+          reject(new Error(`Authorization failed: ${error}`));
+          return;
+        }
+
+        if (url.searchParams.get('state') !== request.state) {
+          // Stale tab or a request we did not start; keep waiting for the real one
+          res.writeHead(400, { 'Content-Type': 'text/html' });
+          res.end('<h1>Authorization state mismatch. Please use the latest authorization URL.</h1>');
+          return;
+        }
+
+        if (code) {
+          try {
+            await exchangeCode(spotifyApi, request, code);
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<h1>Authorization successful! You can close this window.</h1>');
+            server.close();
+            console.log('Authorization successful!\n');
+            resolve();
+          } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'text/html' });
+            res.end(`<h1>Error: ${escapeHtml(err.message)}</h1>`);
+            server.close();
+            reject(err);
+          }
+        }
+      }
+    });
+
+    server.on('error', (error) => {
+      reject(new Error(`Could not start the callback server on 127.0.0.1:8888: ${error.message}`));
+    });
+
+    server.listen(8888, '127.0.0.1', () => {
+      console.log('Local HTTPS server started on https://127.0.0.1:8888');
+    });
+  });
+}
+
+// Whether authorization should use the paste-the-redirect flow: requested with
+// --headless or config.headlessAuth, or no graphical session is available
+function isHeadless(config = {}, args = []) {
+  if (args.includes('--headless') || config.headlessAuth === true) {
+    return true;
+  }
+  if (config.headlessAuth === false) {
+    return false;
+  }
+  return process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+}
+
+// OAuth authentication
+function authenticate(spotifyApi, scopes, { flow = 'authorization-code', headless = false } = {}) {
+  const request = createAuthorizationRequest(spotifyApi, scopes, flow);
+
+  console.log('\n=== Spotify Authentication Required ===');
+  console.log(`Authorization flow: ${flow === 'pkce' ? 'PKCE (no client secret)' : 'authorization code'}${headless ? ', headless' : ''}`);
+  console.log('Redirect URI being used:', request.redirectUri);
+
+  // Parse and display the authorization URL to verify redirect_uri parameter
+  try {
+    const urlObj = new URL(request.authorizeURL);
+    const redirectParam = urlObj.searchParams.get('redirect_uri');
+    console.log('Redirect URI in authorization URL:', redirectParam);
+    console.log('Match:', redirectParam === request.redirectUri ? 'YES ✓' : 'NO ✗');
+    if (redirectParam !== request.redirectUri) {
+      console.log('WARNING: Mismatch detected!');
+    }
+  } catch (e) {
+    console.log('Could not parse authorization URL');
+  }
+
+  if (headless) {
+    console.log('\nOpen this URL in a browser on any device and approve access:');
+    console.log(request.authorizeURL);
+    console.log('');
+    return waitForPastedAuthorization(spotifyApi, request);
+  }
+
+  console.log('\nPlease visit this URL to authorize the application:');
+  console.log(request.authorizeURL);
+  console.log('\nWaiting for authorization...');
+  console.log('Note: Your browser may show a security warning for the self-signed certificate.');
+  console.log('This is normal for localhost. Click "Advanced" and proceed anyway.');
+  console.log('\nIMPORTANT: Make sure your Spotify app has this EXACT redirect URI:');
+  console.log('  https://127.0.0.1:8888/callback');
+  console.log('  (Must be HTTPS, not HTTP!)\n');
+  return waitForCallback(spotifyApi, request);
+}
+
+module.exports = {
+  authFlowFor,
+  createPkcePair,
+  buildPkceAuthorizeUrl,
+  requestToken,
+  createTokenRefresher,
+  parsePastedAuthorization,
+  isHeadless,
+  authenticate
+};
@@ -0,0 +1,325 @@
+// Central Spotify Web API client
+//
+// Every Web API call goes through client.call(endpoint, api => api.someMethod()).
+// The wrapper takes care of:
+// - refreshing the access token shortly before it expires, and once on a 401
+// - waiting for Retry-After on 429 responses (or failing fast while rate limited)
+// - retrying transient errors (5xx, timeouts, network errors) with jittered
+//   exponential backoff
+// - a circuit breaker that stops calling Spotify for a while during outages;
+//   afterwards a single trial call decides whether it closes again
+// - pausing all calls when the refresh token was revoked, until new tokens
+//   arrive through setTokens()
+// - per-endpoint counters that are reported in the periodic health check
+
+const { isAuthorizationRevoked } = require('./tokens');
+
+const DEFAULT_CLIENT_OPTIONS = {
+  maxRetries: 3,                // Retries for transient errors per call
+  retryBaseMs: 500,             // First backoff step
+  retryMaxMs: 8000,             // Largest single backoff step
+  maxRetryAfterMs: 30000,       // Longest Retry-After we wait inline; longer ones fail fast
+  refreshAheadMs: 60000,        // Refresh this long before the access token expires
+  breakerThreshold: 3,          // Consecutive failed calls that open the breaker
+  breakerOpenMs: 60000,         // First open period, doubles on repeated failures
+  breakerMaxOpenMs: 600000      // Longest open period
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 5xx responses and errors without a status code (timeouts, DNS, resets) are worth retrying
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (typeof error.statusCode === 'number') {
+    return error.statusCode >= 500;
+  }
+  return true;
+}
+
+// Retry-After is given in seconds by the Web API
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const value = headers['retry-after'] || headers['Retry-After'];
+  const seconds = parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : 1000;
+}
+
+// spotifyApi     - an authenticated SpotifyWebApi instance
+// options.tokenExpiresAt        - expiry of the current access token (epoch ms)
+// options.refreshAccessToken()  - performs the refresh grant (defaults to the
+//                                 client-secret grant of spotify-web-api-node)
+// options.onTokens(body)        - called with the token endpoint response after
+//                                 every successful refresh so it can be saved
+// options.onAuthorizationLost(error) - called once when the refresh token stops
+//                                 working and the user has to authorize again
+function createSpotifyClient(spotifyApi, options = {}) {
+  const settings = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const onTokens = options.onTokens || (() => {});
+  const onAuthorizationLost = options.onAuthorizationLost || (() => {});
+  const refreshAccessToken = options.refreshAccessToken || (() => spotifyApi.refreshAccessToken());
+
+  let tokenExpiresAt = options.tokenExpiresAt || null;
+  let refreshPromise = null;
+  let rateLimitedUntil = 0;
+  let authorizationLost = false;
+  let trial = null;             // the one call let through while half-open
+
+  const breaker = {
+    state: 'closed',            // closed | open | half-open
+    consecutiveFailures: 0,
+    openUntil: 0,
+    openMs: settings.breakerOpenMs,
+    timesOpened: 0
+  };
+
+  const endpointStats = {};
+
+  function statsFor(endpoint) {
+    if (!endpointStats[endpoint]) {
+      endpointStats[endpoint] = {
+        calls: 0,
+        errors: 0,
+        retries: 0,
+        byStatus: {},
+        lastError: null,
+        lastErrorAt: null
+      };
+    }
+    return endpointStats[endpoint];
+  }
+
+  function recordError(endpoint, error) {
+    const stats = statsFor(endpoint);
+    const status = error.statusCode || error.code || 'network';
+    stats.errors++;
+    stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
+    stats.lastError = error.message;
+    stats.lastErrorAt = Date.now();
+  }
+
+  // Refresh the access token; concurrent callers share one request
+  function refresh() {
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        console.log(`[${new Date().toLocaleTimeString()}] Refreshing access token...`);
+        let data;
+        try {
+          data = await refreshAccessToken();
+        } catch (error) {
+          if (isAuthorizationRevoked(error) && !authorizationLost) {
+            authorizationLost = true;
+            console.error(`[${new Date().toLocaleTimeString()}] Refresh token rejected by Spotify (${error.body.error}), re-authorization required`);
+            onAuthorizationLost(error);
+          }
+          throw error;
+        }
+        spotifyApi.setAccessToken(data.body['access_token']);
+        if (data.body['refresh_token']) {
+          spotifyApi.setRefreshToken(data.body['refresh_token']);
+        }
+        if (data.body['expires_in']) {
+          tokenExpiresAt = Date.now() + data.body['expires_in'] * 1000;
+        }
+        onTokens(data.body);
+        console.log(`[${new Date().toLocaleTimeString()}] Token refreshed successfully`);
+      })().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  }
+
+  async function refreshIfExpiring() {
+    if (tokenExpiresAt && Date.now() >= tokenExpiresAt - settings.refreshAheadMs) {
+      try {
+        await refresh();
+      } catch (error) {
+        // Let the call itself decide; a 401 will trigger another attempt
+        console.error(`[${new Date().toLocaleTimeString()}] Proactive token refresh failed:`, error.message);
+      }
+    }
+  }
+
+  function checkBreaker(endpoint) {
+    const now = Date.now();
+    if (authorizationLost) {
+      const error = new Error('Spotify authorization revoked, waiting for re-authorization');
+      error.code = 'REAUTH_REQUIRED';
+      throw error;
+    }
+    if (breaker.state === 'half-open' && trial) {
+      const error = new Error('Spotify API unavailable (waiting for a trial call)');
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+    if (breaker.state === 'open') {
+      if (now < breaker.openUntil) {
+        const error = new Error(`Spotify API unavailable (circuit open for another ${Math.ceil((breaker.openUntil - now) / 1000)}s)`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      // Let one trial call through
+      breaker.state = 'half-open';
+      console.log(`[${new Date().toLocaleTimeString()}] Circuit half-open, trying ${endpoint}`);
+    }
+    if (now < rateLimitedUntil) {
+      const error = new Error(`Rate limited by Spotify for another ${Math.ceil((rateLimitedUntil - now) / 1000)}s`);
+      error.code = 'RATE_LIMITED';
+      error.retryAfterMs = rateLimitedUntil - now;
+      throw error;
+    }
+  }
+
+  function onCallSucceeded() {
+    if (breaker.state !== 'closed') {
+      console.log(`[${new Date().toLocaleTimeString()}] Spotify API reachable again, circuit closed`);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openMs = settings.breakerOpenMs;
+  }
+
+  function onCallFailed(error) {
+    if (!isTransientError(error)) {
+      return;
+    }
+    breaker.consecutiveFailures++;
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= settings.breakerThreshold) {
+      if (breaker.state === 'half-open') {
+        breaker.openMs = Math.min(breaker.openMs * 2, settings.breakerMaxOpenMs);
+      }
+      breaker.state = 'open';
+      breaker.openUntil = Date.now() + breaker.openMs;
+      breaker.timesOpened++;
+      console.error(`[${new Date().toLocaleTimeString()}] Spotify API failing (${error.message}), circuit open for ${breaker.openMs / 1000}s`);
+    }
+  }
+
+  // Run fn(spotifyApi) with refresh, rate limit, retry and breaker handling
+  async function call(endpoint, fn) {
+    checkBreaker(endpoint);
+    if (breaker.state !== 'half-open') {
+      return run(endpoint, fn);
+    }
+    // Other calls fail fast until the trial settles
+    trial = run(endpoint, fn);
+    try {
+      return await trial;
+    } finally {
+      trial = null;
+    }
+  }
+
+  async function run(endpoint, fn) {
+    await refreshIfExpiring();
+    if (authorizationLost) {
+      checkBreaker(endpoint);
+    }
+
+    const stats = statsFor(endpoint);
+    let refreshed = false;
+    let attempt = 0;
+
+    for (;;) {
+      stats.calls++;
+      try {
+        const response = await fn(spotifyApi);
+        onCallSucceeded();
+        return response;
+      } catch (error) {
+        recordError(endpoint, error);
+
+        if (error.statusCode === 401 && !refreshed) {
+          refreshed = true;
+          try {
+            await refresh();
+          } catch (refreshError) {
+            console.error(`[${new Date().toLocaleTimeString()}] Failed to refresh token:`, refreshError.message);
+            throw error;
+          }
+          stats.retries++;
+          continue;
+        }
+
+        if (error.statusCode === 429) {
+          const retryAfterMs = getRetryAfterMs(error);
+          rateLimitedUntil = Date.now() + retryAfterMs;
+          if (retryAfterMs > settings.maxRetryAfterMs || attempt >= settings.maxRetries) {
+            console.warn(`[${new Date().toLocaleTimeString()}] Rate limited on ${endpoint}, backing off for ${Math.ceil(retryAfterMs / 1000)}s`);
+            error.retryAfterMs = retryAfterMs;
+            throw error;
+          }
+          console.warn(`[${new Date().toLocaleTimeString()}] Rate limited on ${endpoint}, retrying in ${Math.ceil(retryAfterMs / 1000)}s`);
+          attempt++;
+          stats.retries++;
+          await sleep(retryAfterMs);
+          continue;
+        }
+
+        if (isTransientError(error) && attempt < settings.maxRetries) {
+          // Full jitter: anywhere between 0 and the exponential step
+          const step = Math.min(settings.retryMaxMs, settings.retryBaseMs * Math.pow(2, attempt));
+          const delay = Math.round(Math.random() * step);
+          attempt++;
+          stats.retries++;
+          console.warn(`[${new Date().toLocaleTimeString()}] ${endpoint} failed (${error.statusCode || error.message}), retry ${attempt}/${settings.maxRetries} in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        onCallFailed(error);
+        throw error;
+      }
+    }
+  }
+
+  // Install new tokens, e.g. after the user authorized the app again
+  function setTokens(tokens) {
+    spotifyApi.setAccessToken(tokens.access_token);
+    spotifyApi.setRefreshToken(tokens.refresh_token);
+    tokenExpiresAt = tokens.expires_at || null;
+    authorizationLost = false;
+  }
+
+  function getStats() {
+    return {
+      authorizationLost: authorizationLost,
+      circuit: breaker.state,
+      circuitOpenUntil: breaker.state === 'open' ? breaker.openUntil : null,
+      circuitTimesOpened: breaker.timesOpened,
+      rateLimitedUntil: rateLimitedUntil > Date.now() ? rateLimitedUntil : null,
+      tokenExpiresAt: tokenExpiresAt,
+      endpoints: endpointStats
+    };
+  }
+
+  // One line per endpoint with errors, for the health check log
+  function describeStats() {
+    const lines = [`Spotify API: circuit ${breaker.state} (opened ${breaker.timesOpened}x)${authorizationLost ? ', waiting for re-authorization' : ''}`];
+    for (const [endpoint, stats] of Object.entries(endpointStats)) {
+      const statuses = Object.entries(stats.byStatus).map(([status, count]) => `${status}x${count}`).join(' ');
+      lines.push(`  ${endpoint}: ${stats.calls} calls, ${stats.errors} errors, ${stats.retries} retries${statuses ? ` (${statuses})` : ''}`);
+    }
+    return lines.join('\n');
+  }
+
+  return {
+    api: spotifyApi,
+    settings,
+    call,
+    refresh,
+    getStats,
+    describeStats,
+    setTokens
+  };
+}
+
+module.exports = {
+  createSpotifyClient,
+  isTransientError,
+  DEFAULT_CLIENT_OPTIONS
+};
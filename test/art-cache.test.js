@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createArtCache } = require('../art-cache');
+
+const JPEG_HEAD = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+// A 1000 byte "JPEG" that differs per name
+function jpeg(name) {
+  return Buffer.concat([JPEG_HEAD, Buffer.alloc(996, name)]);
+}
+
+// Local image server; every request is counted per path
+async function startServer(t) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (req.url === '/truncated.jpg') {
+      // Promises 1000 bytes, then hangs up after 10
+      res.writeHead(200, { 'Content-Length': 1000 });
+      res.write(JPEG_HEAD);
+      res.write(Buffer.alloc(6));
+      setTimeout(() => res.socket.destroy(), 20);
+      return;
+    }
+    if (req.url === '/page.jpg') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not found</body></html>');
+      return;
+    }
+    if (req.url === '/moved.jpg') {
+      res.writeHead(302, { Location: '/a.jpg' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+    res.end(jpeg(req.url));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { hits, track: (name, albumId = name) => ({ artUrl: `${base}/${name}.jpg`, albumId: albumId, album: name }) };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'art-cache-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const analyze = async imagePath => ({ colors: [[1, 2, 3]], file: path.basename(imagePath) });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('downloads once, then serves the cover and palette from the cache', async (t) => {
+  const server = await startServer(t);
+  const cache = createArtCache({ directory: tempDir(t) }, { analyze });
+
+  const first = await cache.resolve(server.track('a'));
+  const second = await cache.resolve(server.track('a'));
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(second.cached, true);
+  assert.strictEqual(second.imagePath, first.imagePath);
+  assert.deepStrictEqual(second.palette, first.palette);
+  assert.ok(fs.readFileSync(first.imagePath).equals(jpeg('/a.jpg')));
+  assert.strictEqual(server.hits['/a.jpg'], 1);
+
+  const [entry] = cache.list();
+  assert.strictEqual(entry.sha256, crypto.createHash('sha256').update(jpeg('/a.jpg')).digest('hex'));
+  assert.strictEqual(entry.hits, 1);
+});
+
+test('follows redirects', async (t) => {
+  const server = await startServer(t);
+  const cache = createArtCache({ directory: tempDir(t) }, { analyze });
+  const result = await cache.resolve(server.track('moved'));
+  assert.ok(fs.readFileSync(result.imagePath).equals(jpeg('/a.jpg')));
+});
+
+test('rejects downloads shorter than Content-Length and leaves nothing behind', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  const cache = createArtCache({ directory: directory }, { analyze });
+  await assert.rejects(cache.resolve(server.track('truncated')), /interrupted|incomplete/);
+  assert.deepStrictEqual(fs.readdirSync(directory), []);
+  assert.strictEqual(cache.stats().entries, 0);
+});
+
+test('rejects downloads that are not an image', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  const cache = createArtCache({ directory: directory }, { analyze });
+  await assert.rejects(cache.resolve(server.track('page')), /not a JPEG, PNG, WebP or GIF image/);
+  assert.deepStrictEqual(fs.readdirSync(directory), []);
+});
+
+test('downloads a cover again when its file no longer matches the checksum', async (t) => {
+  const server = await startServer(t);
+  const cache = createArtCache({ directory: tempDir(t) }, { analyze });
+  const { imagePath } = await cache.resolve(server.track('a'));
+  // Same size, different content
+  fs.writeFileSync(imagePath, jpeg('damaged'));
+
+  const again = await cache.resolve(server.track('a'));
+  assert.strictEqual(again.cached, false);
+  assert.strictEqual(server.hits['/a.jpg'], 2);
+  assert.ok(fs.readFileSync(again.imagePath).equals(jpeg('/a.jpg')));
+  assert.deepStrictEqual(cache.verify(), []);
+});
+
+test('evicts the least recently used covers beyond maxBytes', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  const cache = createArtCache({ directory: directory, maxBytes: 2500 }, { analyze });
+  for (const name of ['a', 'b', 'c', 'a', 'd']) {
+    await cache.resolve(server.track(name));
+    await tick();
+  }
+  assert.deepStrictEqual(cache.list().map(entry => entry.album), ['d', 'a']);
+  assert.deepStrictEqual(cache.stats(), { directory: directory, entries: 2, bytes: 2000, maxBytes: 2500 });
+  assert.strictEqual(fs.readdirSync(directory).filter(file => file.endsWith('.jpg')).length, 2);
+});
+
+test('merges the index with covers added by another process', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  const daemon = createArtCache({ directory: directory }, { analyze });
+  const once = createArtCache({ directory: directory }, { analyze });
+
+  await daemon.resolve(server.track('a'));
+  await tick();
+  await once.resolve(server.track('b'));
+  await tick();
+  // Known from the index the daemon wrote, no second download
+  assert.strictEqual((await once.resolve(server.track('a'))).cached, true);
+  assert.strictEqual(server.hits['/a.jpg'], 1);
+
+  // Neither write dropped the other's entry, and the later use wins
+  assert.deepStrictEqual(daemon.list().map(entry => entry.album), ['a', 'b']);
+  const index = JSON.parse(fs.readFileSync(path.join(directory, 'index.json'), 'utf8'));
+  assert.deepStrictEqual(Object.keys(index.entries).sort(), ['album:a', 'album:b']);
+  assert.strictEqual(index.entries['album:a'].hits, 1);
+
+  // A cover removed by one process is gone for the other
+  assert.strictEqual(once.remove('album:b'), true);
+  assert.deepStrictEqual(daemon.list().map(entry => entry.album), ['a']);
+});
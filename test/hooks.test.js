@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHooks, commandEnv } = require('../hooks');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hooks-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A plugin whose handlers forward to `handle`, which the test fills in after loading
+function writePlugin(directory, name, options) {
+  const file = path.join(directory, `${name}.js`);
+  fs.writeFileSync(file, `module.exports = {
+  'track-changed': payload => module.exports.handle(payload),
+  idle: payload => module.exports.handle(payload),
+  ...${JSON.stringify(options)}
+};\n`);
+  return file;
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('queues events per hook and drops the oldest when it falls behind', async (t) => {
+  const pluginsDir = tempDir(t);
+  const plugin = require(writePlugin(pluginsDir, 'slow', { concurrency: 1, maxQueued: 2 }));
+  const started = [];
+  const runs = [];
+  plugin.handle = (payload) => {
+    started.push(payload.track.name);
+    const run = deferred();
+    runs.push(run);
+    return run.promise;
+  };
+  const hooks = createHooks({ enabled: true, pluginsDir: pluginsDir });
+  assert.deepStrictEqual(hooks.plugins, ['slow']);
+
+  for (const name of ['a', 'b', 'c', 'd']) {
+    hooks.emit('track-changed', { track: { name } });
+  }
+  hooks.emit('playback-paused', { track: { name: 'not handled' } });
+  assert.deepStrictEqual(started, ['a']);
+  assert.match(console.warn.mock.calls[0].arguments[0], /Hook slow:track-changed is falling behind, skipping its track-changed event/);
+
+  // One at a time, in order
+  runs[0].resolve();
+  await waitFor(() => started.length === 2);
+  assert.deepStrictEqual(started, ['a', 'c']);
+  runs[1].resolve();
+  await waitFor(() => started.length === 3);
+  runs[2].resolve();
+  assert.deepStrictEqual(started, ['a', 'c', 'd']);
+});
+
+test('abandons plugin runs that time out and goes on with the queue', async (t) => {
+  const pluginsDir = tempDir(t);
+  const plugin = require(writePlugin(pluginsDir, 'stuck', { timeoutMs: 30 }));
+  const started = [];
+  plugin.handle = (payload) => {
+    started.push(`${payload.event} ${payload.track.name}`);
+    if (payload.track.name === 'stuck') {
+      return new Promise(() => {});
+    }
+    if (payload.track.name === 'broken') {
+      throw new Error('sync failure');
+    }
+    return Promise.resolve();
+  };
+  const hooks = createHooks({ enabled: true, pluginsDir: pluginsDir });
+  hooks.emit('track-changed', { track: { name: 'stuck' } });
+  hooks.emit('track-changed', { track: { name: 'next' } });
+  hooks.emit('idle', { track: { name: 'broken' } });
+  // Events have their own queues, the idle hook does not wait
+  assert.deepStrictEqual(started, ['track-changed stuck', 'idle broken']);
+
+  await waitFor(() => started.length === 3);
+  assert.strictEqual(started[2], 'track-changed next');
+  const failures = console.error.mock.calls.map(call => `${call.arguments[0].replace(/^\[[^\]]+\] /, '')} ${call.arguments[1]}`);
+  assert.deepStrictEqual(failures, [
+    'Hook stuck:idle (idle) failed: sync failure',
+    'Hook stuck:track-changed (track-changed) failed: timed out after 30ms'
+  ]);
+});
+
+test('runs commands with the payload on stdin and in the environment', async (t) => {
+  const dir = tempDir(t);
+  const out = path.join(dir, 'out');
+  const hooks = createHooks({
+    enabled: true,
+    pluginsDir: path.join(dir, 'none'),
+    commands: [{ event: ['track-changed'], command: `cat > "${out}.json"; echo "$SPOTIFY_WALLPAPER_TRACK by $SPOTIFY_WALLPAPER_ARTIST" > "${out}.txt"` }]
+  });
+  hooks.emit('track-changed', { mode: 'live', track: { name: 'Song', artists: ['A', 'B'] } });
+  await waitFor(() => fs.existsSync(`${out}.txt`) && fs.readFileSync(`${out}.txt`, 'utf8').endsWith('\n'));
+
+  assert.strictEqual(fs.readFileSync(`${out}.txt`, 'utf8'), 'Song by A, B\n');
+  const payload = JSON.parse(fs.readFileSync(`${out}.json`, 'utf8'));
+  assert.strictEqual(payload.event, 'track-changed');
+  assert.strictEqual(payload.mode, 'live');
+  assert.ok(!Number.isNaN(Date.parse(payload.at)));
+});
+
+test('kills commands that run too long', async (t) => {
+  const dir = tempDir(t);
+  const hooks = createHooks({
+    enabled: true,
+    pluginsDir: path.join(dir, 'none'),
+    commands: [{ event: 'idle', command: 'sleep 30', timeoutMs: 100 }, { event: 'idle', command: 'exit 3', name: 'failing' }]
+  });
+  const start = Date.now();
+  hooks.emit('idle', {});
+  await waitFor(() => console.error.mock.callCount() === 2);
+  assert.ok(Date.now() - start < 2000);
+
+  const messages = console.error.mock.calls.map(call => `${call.arguments[0].replace(/^\[[^\]]+\] /, '')} ${call.arguments[1]}`).sort();
+  assert.deepStrictEqual(messages, [
+    'Hook commands[0] (idle) failed: timed out after 100ms',
+    'Hook failing (idle) failed: exited with code 3'
+  ]);
+});
+
+test('rejects commands without a command or with unknown events', () => {
+  assert.throws(() => createHooks({ commands: [{ event: 'idle' }] }), /hooks\.commands\[0\] needs a "command"/);
+  assert.throws(() => createHooks({ commands: [{ event: ['idle', 'song-started'], command: 'true' }] }), /unknown hook event "song-started"/);
+});
+
+test('maps the payload to environment variables', () => {
+  assert.deepStrictEqual(commandEnv({
+    event: 'track-changed',
+    mode: 'live',
+    track: { id: 'abc', name: 'Song', artists: ['A', 'B'], album: 'Album' },
+    artPath: '/tmp/art.jpg',
+    palette: { colors: ['#112233', '#445566'], text: '#ffffff', accent: '#ff0000' },
+    playback: { isPlaying: true }
+  }), {
+    SPOTIFY_WALLPAPER_EVENT: 'track-changed',
+    SPOTIFY_WALLPAPER_MODE: 'live',
+    SPOTIFY_WALLPAPER_TRACK_ID: 'abc',
+    SPOTIFY_WALLPAPER_TRACK: 'Song',
+    SPOTIFY_WALLPAPER_ARTIST: 'A, B',
+    SPOTIFY_WALLPAPER_ALBUM: 'Album',
+    SPOTIFY_WALLPAPER_IMAGE: '/tmp/art.jpg',
+    SPOTIFY_WALLPAPER_IS_PLAYING: '1',
+    SPOTIFY_WALLPAPER_COLORS: '#112233 #445566',
+    SPOTIFY_WALLPAPER_TEXT: '#ffffff',
+    SPOTIFY_WALLPAPER_ACCENT: '#ff0000'
+  });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createLighting, rgbToXy } = require('../lighting');
+
+// Local stand-in for a WLED controller or Hue bridge that records every request
+async function startMock(t, reply = () => ({ success: true })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, body: JSON.parse(body) };
+      requests.push(request);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply(request)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { host: `127.0.0.1:${server.address().port}`, requests };
+}
+
+const palette = { colors: [[255, 0, 0], [0, 64, 0]] };
+
+test('sends palette colors to WLED segments', async (t) => {
+  const mock = await startMock(t);
+  const lighting = createLighting({ enabled: true, outputs: [{ type: 'wled', host: mock.host, segments: [0, 1, 2] }] });
+  await lighting.show(palette, null, true);
+  await lighting.idle();
+  lighting.stop();
+
+  assert.deepStrictEqual(mock.requests, [
+    {
+      method: 'POST',
+      url: '/json/state',
+      body: {
+        on: true,
+        bri: 255,
+        tt: 10,
+        seg: [
+          { id: 0, col: [[255, 0, 0]], bri: 255, fx: 0 },
+          { id: 1, col: [[0, 255, 0]], bri: 64, fx: 0 },
+          { id: 2, col: [[255, 0, 0]], bri: 255, fx: 0 }
+        ]
+      }
+    },
+    { method: 'POST', url: '/json/state', body: { on: true, bri: 77, tt: 10 } }
+  ]);
+});
+
+test('sends xy colors within the brightness limits to Hue lights', async (t) => {
+  const mock = await startMock(t, () => [{ success: {} }]);
+  const lighting = createLighting({
+    enabled: true,
+    idle: 'off',
+    outputs: [{ type: 'hue', bridge: mock.host, username: 'app key', lights: ['1', '4'], maxBrightness: 50, transitionMs: 400 }]
+  });
+  await lighting.show(palette, { tempo: 120 }, false);
+  await lighting.idle();
+
+  const byLight = url => mock.requests.filter(request => request.url === url).map(request => request.body);
+  assert.deepStrictEqual(byLight('/api/app%20key/lights/1/state'), [
+    { on: true, xy: [0.7006, 0.2993], bri: 127, transitiontime: 4 },
+    { on: false, transitiontime: 4 }
+  ]);
+  assert.deepStrictEqual(byLight('/api/app%20key/lights/4/state'), [
+    { on: true, xy: rgbToXy([0, 255, 0]), bri: 32, transitiontime: 4 },
+    { on: false, transitiontime: 4 }
+  ]);
+});
+
+test('logs bridge errors once without throwing', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const mock = await startMock(t, () => [{ error: { type: 3, description: 'resource, /lights/9, not available' } }]);
+  const lighting = createLighting({ enabled: true, outputs: [{ type: 'hue', bridge: mock.host, username: 'key', lights: ['9'] }] });
+  await lighting.show(palette, null, false);
+  await lighting.show(palette, null, false);
+
+  assert.strictEqual(mock.requests.length, 2);
+  assert.strictEqual(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[1], /light 9: resource, \/lights\/9, not available/);
+});
+
+// Captures the pulse timer so its ticks can be fired by hand
+function mockPulseTimer(t) {
+  const timer = { delay: null, tick: null };
+  t.mock.method(globalThis, 'setInterval', (tick, delay) => {
+    Object.assign(timer, { tick, delay });
+    return 1;
+  });
+  t.mock.method(globalThis, 'clearInterval', () => {});
+  return timer;
+}
+
+test('slows Hue pulses to whole beats within the bridge rate limit', async (t) => {
+  const timer = mockPulseTimer(t);
+  const mock = await startMock(t, () => [{ success: {} }]);
+  const lighting = createLighting({
+    enabled: true,
+    outputs: [{ type: 'hue', bridge: mock.host, username: 'key', lights: ['1', '2', '3', '4'], pulse: true }]
+  });
+  // Half a beat is 125ms; four lights need 400ms between commands
+  await lighting.show(palette, { tempo: 240 }, true);
+  assert.strictEqual(timer.delay, 500);
+
+  await lighting.show(palette, { tempo: 60 }, true);
+  assert.strictEqual(timer.delay, 500);
+  lighting.stop();
+});
+
+test('restores full brightness when the pulse stops', async (t) => {
+  const timer = mockPulseTimer(t);
+  const mock = await startMock(t);
+  const lighting = createLighting({ enabled: true, outputs: [{ type: 'wled', host: mock.host, pulse: true }] });
+  await lighting.show(palette, { tempo: 120 }, true);
+  assert.strictEqual(timer.delay, 250);
+
+  timer.tick();
+  await lighting.setPlaying(false);
+  assert.deepStrictEqual(mock.requests.slice(1).map(request => request.body), [
+    { on: true, bri: 153, tt: 3 },
+    { on: true, bri: 255, tt: 10 }
+  ]);
+
+  // Nothing to restore once the pulse is gone
+  await lighting.stop();
+  assert.strictEqual(mock.requests.length, 3);
+});
+
+test('rejects incomplete outputs', () => {
+  assert.throws(() => createLighting({ outputs: [{ type: 'wled' }] }), /need a "host"/);
+  assert.throws(() => createLighting({ outputs: [{ type: 'hue', bridge: '10.0.0.2', username: 'key' }] }), /need "lights"/);
+  assert.throws(() => createLighting({ outputs: [{ type: 'dmx' }] }), /Unknown lighting output "dmx"/);
+});
+
+test('converts RGB to Hue xy', () => {
+  assert.deepStrictEqual(rgbToXy([255, 0, 0]), [0.7006, 0.2993]);
+  assert.deepStrictEqual(rgbToXy([0, 0, 255]), [0.1355, 0.0399]);
+  assert.deepStrictEqual(rgbToXy([0, 0, 0]), [0.3127, 0.329]);
+});
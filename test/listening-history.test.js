@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createListeningHistory, readHistory, summarize, periodsAgo, toCsv } = require('../listening-history');
+
+// Records are bucketed by local time, so the test dates are local too
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).toISOString();
+const record = (startedAt, listenedMs, artists, album) => ({ startedAt, listenedMs, track: { name: 'Song', artists, album } });
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'history.jsonl');
+}
+
+test('buckets ISO weeks by the year of their Thursday', () => {
+  const weeks = date => summarize([record(date, 1000, ['A'], 'X')], 'week')[0].period;
+  assert.strictEqual(weeks(at(2019, 12, 30)), '2020-W01');
+  assert.strictEqual(weeks(at(2020, 12, 31)), '2020-W53');
+  assert.strictEqual(weeks(at(2021, 1, 3)), '2020-W53');
+  assert.strictEqual(weeks(at(2021, 1, 4)), '2021-W01');
+  assert.strictEqual(weeks(at(2026, 10, 18, 23)), '2026-W42');
+  assert.strictEqual(weeks(at(2026, 10, 19, 0)), '2026-W43');
+});
+
+test('summarizes listened time per period, most recent first', () => {
+  const records = [
+    record(at(2026, 9, 30), 60000, ['A'], 'First'),
+    record(at(2026, 10, 1), 120000, ['A', 'B'], 'Second'),
+    record(at(2026, 10, 1), 30000, ['C'], 'Third'),
+    record(at(2026, 10, 2), 30000, ['C'], 'Third'),
+    { startedAt: at(2026, 10, 3), track: { name: 'No time' } }
+  ];
+  assert.deepStrictEqual(summarize(records, 'day').map(bucket => bucket.period), ['2026-10-03', '2026-10-02', '2026-10-01', '2026-09-30']);
+
+  const [october, september] = summarize(records, 'month', 2);
+  assert.strictEqual(october.period, '2026-10');
+  assert.strictEqual(october.listenedMs, 180000);
+  assert.strictEqual(october.tracks, 4);
+  assert.deepStrictEqual(october.artists, [
+    { name: 'A', listenedMs: 120000, plays: 1 },
+    { name: 'B', listenedMs: 120000, plays: 1 }
+  ]);
+  assert.deepStrictEqual(october.albums.map(album => [album.name, album.plays]), [['Second - A', 1], ['Third - C', 2]]);
+  assert.deepStrictEqual(september.artists, [{ name: 'A', listenedMs: 60000, plays: 1 }]);
+
+  assert.throws(() => summarize(records, 'year'), /Unknown period "year"/);
+});
+
+test('finds the start of earlier periods', () => {
+  const now = new Date(2026, 0, 1, 15);
+  assert.deepStrictEqual(periodsAgo('day', 1, now), new Date(2026, 0, 1));
+  assert.deepStrictEqual(periodsAgo('day', 3, now), new Date(2025, 11, 30));
+  // 2026-01-01 is a Thursday
+  assert.deepStrictEqual(periodsAgo('week', 1, now), new Date(2025, 11, 29));
+  assert.deepStrictEqual(periodsAgo('week', 2, now), new Date(2025, 11, 22));
+  assert.deepStrictEqual(periodsAgo('month', 3, now), new Date(2025, 10, 1));
+});
+
+test('quotes CSV fields with commas, quotes and line breaks', () => {
+  const csv = toCsv([{
+    startedAt: '2026-10-18T12:00:00.000Z',
+    listenedMs: 1000,
+    track: { id: 'abc', name: 'Hello, "World"', artists: ['A', 'B'], album: 'Two\nLines' },
+    audioFeatures: { tempo: 120.5 }
+  }]);
+  assert.strictEqual(csv, [
+    'startedAt,endedAt,listenedMs,trackId,track,artists,album,albumId,durationMs,device,source,mode,accent,tempo,energy,valence',
+    '2026-10-18T12:00:00.000Z,,1000,abc,"Hello, ""World""",A; B,"Two\nLines",,,,,,,120.5,,',
+    ''
+  ].join('\n'));
+});
+
+test('counts only playing time and starts a new line after a cut-off one', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{"startedAt":"2026-10-18T10:00:00.000Z","listenedMs":1}\n{"startedAt":"2026-10-18T11:00');
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+
+  const history = createListeningHistory({ file: file });
+  history.start({ track: { name: 'Song' }, source: 'spotify', mode: 'live' }, true, 'Speaker');
+  now = 4000;
+  history.setPlaying(false);
+  now = 10000;
+  history.setPlaying(true);
+  now = 12000;
+  history.finish();
+  history.finish();
+
+  const records = readHistory(file);
+  assert.strictEqual(records.length, 2);
+  assert.deepStrictEqual(records.map(entry => entry.listenedMs), [1, 5000]);
+  assert.strictEqual(records[1].device, 'Speaker');
+  assert.match(console.warn.mock.calls[0].arguments[0], /Skipped 1 unreadable line/);
+});
+
+test('reads only the records started within the range', (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, [at(2026, 10, 1), at(2026, 10, 2), at(2026, 10, 3)].map(startedAt => JSON.stringify({ startedAt })).join('\n') + '\n');
+  const records = readHistory(file, { since: new Date(2026, 9, 2), until: new Date(2026, 9, 3, 12) });
+  assert.deepStrictEqual(records.map(entry => entry.startedAt), [at(2026, 10, 2)]);
+  assert.deepStrictEqual(readHistory(path.join(path.dirname(file), 'missing.jsonl')), []);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLocalApi, parseSpotifyId, apiError } = require('../local-api');
+
+// Controller stand-in that records what the routes ask of it
+function fakeController(overrides = {}) {
+  const calls = [];
+  return {
+    calls,
+    nowPlaying: () => ({ mode: 'live', track: { name: 'Song' } }),
+    palette: () => ({ colors: [[1, 2, 3]] }),
+    artPath: () => null,
+    health: () => ({ ok: true }),
+    refresh: async () => { calls.push(['refresh']); },
+    pin: async (request) => { calls.push(['pin', request]); },
+    unpin: async () => { calls.push(['unpin']); },
+    ...overrides
+  };
+}
+
+async function startApi(t, options, controller) {
+  const savedToken = process.env.SPOTIFY_WALLPAPER_API_TOKEN;
+  delete process.env.SPOTIFY_WALLPAPER_API_TOKEN;
+  t.after(() => {
+    if (savedToken !== undefined) {
+      process.env.SPOTIFY_WALLPAPER_API_TOKEN = savedToken;
+    }
+  });
+  const api = createLocalApi({ port: 0, ...options }, controller);
+  const { port } = await api.start();
+  t.after(() => api.stop());
+  return (path, init = {}) => fetch(`http://127.0.0.1:${port}${path}`, init);
+}
+
+const json = body => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('requires the token as a bearer header or query parameter', async (t) => {
+  const request = await startApi(t, { token: 'secret' }, fakeController());
+  assert.strictEqual((await request('/now-playing')).status, 401);
+  assert.strictEqual((await request('/now-playing', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.strictEqual((await request('/now-playing?token=secre')).status, 401);
+
+  const response = await request('/now-playing', { headers: { Authorization: 'Bearer secret' } });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { mode: 'live', track: { name: 'Song' } });
+  assert.strictEqual((await request('/palette?token=secret')).status, 200);
+});
+
+test('answers without a token on loopback when none is set', async (t) => {
+  const request = await startApi(t, {}, fakeController());
+  assert.deepStrictEqual(await (await request('/palette')).json(), { colors: [[1, 2, 3]] });
+});
+
+test('refuses to listen beyond loopback without a token', async () => {
+  const api = createLocalApi({ host: '0.0.0.0', port: 0 }, fakeController());
+  await assert.rejects(api.start(), /Refusing to serve the HTTP API on 0\.0\.0\.0 without a token/);
+});
+
+test('routes reads to the controller', async (t) => {
+  const unhealthy = { ok: false, poller: 'stalled' };
+  const request = await startApi(t, {}, fakeController({ health: () => unhealthy }));
+  const health = await request('/health');
+  assert.strictEqual(health.status, 503);
+  assert.deepStrictEqual(await health.json(), unhealthy);
+  assert.deepStrictEqual(await (await request('/art')).json(), { error: 'Nothing is shown yet' });
+
+  const missing = await request('/nothing-here');
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(await missing.json(), { error: 'No route for GET /nothing-here' });
+});
+
+test('refreshes, pins and unpins', async (t) => {
+  const controller = fakeController();
+  const request = await startApi(t, {}, controller);
+  assert.strictEqual((await request('/refresh', { method: 'POST' })).status, 200);
+  assert.strictEqual((await request('/pin', json({ track: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?si=abc', durationMs: 60000 }))).status, 200);
+  assert.strictEqual((await request('/pin', json({ album: 'spotify:album:6N9PS4QXF1D0OWPk0Sxtb4' }))).status, 200);
+  assert.strictEqual((await request('/pin', { method: 'POST' })).status, 200);
+  assert.strictEqual((await request('/pin', { method: 'DELETE' })).status, 200);
+  assert.deepStrictEqual(controller.calls, [
+    ['refresh'],
+    ['pin', { track: '4uLU6hMCjMI75M1A2tKUQC', durationMs: 60000 }],
+    ['pin', { album: '6N9PS4QXF1D0OWPk0Sxtb4' }],
+    ['pin', {}],
+    ['unpin']
+  ]);
+});
+
+test('reports bad pin requests and controller errors with their status', async (t) => {
+  let failure = apiError(409, 'Busy');
+  const request = await startApi(t, {}, fakeController({ pin: async () => { throw failure; } }));
+
+  const badTrack = await request('/pin', json({ track: 'not a track!' }));
+  assert.strictEqual(badTrack.status, 400);
+  assert.match((await badTrack.json()).error, /"track" must be/);
+  assert.strictEqual((await request('/pin', json({ durationMs: -5 }))).status, 400);
+  assert.strictEqual((await request('/pin', json({}))).status, 409);
+
+  // Unknown IDs come back from Spotify as 404s
+  failure = Object.assign(new Error('Non existing id'), { statusCode: 404 });
+  assert.strictEqual((await request('/pin', json({ track: 'abc' }))).status, 404);
+  failure = new Error('boom');
+  assert.strictEqual((await request('/pin', json({}))).status, 500);
+});
+
+test('refuses cross-origin and non-JSON changes', async (t) => {
+  const controller = fakeController();
+  const request = await startApi(t, {}, controller);
+  assert.strictEqual((await request('/refresh', { method: 'POST', headers: { Origin: 'https://example.com' } })).status, 403);
+  assert.strictEqual((await request('/pin', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '{"track":"abc"}' })).status, 415);
+  assert.strictEqual((await request('/palette', { headers: { Origin: 'https://example.com' } })).status, 200);
+  assert.deepStrictEqual(controller.calls, []);
+});
+
+test('parses Spotify IDs, URIs and links', () => {
+  assert.strictEqual(parseSpotifyId('4uLU6hMCjMI75M1A2tKUQC', 'track'), '4uLU6hMCjMI75M1A2tKUQC');
+  assert.strictEqual(parseSpotifyId('spotify:track:4uLU6hMCjMI75M1A2tKUQC', 'track'), '4uLU6hMCjMI75M1A2tKUQC');
+  assert.strictEqual(parseSpotifyId('https://open.spotify.com/intl-de/album/6N9PS4QXF1D0OWPk0Sxtb4?si=x', 'album'), '6N9PS4QXF1D0OWPk0Sxtb4');
+  assert.strictEqual(parseSpotifyId('spotify:album:6N9PS4QXF1D0OWPk0Sxtb4', 'track'), null);
+  assert.strictEqual(parseSpotifyId('', 'track'), null);
+  assert.strictEqual(parseSpotifyId(42, 'track'), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLyricsLibrary, parseLrc, normalizeName } = require('../lyrics');
+
+test('parses timestamps, repeated lines, enhanced stamps and tags', () => {
+  const { tags, lines } = parseLrc([
+    '\uFEFF[ar: Queen ]',
+    '[ti:Bohemian Rhapsody]',
+    '[offset:+250]',
+    '[00:12.5]Is this the real life?',
+    '[01:02.05][00:20.123]Chorus line',
+    '[00:15:40]<00:15.40>Is <00:16.00>this <00:16.50>just fantasy?',
+    '[00:30]',
+    'no timestamp here',
+    '[2:03.999]Late line\r'
+  ].join('\r\n'));
+
+  assert.deepStrictEqual(tags, { ar: 'Queen', ti: 'Bohemian Rhapsody', offset: '+250' });
+  assert.deepStrictEqual(lines, [
+    { timeMs: 12500, text: 'Is this the real life?' },
+    { timeMs: 15400, text: 'Is this just fantasy?' },
+    { timeMs: 20123, text: 'Chorus line' },
+    { timeMs: 30000, text: '' },
+    { timeMs: 62050, text: 'Chorus line' },
+    { timeMs: 123999, text: 'Late line' }
+  ]);
+});
+
+test('normalizes names for loose comparisons', () => {
+  assert.strictEqual(normalizeName('Beyoncé'), 'beyonce');
+  assert.strictEqual(normalizeName('Simon & Garfunkel'), 'simon and garfunkel');
+  assert.strictEqual(normalizeName('Hey Jude - Remastered 2015'), 'hey jude');
+  assert.strictEqual(normalizeName('Stay (feat. Justin Bieber)'), 'stay');
+  assert.strictEqual(normalizeName('Song [Live at Wembley]'), 'song');
+  assert.strictEqual(normalizeName("Don't Stop Me Now!"), 'don t stop me now');
+  assert.strictEqual(normalizeName('Heroes (Single Version)'), 'heroes');
+  assert.strictEqual(normalizeName(null), '');
+});
+
+test('finds lyrics by tags, file name or artist directory, with small spelling differences', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lyrics-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(directory, 'Queen - Bohemian Rhapsody.lrc'), '[offset:500]\n[00:00.20]Is this the real life?\n[00:10.00]Is this just fantasy?\n');
+  fs.mkdirSync(path.join(directory, 'The Beatles'));
+  fs.writeFileSync(path.join(directory, 'The Beatles', 'Hey Jude.lrc'), '[00:05.00]Hey Jude\n');
+  fs.writeFileSync(path.join(directory, 'track01.lrc'), '[ar:Sigur Rós]\n[ti:Hoppípolla]\n[00:01.00]...\n');
+  fs.writeFileSync(path.join(directory, 'Untimed - Song.lrc'), '[ar:Untimed]\nJust text\n');
+
+  const lyrics = createLyricsLibrary({ directory: directory, offsetMs: 100 });
+  const find = (name, artists) => lyrics.find({ name, artists });
+
+  // [offset:] and offsetMs both move lines earlier, never before 0
+  assert.deepStrictEqual(await find('Bohemian Rhapsody - Remastered 2011', ['Queen']), {
+    lines: [{ timeMs: 0, text: 'Is this the real life?' }, { timeMs: 9400, text: 'Is this just fantasy?' }],
+    source: 'Queen - Bohemian Rhapsody.lrc'
+  });
+  assert.strictEqual((await find('Bohemian Rapsody', ['Queen'])).source, 'Queen - Bohemian Rhapsody.lrc');
+  assert.strictEqual((await find('Hey Jude', ['Beatles', 'The Beatles'])).source, 'Hey Jude.lrc');
+  assert.strictEqual((await find('Hoppipolla', ['Sigur Ros'])).source, 'track01.lrc');
+
+  assert.strictEqual(await find('Bohemian Rhapsody', ['Panic! at the Disco']), null);
+  assert.strictEqual(await find('Bicycle Race', ['Queen']), null);
+  assert.strictEqual(await find('Song', ['Untimed']), null);
+});
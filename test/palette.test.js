@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildPalette, contrastRatio } = require('../palette');
+
+// Stand-in for the palette node-vibrant returns: { name: swatch } with getRgb/getPopulation
+function vibrantPalette(swatches) {
+  const palette = {};
+  for (const [name, rgb, population] of swatches) {
+    palette[name] = { getRgb: () => rgb, getPopulation: () => population };
+  }
+  return palette;
+}
+
+function average(palette) {
+  return [0, 1, 2].map(index => Math.round(palette.swatches.reduce((sum, swatch) => sum + swatch.rgb[index] * swatch.share, 0)));
+}
+
+function assertReadable(palette) {
+  for (const color of palette.colors) {
+    assert.ok(contrastRatio(palette.text, color) >= 4.5, `text ${palette.text} on ${color}`);
+  }
+  assert.ok(contrastRatio(palette.textSecondary, average(palette)) >= 4.5, `secondary text ${palette.textSecondary}`);
+  assert.ok(contrastRatio(palette.accent, average(palette)) >= 4.5, `accent ${palette.accent}`);
+  assert.ok(palette.contrast.text >= 4.5);
+  assert.ok(palette.contrast.accent >= 4.5);
+}
+
+test('dark text and accent on a light cover', () => {
+  const palette = buildPalette(vibrantPalette([
+    ['Vibrant', [240, 180, 60], 100],
+    ['LightVibrant', [250, 230, 200], 500],
+    ['LightMuted', [215, 215, 205], 300]
+  ]));
+  assert.strictEqual(palette.isLight, true);
+  assert.deepStrictEqual(palette.swatches.map(swatch => swatch.name), ['LightVibrant', 'LightMuted', 'Vibrant']);
+  assert.ok(palette.text.every(channel => channel < 64));
+  assertReadable(palette);
+});
+
+test('light text and accent on a dark cover', () => {
+  const palette = buildPalette(vibrantPalette([
+    ['Vibrant', [200, 40, 60], 50],
+    ['DarkVibrant', [20, 40, 90], 600],
+    ['DarkMuted', [30, 30, 35], 300]
+  ]));
+  assert.strictEqual(palette.isLight, false);
+  assert.ok(palette.text.every(channel => channel > 200));
+  assertReadable(palette);
+});
+
+test('merges near-duplicate swatches towards the more common one', () => {
+  const palette = buildPalette(vibrantPalette([
+    ['Vibrant', [200, 40, 40], 100],
+    ['DarkVibrant', [190, 50, 45], 300],
+    ['DarkMuted', [40, 40, 50], 200]
+  ]));
+  assert.deepStrictEqual(palette.swatches.map(swatch => [swatch.name, swatch.rgb, swatch.population]), [
+    ['Vibrant', [193, 48, 44], 400],
+    ['DarkMuted', [40, 40, 50], 200]
+  ]);
+  assert.deepStrictEqual(palette.swatches.map(swatch => Number(swatch.share.toFixed(3))), [0.667, 0.333]);
+  // Six colors for the gradients, the most common ones repeated
+  assert.deepStrictEqual(palette.colors, [[193, 48, 44], [40, 40, 50], [193, 48, 44], [40, 40, 50], [193, 48, 44], [40, 40, 50]]);
+});
+
+test('falls back to neutral greys when nothing was extracted', () => {
+  const palette = buildPalette({});
+  assert.strictEqual(palette.colors.length, 6);
+  assert.ok(palette.swatches.every(swatch => swatch.name === 'Fallback'));
+  assert.strictEqual(palette.isLight, false);
+  assertReadable(palette);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPollScheduler, DEFAULT_POLLING } = require('../poll-scheduler');
+
+const playing = (progressMs, durationMs) => ({ isPlaying: true, progressMs, durationMs });
+
+test('polls just after the end of a short remainder', () => {
+  const scheduler = createPollScheduler();
+  assert.strictEqual(scheduler.nextDelay(playing(200000, 205000)), 5000 + DEFAULT_POLLING.transitionGraceMs);
+});
+
+test('caps the delay while playing and keeps it above the minimum', () => {
+  const scheduler = createPollScheduler();
+  assert.strictEqual(scheduler.nextDelay(playing(0, 300000)), DEFAULT_POLLING.playingIntervalMs);
+  // Only the grace period is left, which is shorter than the minimum
+  assert.strictEqual(scheduler.nextDelay(playing(300000, 300000)), DEFAULT_POLLING.minIntervalMs);
+  assert.strictEqual(scheduler.nextDelay({ isPlaying: true, progressMs: null, durationMs: null }), DEFAULT_POLLING.playingIntervalMs);
+});
+
+test('backs off while idle up to the maximum', () => {
+  const scheduler = createPollScheduler({ playingIntervalMs: 10000, maxIntervalMs: 50000 });
+  const delays = [null, { isPlaying: false }, null, null, null].map(nowPlaying => scheduler.nextDelay(nowPlaying));
+  assert.deepStrictEqual(delays, [10000, 20000, 40000, 50000, 50000]);
+});
+
+test('treats failed polls like idle ones and starts over once playing', () => {
+  const scheduler = createPollScheduler({ playingIntervalMs: 10000 });
+  assert.strictEqual(scheduler.nextDelay(playing(0, 300000), { failed: true }), 10000);
+  assert.strictEqual(scheduler.nextDelay(null, { failed: true }), 20000);
+  assert.strictEqual(scheduler.nextDelay(playing(0, 300000)), 10000);
+  assert.strictEqual(scheduler.nextDelay(null), 10000);
+});
+
+test('reset forgets the back-off', () => {
+  const scheduler = createPollScheduler({ playingIntervalMs: 10000 });
+  scheduler.nextDelay(null);
+  scheduler.nextDelay(null);
+  scheduler.reset();
+  assert.strictEqual(scheduler.nextDelay(null), 10000);
+});
+
+test('never lets the maximum drop below the minimum', () => {
+  const scheduler = createPollScheduler({ minIntervalMs: 5000, maxIntervalMs: 1000 });
+  assert.strictEqual(scheduler.settings.maxIntervalMs, 5000);
+  assert.strictEqual(scheduler.nextDelay(null), 5000);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSecretStore, migratePlaintextSecrets } = require('../secure-store');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Every test picks its own passphrase and key location
+const savedEnv = { SPOTIFY_WALLPAPER_PASSPHRASE: process.env.SPOTIFY_WALLPAPER_PASSPHRASE, XDG_DATA_HOME: process.env.XDG_DATA_HOME };
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  delete process.env.SPOTIFY_WALLPAPER_PASSPHRASE;
+});
+
+test.afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('keeps the generated key apart from the secrets', (t) => {
+  const dir = tempDir(t);
+  process.env.XDG_DATA_HOME = path.join(dir, 'data');
+  const store = createSecretStore({ directory: path.join(dir, 'config') });
+  store.write('tokens', 'secret value');
+
+  assert.strictEqual(store.read('tokens'), 'secret value');
+  assert.ok(fs.existsSync(path.join(dir, 'data', 'spotify-wallpaper', 'secret.key')));
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'config')), ['tokens.enc']);
+  assert.strictEqual(store.keyNextToSecrets(), false);
+});
+
+test('moves a key file left next to the secrets by earlier versions', (t) => {
+  const dir = tempDir(t);
+  const config = path.join(dir, 'config');
+  process.env.XDG_DATA_HOME = path.join(dir, 'data');
+  const old = createSecretStore({ directory: config, keyFile: path.join(config, 'secret.key'), allowKeyNextToSecrets: true });
+  old.write('tokens', 'secret value');
+  assert.strictEqual(old.keyNextToSecrets(), true);
+
+  const store = createSecretStore({ directory: config });
+  assert.strictEqual(store.read('tokens'), 'secret value');
+  assert.ok(!fs.existsSync(path.join(config, 'secret.key')));
+});
+
+test('refuses a key file next to the secrets unless allowed', (t) => {
+  const dir = tempDir(t);
+  const store = createSecretStore({ directory: dir, keyFile: path.join(dir, 'secret.key') });
+  assert.throws(() => store.write('tokens', 'secret value'), /Refusing to use the key file/);
+
+  process.env.SPOTIFY_WALLPAPER_PASSPHRASE = 'correct horse';
+  store.write('tokens', 'secret value');
+  assert.strictEqual(store.read('tokens'), 'secret value');
+});
+
+test('keeps the newer tokens when migrating a plaintext token file', (t) => {
+  const dir = tempDir(t);
+  process.env.SPOTIFY_WALLPAPER_PASSPHRASE = 'correct horse';
+  const store = createSecretStore({ directory: dir });
+  const tokenFile = path.join(dir, '.spotify-tokens.json');
+  const tokens = expiresAt => JSON.stringify({ access_token: `access-${expiresAt}`, expires_at: expiresAt });
+
+  store.write('tokens', tokens(1000));
+  fs.writeFileSync(tokenFile, tokens(2000));
+  migratePlaintextSecrets(store, { config: {}, tokenFile });
+  assert.strictEqual(store.read('tokens'), tokens(2000));
+  assert.ok(!fs.existsSync(tokenFile));
+
+  fs.writeFileSync(tokenFile, tokens(1500));
+  migratePlaintextSecrets(store, { config: {}, tokenFile });
+  assert.strictEqual(store.read('tokens'), tokens(2000));
+  assert.ok(!fs.existsSync(tokenFile));
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePastedAuthorization } = require('../spotify-auth');
+
+const STATE = 'f3a9c1';
+
+test('takes the code from a pasted redirect URL with the expected state', () => {
+  assert.deepStrictEqual(parsePastedAuthorization(`  https://127.0.0.1:8888/callback?code=AQD123&state=${STATE}\n`, STATE), { code: 'AQD123' });
+});
+
+test('refuses pasted URLs without the expected state', () => {
+  const missing = parsePastedAuthorization('https://127.0.0.1:8888/callback?code=AQD123', STATE);
+  assert.strictEqual(missing.code, null);
+  assert.match(missing.problem, /no "state" parameter/);
+
+  const stale = parsePastedAuthorization('https://127.0.0.1:8888/callback?code=AQD123&state=older', STATE);
+  assert.strictEqual(stale.code, null);
+  assert.match(stale.problem, /older authorization attempt/);
+});
+
+test('accepts a bare code', () => {
+  assert.deepStrictEqual(parsePastedAuthorization('AQD123-_xyz', STATE), { code: 'AQD123-_xyz' });
+  assert.deepStrictEqual(parsePastedAuthorization('   ', STATE), { code: null });
+});
+
+test('reports errors and URLs without a code', () => {
+  assert.deepStrictEqual(parsePastedAuthorization(`https://127.0.0.1:8888/callback?error=access_denied&state=${STATE}`, STATE), { code: null, error: 'access_denied' });
+  assert.match(parsePastedAuthorization(`https://127.0.0.1:8888/callback?state=${STATE}`, STATE).problem, /No "code" parameter/);
+  assert.match(parsePastedAuthorization('https://[broken', STATE).problem, /does not look like a URL/);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSpotifyClient } = require('../spotify-client');
+
+// Stands in for spotify-web-api-node; refresh() answers the refresh grant
+function fakeApi(refresh = async () => ({ body: { access_token: 'new-access', expires_in: 3600 } })) {
+  return {
+    accessToken: 'old-access',
+    refreshToken: 'refresh',
+    refreshes: 0,
+    async refreshAccessToken() {
+      this.refreshes++;
+      return refresh();
+    },
+    getAccessToken() { return this.accessToken; },
+    getRefreshToken() { return this.refreshToken; },
+    setAccessToken(token) { this.accessToken = token; },
+    setRefreshToken(token) { this.refreshToken = token; }
+  };
+}
+
+function httpError(statusCode, extra = {}) {
+  return Object.assign(new Error(`status ${statusCode}`), { statusCode }, extra);
+}
+
+// Fails with the given errors in turn, then answers
+function failing(...errors) {
+  let calls = 0;
+  const fn = async (api) => {
+    calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return { body: { token: api.accessToken } };
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('retries transient errors with backoff', async () => {
+  const client = createSpotifyClient(fakeApi(), { retryBaseMs: 1, retryMaxMs: 2 });
+  const fn = failing(httpError(503), new Error('socket hang up'));
+  const response = await client.call('playback', fn);
+  assert.deepStrictEqual(response.body, { token: 'old-access' });
+  assert.strictEqual(fn.calls(), 3);
+  assert.strictEqual(client.getStats().endpoints.playback.retries, 2);
+  assert.strictEqual(client.getStats().circuit, 'closed');
+});
+
+test('gives up after maxRetries and opens the circuit', async () => {
+  const client = createSpotifyClient(fakeApi(), { retryBaseMs: 1, retryMaxMs: 2, maxRetries: 1, breakerThreshold: 1 });
+  await assert.rejects(client.call('playback', failing(httpError(502), httpError(502))), { statusCode: 502 });
+  assert.strictEqual(client.getStats().circuit, 'open');
+  await assert.rejects(client.call('playback', failing()), { code: 'CIRCUIT_OPEN' });
+});
+
+test('does not retry client errors', async () => {
+  const client = createSpotifyClient(fakeApi(), { retryBaseMs: 1 });
+  const fn = failing(httpError(404));
+  await assert.rejects(client.call('track', fn), { statusCode: 404 });
+  assert.strictEqual(fn.calls(), 1);
+});
+
+test('waits for Retry-After on 429', async () => {
+  const client = createSpotifyClient(fakeApi());
+  const fn = failing(httpError(429, { headers: { 'retry-after': '0' } }));
+  await client.call('playback', fn);
+  assert.strictEqual(fn.calls(), 2);
+});
+
+test('fails fast on long Retry-After', async () => {
+  const client = createSpotifyClient(fakeApi(), { maxRetryAfterMs: 1000 });
+  await assert.rejects(client.call('playback', failing(httpError(429, { headers: { 'retry-after': '60' } }))), { retryAfterMs: 60000 });
+  await assert.rejects(client.call('playback', failing()), { code: 'RATE_LIMITED' });
+});
+
+test('refreshes the token once on 401 and retries', async () => {
+  const api = fakeApi();
+  const saved = [];
+  const client = createSpotifyClient(api, { onTokens: body => saved.push(body) });
+  const response = await client.call('playback', failing(httpError(401)));
+  assert.deepStrictEqual(response.body, { token: 'new-access' });
+  assert.strictEqual(api.refreshes, 1);
+  assert.deepStrictEqual(saved, [{ access_token: 'new-access', expires_in: 3600 }]);
+  assert.ok(client.getStats().tokenExpiresAt > Date.now());
+
+  // A second 401 right after the refresh is passed on
+  await assert.rejects(client.call('playback', failing(httpError(401), httpError(401))), { statusCode: 401 });
+  assert.strictEqual(api.refreshes, 2);
+});
+
+test('refreshes ahead of expiry before calling', async () => {
+  const api = fakeApi(async () => ({ body: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 } }));
+  const client = createSpotifyClient(api, { tokenExpiresAt: Date.now() + 1000 });
+  const response = await client.call('playback', failing());
+  assert.deepStrictEqual(response.body, { token: 'new-access' });
+  assert.strictEqual(api.refreshToken, 'new-refresh');
+});
+
+test('pauses calls once the refresh token is revoked', async () => {
+  const lost = [];
+  const api = fakeApi(async () => {
+    throw Object.assign(new Error('invalid_grant'), { statusCode: 400, body: { error: 'invalid_grant' } });
+  });
+  const client = createSpotifyClient(api, { onAuthorizationLost: error => lost.push(error) });
+  await assert.rejects(client.call('playback', failing(httpError(401))), { statusCode: 401 });
+  assert.strictEqual(lost.length, 1);
+  await assert.rejects(client.call('playback', failing()), { code: 'REAUTH_REQUIRED' });
+  assert.strictEqual(client.getStats().authorizationLost, true);
+
+  client.setTokens({ access_token: 'fresh', refresh_token: 'fresh-refresh', expires_at: Date.now() + 3600000 });
+  const response = await client.call('playback', failing());
+  assert.deepStrictEqual(response.body, { token: 'fresh' });
+});
+
+test('uses the refresh grant passed in the options', async () => {
+  const api = fakeApi();
+  let grants = 0;
+  const client = createSpotifyClient(api, {
+    refreshAccessToken: async () => {
+      grants++;
+      return { body: { access_token: 'pkce-access', refresh_token: 'pkce-refresh', expires_in: 3600 } };
+    }
+  });
+  const response = await client.call('playback', failing(httpError(401)));
+  assert.deepStrictEqual(response.body, { token: 'pkce-access' });
+  assert.strictEqual(grants, 1);
+  assert.strictEqual(api.refreshes, 0);
+  assert.strictEqual(api.refreshToken, 'pkce-refresh');
+});
+
+test('lets a single trial call through once the circuit is half-open', async () => {
+  const client = createSpotifyClient(fakeApi(), { maxRetries: 0, breakerThreshold: 1, breakerOpenMs: 20 });
+  await assert.rejects(client.call('playback', failing(httpError(502))), { statusCode: 502 });
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  let answer;
+  const trial = client.call('playback', () => new Promise((resolve) => { answer = resolve; }));
+  const others = failing();
+  await assert.rejects(client.call('playback', others), { code: 'CIRCUIT_OPEN' });
+  await assert.rejects(client.call('recent', others), { code: 'CIRCUIT_OPEN' });
+  assert.strictEqual(others.calls(), 0);
+  assert.strictEqual(client.getStats().circuit, 'half-open');
+
+  answer({ body: 'ok' });
+  assert.deepStrictEqual(await trial, { body: 'ok' });
+  assert.strictEqual(client.getStats().circuit, 'closed');
+  await client.call('playback', others);
+  assert.strictEqual(others.calls(), 1);
+});
+
+test('opens the circuit for longer when the trial call fails', async () => {
+  const client = createSpotifyClient(fakeApi(), { maxRetries: 0, breakerThreshold: 1, breakerOpenMs: 20 });
+  await assert.rejects(client.call('playback', failing(httpError(502))), { statusCode: 502 });
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  const trial = client.call('playback', failing(httpError(503)));
+  await assert.rejects(client.call('playback', failing()), { code: 'CIRCUIT_OPEN' });
+  await assert.rejects(trial, { statusCode: 503 });
+  const stats = client.getStats();
+  assert.strictEqual(stats.circuit, 'open');
+  assert.strictEqual(stats.circuitTimesOpened, 2);
+  assert.ok(stats.circuitOpenUntil - Date.now() > 20);
+});
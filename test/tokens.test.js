@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tokens = require('../tokens');
+
+const CONTROL_SCOPES = ['user-read-playback-state', 'user-modify-playback-state', 'user-library-read', 'user-library-modify'];
+
+test('asks for the control scopes only when controls are enabled', () => {
+  assert.deepStrictEqual(tokens.requiredScopes({}), tokens.BASE_SCOPES);
+  assert.deepStrictEqual(tokens.requiredScopes({ controls: { enabled: false } }), tokens.BASE_SCOPES);
+  assert.deepStrictEqual(tokens.requiredScopes({ controls: { enabled: true } }), [...tokens.BASE_SCOPES, ...CONTROL_SCOPES]);
+});
+
+test('lists the scopes the stored tokens were not granted', () => {
+  const required = tokens.requiredScopes({ controls: { enabled: true } });
+  const granted = { scope: `  ${tokens.BASE_SCOPES.join(' ')}  user-library-read\n` };
+  assert.deepStrictEqual(tokens.missingScopes(granted, required), ['user-read-playback-state', 'user-modify-playback-state', 'user-library-modify']);
+  assert.deepStrictEqual(tokens.missingScopes({ scope: required.join(' ') }, required), []);
+  // Tokens saved before scopes were tracked have what the app used to ask for
+  assert.deepStrictEqual(tokens.missingScopes({ access_token: 'a', refresh_token: 'r' }, tokens.BASE_SCOPES), []);
+  assert.deepStrictEqual(tokens.missingScopes(null, required), CONTROL_SCOPES);
+  assert.deepStrictEqual(tokens.missingScopes({ scope: '' }, tokens.BASE_SCOPES), tokens.BASE_SCOPES);
+});
+
+test('treats tokens as expiring ahead of time and without a known expiry', (t) => {
+  t.mock.method(Date, 'now', () => 1000000);
+  assert.strictEqual(tokens.isTokenExpiring({ expires_at: 1000001 }), false);
+  assert.strictEqual(tokens.isTokenExpiring({ expires_at: 1000000 }), true);
+  assert.strictEqual(tokens.isTokenExpiring({ expires_at: 1060000 }, 60000), true);
+  assert.strictEqual(tokens.isTokenExpiring({ expires_at: 1060001 }, 60000), false);
+  assert.strictEqual(tokens.isTokenExpiring({ access_token: 'a' }), true);
+  assert.strictEqual(tokens.isTokenExpiring(null), true);
+});
+
+test('builds stored tokens from grant responses', (t) => {
+  t.mock.method(Date, 'now', () => 1000000);
+  const first = tokens.tokensFromGrant({ access_token: 'a1', refresh_token: 'r1', expires_in: 3600, scope: 'one two' });
+  assert.deepStrictEqual(first, { access_token: 'a1', refresh_token: 'r1', expires_at: 1000000 + 3600000, scope: 'one two' });
+  // Refresh responses may leave out the refresh token and scope
+  assert.deepStrictEqual(tokens.tokensFromGrant({ access_token: 'a2' }, first), { access_token: 'a2', refresh_token: 'r1', expires_at: null, scope: 'one two' });
+  assert.strictEqual(tokens.tokensFromGrant({ access_token: 'a3', scope: '' }, first).scope, '');
+});
+
+test('recognizes revoked authorizations', () => {
+  assert.strictEqual(tokens.isAuthorizationRevoked({ body: { error: 'invalid_grant' } }), true);
+  assert.strictEqual(tokens.isAuthorizationRevoked({ body: { error: 'invalid_client' } }), true);
+  assert.strictEqual(tokens.isAuthorizationRevoked({ statusCode: 503, body: { error: 'server_error' } }), false);
+  assert.strictEqual(tokens.isAuthorizationRevoked(new Error('socket hang up')), false);
+  assert.strictEqual(tokens.isAuthorizationRevoked(null), false);
+});
+
+test('keeps tokens in the secret store when one is in use', () => {
+  const secrets = new Map();
+  tokens.useTokenStore({
+    read: name => (secrets.has(name) ? secrets.get(name) : null),
+    write: (name, value) => secrets.set(name, value),
+    remove: name => secrets.delete(name),
+    describe: () => 'the test store'
+  });
+  assert.strictEqual(tokens.describeTokenStorage(), 'the test store');
+  assert.strictEqual(tokens.loadTokens(), null);
+  tokens.saveTokens({ access_token: 'a', refresh_token: 'r', expires_at: 1, scope: 'one' });
+  assert.deepStrictEqual(tokens.loadTokens(), { access_token: 'a', refresh_token: 'r', expires_at: 1, scope: 'one' });
+  tokens.clearTokens();
+  assert.strictEqual(tokens.loadTokens(), null);
+});
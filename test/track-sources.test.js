@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeMprisMetadata } = require('../track-sources');
+
+// dbus-next hands out metadata values wrapped in Variants
+const variant = (signature, value) => ({ signature, value });
+
+test('normalizes MPRIS metadata from dbus-next variants', () => {
+  const track = normalizeMprisMetadata({
+    'mpris:trackid': variant('o', '/com/spotify/track/4uLU6hMCjMI75M1A2tKUQC'),
+    'mpris:length': variant('t', 213000000n),
+    'mpris:artUrl': variant('s', 'https://i.scdn.co/image/ab67616d0000b273'),
+    'xesam:title': variant('s', 'Never Gonna Give You Up'),
+    'xesam:artist': variant('as', ['Rick Astley']),
+    'xesam:album': variant('s', 'Whenever You Need Somebody'),
+    'xesam:url': variant('s', 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')
+  }, 'Playing', 61500000, 'Spotify');
+
+  assert.deepStrictEqual(track, {
+    id: 'com_spotify_track_4uLU6hMCjMI75M1A2tKUQC',
+    uri: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC',
+    name: 'Never Gonna Give You Up',
+    artists: ['Rick Astley'],
+    album: 'Whenever You Need Somebody',
+    albumId: null,
+    artUrl: 'https://i.scdn.co/image/ab67616d0000b273',
+    artPath: null,
+    isPlaying: true,
+    progressMs: 61500,
+    durationMs: 213000,
+    device: 'Spotify'
+  });
+});
+
+test('reads local art from file:// URLs and fills in missing fields', () => {
+  const track = normalizeMprisMetadata({
+    'xesam:url': 'file:///music/Some%20Album/01.flac',
+    'xesam:artist': 'Solo Artist',
+    'mpris:artUrl': 'file:///music/Some%20Album/cover.jpg'
+  }, 'Paused');
+
+  assert.strictEqual(track.id, 'file_music_Some_20Album_01_flac');
+  assert.strictEqual(track.name, 'Unknown title');
+  assert.deepStrictEqual(track.artists, ['Solo Artist']);
+  assert.strictEqual(track.artPath, '/music/Some Album/cover.jpg');
+  assert.strictEqual(track.artUrl, null);
+  assert.strictEqual(track.isPlaying, false);
+  assert.strictEqual(track.progressMs, null);
+  assert.strictEqual(track.durationMs, null);
+  assert.strictEqual(track.device, null);
+});
+
+test('returns null when the player has no track', () => {
+  assert.strictEqual(normalizeMprisMetadata({}, 'Stopped'), null);
+  assert.strictEqual(normalizeMprisMetadata({
+    'mpris:trackid': variant('o', '/org/mpris/MediaPlayer2/TrackList/NoTrack')
+  }, 'Stopped'), null);
+});
@@ -0,0 +1,163 @@
+// Layouts and themes of the display page
+//
+// A layout is the structure of the page, a directory with layout.html (the
+// markup inside <body>) and optionally layout.css. A theme restyles any layout
+// through the CSS variables the layouts use (font, text color, radius, blur,
+// card background) and is a directory with theme.css. Built-in ones live in
+// layouts/<name>/ and themes/<name>/; users can add their own under
+// display.themesDir (default ~/.config/spotify-wallpaper/themes):
+//   <themesDir>/<name>/layout.html, layout.css   usable as display.layout
+//   <themesDir>/<name>/theme.css                 usable as display.theme
+// A user directory with the same name as a built-in one wins. CSS files are
+// linked, not inlined, so relative url()s and @imports resolve next to them.
+//
+// Every layout gets its data through the same contract, applied by
+// display-client.js:
+// - elements with data-field="<name>" get the value as text, e.g. "track",
+//   "artist", "album" or "audioFeatures.tempo"; <img data-field="art"> gets
+//   the album art
+// - CSS variables on :root: --color1 ... --color6, --art-url, --tempo-duration,
+//   --energy, --valence, --danceability, and --palette-text,
+//   --palette-text-secondary, --palette-accent, --palette-text-shadow,
+//   --palette-card and --palette-track with colors that stay readable on the
+//   cover (themes map them onto --text-color, --accent-color and friends)
+// - an 'album-data' event on document with the full data as `detail`, for
+//   layouts with their own <script>
+// The <body> has the classes layout-<name>, theme-<name> and mode-<window|wallpaper|web>.
+// With playback controls enabled the page also has an on-screen overlay
+// (.controls-overlay) that layouts and themes can restyle.
+
+const fs = require('fs');
+const path = require('path');
+const { expandHome } = require('./fs-utils');
+const { defaultStorageDir } = require('./secure-store');
+
+const BUILTIN_LAYOUTS_DIR = path.join(__dirname, 'layouts');
+const BUILTIN_THEMES_DIR = path.join(__dirname, 'themes');
+const PAGE_TEMPLATE = path.join(__dirname, 'electron-renderer.html');
+const CLIENT_SCRIPT = path.join(__dirname, 'display-client.js');
+
+function userThemesDir(themesDir) {
+  return expandHome(themesDir) || path.join(defaultStorageDir(), 'themes');
+}
+
+// Directories with `file`, user ones first
+function candidates(name, file, builtinDir, themesDir) {
+  // Names are directory names, never paths
+  if (typeof name !== 'string' || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    return [];
+  }
+  return [path.join(userThemesDir(themesDir), name), path.join(builtinDir, name)]
+    .filter(dir => fs.existsSync(path.join(dir, file)));
+}
+
+function listNames(file, builtinDir, themesDir) {
+  const names = new Set();
+  for (const root of [userThemesDir(themesDir), builtinDir]) {
+    if (!fs.existsSync(root)) {
+      continue;
+    }
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      if (entry.isDirectory() && fs.existsSync(path.join(root, entry.name, file))) {
+        names.add(entry.name);
+      }
+    }
+  }
+  return [...names].sort();
+}
+
+function listLayouts(themesDir) {
+  return listNames('layout.html', BUILTIN_LAYOUTS_DIR, themesDir);
+}
+
+function listThemes(themesDir) {
+  return listNames('theme.css', BUILTIN_THEMES_DIR, themesDir);
+}
+
+// { name, dir, html, css } or null
+function findLayout(name, themesDir) {
+  const dir = candidates(name, 'layout.html', BUILTIN_LAYOUTS_DIR, themesDir)[0];
+  if (!dir) {
+    return null;
+  }
+  const css = path.join(dir, 'layout.css');
+  return {
+    name: name,
+    dir: dir,
+    html: fs.readFileSync(path.join(dir, 'layout.html'), 'utf8'),
+    css: fs.existsSync(css) ? css : null
+  };
+}
+
+// { name, dir, css } or null
+function findTheme(name, themesDir) {
+  const dir = candidates(name, 'theme.css', BUILTIN_THEMES_DIR, themesDir)[0];
+  return dir ? { name: name, dir: dir, css: path.join(dir, 'theme.css') } : null;
+}
+
+// Directories layout and theme files are served from, in lookup order
+function assetRoots(themesDir) {
+  return [userThemesDir(themesDir), BUILTIN_LAYOUTS_DIR, BUILTIN_THEMES_DIR];
+}
+
+function toFileUrl(file) {
+  const normalized = path.resolve(file).replace(/\\/g, '/');
+  return encodeURI('file://' + (normalized.startsWith('/') ? '' : '/') + normalized);
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// The complete display page for one screen
+// options: { layout, theme, themesDir, scale, mode, urlFor, controls }
+// urlFor maps a local file to the URL the page should load it from;
+// controls are the shortcut and overlay settings, null without controls
+function buildDisplayPage(options = {}, warn = () => {}) {
+  const themesDir = options.themesDir;
+  const urlFor = options.urlFor || toFileUrl;
+
+  let layout = findLayout(options.layout || 'default', themesDir);
+  if (!layout) {
+    warn(`Unknown layout "${options.layout}" (available: ${listLayouts(themesDir).join(', ')}), using "default"`);
+    layout = findLayout('default', themesDir);
+  }
+  let theme = findTheme(options.theme || 'default', themesDir);
+  if (!theme) {
+    warn(`Unknown theme "${options.theme}" (available: ${listThemes(themesDir).join(', ')}), using "default"`);
+    theme = findTheme('default', themesDir);
+  }
+
+  // The default theme supplies every variable, other themes only need to set
+  // what they change; the chosen theme comes last so it can also override
+  // layout rules
+  const defaultTheme = theme.name === 'default' ? null : findTheme('default', themesDir);
+  const styles = [defaultTheme && defaultTheme.css, layout.css, theme.css]
+    .filter(Boolean)
+    .map(css => `<link rel="stylesheet" href="${escapeAttribute(urlFor(css))}">`)
+    .join('\n  ');
+  const bodyClass = [`layout-${layout.name}`, `theme-${theme.name}`, `mode-${options.mode || 'window'}`].join(' ');
+
+  const values = {
+    styles: styles,
+    bodyClass: escapeAttribute(bodyClass),
+    scale: escapeAttribute(Number(options.scale) || 1),
+    layout: layout.html,
+    // Read by display-client.js; < is escaped so the JSON cannot end the <script>
+    config: JSON.stringify({ controls: options.controls || null }).replace(/</g, '\\u003c'),
+    client: `<script src="${escapeAttribute(urlFor(CLIENT_SCRIPT))}"></script>`
+  };
+  return fs.readFileSync(PAGE_TEMPLATE, 'utf8')
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+module.exports = {
+  listLayouts,
+  listThemes,
+  findLayout,
+  findTheme,
+  buildDisplayPage,
+  assetRoots,
+  toFileUrl,
+  CLIENT_SCRIPT
+};
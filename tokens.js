@@ -0,0 +1,136 @@
+// Token storage and lifecycle helpers
+//
+// Tokens are stored as:
+//   {
+//     access_token, refresh_token,
+//     expires_at,   // epoch milliseconds when the access token stops working
+//     scope         // space separated scopes granted by the user
+//   }
+// Files written before expiry/scope tracking only have the two tokens; they are
+// treated as expired (so they get refreshed right away) and as having the scopes
+// this app used to request.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./fs-utils');
+
+const TOKEN_FILE = path.join(__dirname, '.spotify-tokens.json');
+
+// Scopes every configuration needs
+const BASE_SCOPES = ['user-read-recently-played', 'user-read-currently-playing'];
+
+// Extra scopes per optional feature, requested only when the feature is enabled
+const FEATURE_SCOPES = {
+  controls: ['user-read-playback-state', 'user-modify-playback-state', 'user-library-read', 'user-library-modify']
+};
+
+// Secret store from secure-store.js, or null for the plaintext TOKEN_FILE
+let tokenStore = null;
+
+function useTokenStore(store) {
+  tokenStore = store;
+}
+
+// Where tokens are kept, for log messages
+function describeTokenStorage() {
+  return tokenStore ? tokenStore.describe() : TOKEN_FILE;
+}
+
+// Load tokens
+function loadTokens() {
+  if (tokenStore) {
+    const stored = tokenStore.read('tokens');
+    return stored ? JSON.parse(stored) : null;
+  }
+  if (fs.existsSync(TOKEN_FILE)) {
+    return JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
+  }
+  return null;
+}
+
+// Save tokens (atomically, see writeFileAtomic)
+function saveTokens(tokens) {
+  if (tokenStore) {
+    tokenStore.write('tokens', JSON.stringify(tokens));
+    return;
+  }
+  writeFileAtomic(TOKEN_FILE, JSON.stringify(tokens, null, 2), 0o600);
+}
+
+// Forget the saved tokens (the `logout` command)
+function clearTokens() {
+  if (tokenStore) {
+    tokenStore.remove('tokens');
+    return;
+  }
+  fs.rmSync(TOKEN_FILE, { force: true });
+}
+
+// Build the stored token object from a token endpoint response body
+// (authorization code grant or refresh); previous values fill the gaps because
+// refresh responses may omit the refresh token and scope
+function tokensFromGrant(body, previous = {}) {
+  return {
+    access_token: body.access_token,
+    refresh_token: body.refresh_token || previous.refresh_token,
+    expires_at: body.expires_in ? Date.now() + body.expires_in * 1000 : null,
+    scope: body.scope !== undefined ? body.scope : previous.scope
+  };
+}
+
+// Scopes needed for the features enabled in config
+function requiredScopes(config) {
+  const scopes = [...BASE_SCOPES];
+  for (const [feature, featureScopes] of Object.entries(FEATURE_SCOPES)) {
+    if (config[feature] && config[feature].enabled) {
+      scopes.push(...featureScopes);
+    }
+  }
+  return [...new Set(scopes)];
+}
+
+function grantedScopes(tokens) {
+  if (!tokens || typeof tokens.scope !== 'string') {
+    return BASE_SCOPES;
+  }
+  return tokens.scope.split(/\s+/).filter(Boolean);
+}
+
+// Scopes in `scopes` the stored tokens were not granted
+function missingScopes(tokens, scopes) {
+  const granted = new Set(grantedScopes(tokens));
+  return scopes.filter(scope => !granted.has(scope));
+}
+
+// Whether the access token expires within `aheadMs` (unknown expiry counts as expired)
+function isTokenExpiring(tokens, aheadMs = 0) {
+  if (!tokens || !tokens.expires_at) {
+    return true;
+  }
+  return Date.now() >= tokens.expires_at - aheadMs;
+}
+
+// The refresh token was revoked or is otherwise unusable; only a new
+// authorization helps, retrying the refresh never will
+function isAuthorizationRevoked(error) {
+  if (!error || !error.body) {
+    return false;
+  }
+  return error.body.error === 'invalid_grant' || error.body.error === 'invalid_client';
+}
+
+module.exports = {
+  TOKEN_FILE,
+  BASE_SCOPES,
+  useTokenStore,
+  describeTokenStorage,
+  loadTokens,
+  saveTokens,
+  clearTokens,
+  tokensFromGrant,
+  requiredScopes,
+  grantedScopes,
+  missingScopes,
+  isTokenExpiring,
+  isAuthorizationRevoked
+};
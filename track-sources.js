@@ -0,0 +1,304 @@
+// Track sources
+//
+// A track source answers "what is playing right now?" for the poller. Every
+// source returns tracks in the same normalized shape so fetchAndDisplay does
+// not need to know where the data came from:
+//
+//   {
+//     id, uri, name, artists: [String], album, albumId,
+//     artUrl,     // remote image URL (downloaded by the poller), or null
+//     artPath,    // local image file that can be used as-is, or null
+//     isPlaying, progressMs, durationMs, device
+//   }
+//
+// Sources implement:
+//   getCurrentTrack()        -> normalized track or null when nothing is playing
+//   getRecentTracks(limit)   -> array of normalized tracks (may be empty)
+//   getAudioFeatures(track)  -> Spotify audio features object or null
+//   close()                  -> release any connections
+// and optionally (Spotify only, used to pin a track or album on screen):
+//   getTrack(id)             -> normalized track
+//   getAlbum(id)             -> the album in the normalized track shape
+
+const { fileURLToPath } = require('url');
+
+const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const MPRIS_PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player';
+
+// Convert a Spotify Web API track (or episode) into the normalized shape
+function normalizeSpotifyTrack(item, playback = {}) {
+  // Podcast episodes carry their artwork on the show instead of an album
+  const album = item.album || item.show || {};
+  const images = album.images || item.images || [];
+  const artists = item.artists
+    ? item.artists.map(a => a.name)
+    : (item.show && item.show.publisher ? [item.show.publisher] : []);
+
+  return {
+    id: item.id,
+    uri: item.uri || null,
+    name: item.name,
+    artists: artists,
+    album: album.name || '',
+    albumId: album.id || null,
+    artUrl: images[0]?.url || images[images.length - 1]?.url || null,
+    artPath: null,
+    isPlaying: !!playback.is_playing,
+    progressMs: typeof playback.progress_ms === 'number' ? playback.progress_ms : null,
+    durationMs: typeof item.duration_ms === 'number' ? item.duration_ms : null,
+    device: playback.device ? playback.device.name : null
+  };
+}
+
+// An album in the normalized track shape (the album stands in for the track)
+function normalizeSpotifyAlbum(album) {
+  const images = album.images || [];
+  return {
+    id: album.id,
+    uri: album.uri || null,
+    name: album.name,
+    artists: (album.artists || []).map(artist => artist.name),
+    album: album.name || '',
+    albumId: album.id || null,
+    artUrl: images[0]?.url || null,
+    artPath: null,
+    isPlaying: false,
+    progressMs: null,
+    durationMs: null,
+    device: null
+  };
+}
+
+// Spotify Web API source (the original behaviour)
+// All calls go through the central client (see spotify-client.js), which
+// handles token refresh, rate limits and retries.
+function createSpotifySource(spotifyClient) {
+  return {
+    name: 'spotify',
+
+    async getCurrentTrack() {
+      const response = await spotifyClient.call('currently-playing', api => api.getMyCurrentPlayingTrack({ additional_types: 'track,episode' }));
+      if (!response.body || !response.body.item) {
+        return null;
+      }
+      return normalizeSpotifyTrack(response.body.item, response.body);
+    },
+
+    async getRecentTracks(limit = 1) {
+      const response = await spotifyClient.call('recently-played', api => api.getMyRecentlyPlayedTracks({ limit: limit }));
+      if (!response.body.items) {
+        return [];
+      }
+      return response.body.items.map(entry => normalizeSpotifyTrack(entry.track));
+    },
+
+    async getAudioFeatures(track) {
+      if (!track || !track.id) {
+        return null;
+      }
+      const features = await spotifyClient.call('audio-features', api => api.getAudioFeaturesForTrack(track.id));
+      if (features.body && features.body.tempo !== null && features.body.tempo !== undefined) {
+        return features.body;
+      }
+      return null;
+    },
+
+    async getTrack(id) {
+      const response = await spotifyClient.call('track', api => api.getTrack(id));
+      return normalizeSpotifyTrack(response.body);
+    },
+
+    async getAlbum(id) {
+      const response = await spotifyClient.call('album', api => api.getAlbum(id));
+      return normalizeSpotifyAlbum(response.body);
+    },
+
+    close() {}
+  };
+}
+
+// Unwrap a dbus-next Variant (or plain value) and turn 64-bit integers into numbers
+function variantValue(value) {
+  if (value && typeof value === 'object' && 'signature' in value && 'value' in value) {
+    value = value.value;
+  }
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+  return value;
+}
+
+// Convert MPRIS metadata (xesam:* / mpris:* keys) into the normalized shape
+function normalizeMprisMetadata(metadata, playbackStatus, positionUs, identity) {
+  const get = (key) => variantValue(metadata[key]);
+
+  const trackId = get('mpris:trackid') || get('xesam:url');
+  if (!trackId || trackId === '/org/mpris/MediaPlayer2/TrackList/NoTrack') {
+    return null;
+  }
+
+  const artUrl = get('mpris:artUrl') || null;
+  let artPath = null;
+  let remoteArtUrl = null;
+  if (artUrl) {
+    if (artUrl.startsWith('file://')) {
+      try {
+        artPath = fileURLToPath(artUrl);
+      } catch (e) {
+        artPath = null;
+      }
+    } else if (artUrl.startsWith('http://') || artUrl.startsWith('https://')) {
+      remoteArtUrl = artUrl;
+    }
+  }
+
+  const artists = get('xesam:artist');
+  const lengthUs = get('mpris:length');
+
+  return {
+    // Object paths like /com/spotify/track/<id> make awkward file names
+    id: String(trackId).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+/, ''),
+    uri: get('xesam:url') || null,
+    name: get('xesam:title') || 'Unknown title',
+    artists: Array.isArray(artists) ? artists : (artists ? [artists] : []),
+    album: get('xesam:album') || '',
+    albumId: null,
+    artUrl: remoteArtUrl,
+    artPath: artPath,
+    isPlaying: playbackStatus === 'Playing',
+    progressMs: typeof positionUs === 'number' ? Math.round(positionUs / 1000) : null,
+    durationMs: typeof lengthUs === 'number' ? Math.round(lengthUs / 1000) : null,
+    device: identity || null
+  };
+}
+
+// Linux MPRIS source, reads org.mpris.MediaPlayer2.* players on the session bus
+// options.player    - bus name suffix to use (e.g. "spotify", "vlc"); when omitted
+//                     the first playing player wins, then the first one found
+// options.busAddress - D-Bus address to connect to instead of the session bus
+//                     (useful for pointing at a stand-in bus)
+function createMprisSource(options = {}) {
+  // Loaded lazily so the Spotify source works on machines without dbus-next
+  const dbus = require('dbus-next');
+  let bus = null;
+
+  function getBus() {
+    if (!bus) {
+      bus = dbus.sessionBus(options.busAddress ? { busAddress: options.busAddress } : {});
+      bus.on('error', (error) => {
+        console.error(`[${new Date().toLocaleTimeString()}] D-Bus connection error:`, error.message);
+        bus = null;
+      });
+    }
+    return bus;
+  }
+
+  async function listPlayers() {
+    const obj = await getBus().getProxyObject('org.freedesktop.DBus', '/org/freedesktop/DBus');
+    const names = await obj.getInterface('org.freedesktop.DBus').ListNames();
+    return names.filter(name => name.startsWith(MPRIS_PREFIX));
+  }
+
+  async function readPlayer(busName) {
+    const obj = await getBus().getProxyObject(busName, MPRIS_PATH);
+    const props = obj.getInterface('org.freedesktop.DBus.Properties');
+    const player = await props.GetAll(MPRIS_PLAYER_INTERFACE);
+    let identity = busName.slice(MPRIS_PREFIX.length);
+    try {
+      identity = variantValue(await props.Get('org.mpris.MediaPlayer2', 'Identity')) || identity;
+    } catch (e) {
+      // Identity is optional
+    }
+    return {
+      metadata: variantValue(player.Metadata) || {},
+      playbackStatus: variantValue(player.PlaybackStatus),
+      position: variantValue(player.Position),
+      identity: identity
+    };
+  }
+
+  async function findPlayer() {
+    const players = await listPlayers();
+    if (options.player) {
+      const wanted = MPRIS_PREFIX + options.player;
+      // Players may register as e.g. org.mpris.MediaPlayer2.vlc.instance1234
+      const match = players.find(name => name === wanted || name.startsWith(wanted + '.'));
+      return match ? readPlayer(match) : null;
+    }
+
+    let fallback = null;
+    for (const name of players) {
+      try {
+        const state = await readPlayer(name);
+        if (state.playbackStatus === 'Playing') {
+          return state;
+        }
+        if (!fallback) {
+          fallback = state;
+        }
+      } catch (e) {
+        // Skip players that disappear while we are looking at them
+      }
+    }
+    return fallback;
+  }
+
+  return {
+    name: 'mpris',
+
+    async getCurrentTrack() {
+      const state = await findPlayer();
+      if (!state || state.playbackStatus === 'Stopped') {
+        return null;
+      }
+      return normalizeMprisMetadata(state.metadata, state.playbackStatus, state.position, state.identity);
+    },
+
+    // MPRIS has no history, the poller keeps showing the last track instead
+    async getRecentTracks() {
+      return [];
+    },
+
+    async getAudioFeatures() {
+      return null;
+    },
+
+    close() {
+      if (bus) {
+        bus.disconnect();
+        bus = null;
+      }
+    }
+  };
+}
+
+// Create the source selected by config.source ("spotify" by default)
+function createTrackSource(config, { spotifyClient } = {}) {
+  const sourceName = config.source || 'spotify';
+  switch (sourceName) {
+    case 'spotify':
+      if (!spotifyClient) {
+        throw new Error('The spotify track source needs an authenticated Spotify API client');
+      }
+      return createSpotifySource(spotifyClient);
+    case 'mpris':
+      return createMprisSource(config.mpris || {});
+    default:
+      throw new Error(`Unknown track source "${sourceName}" (expected "spotify" or "mpris")`);
+  }
+}
+
+// Whether the configuration needs Spotify Web API credentials; playback
+// controls always go through the Web API, whatever the source
+function sourceNeedsSpotifyApi(config) {
+  return (config.source || 'spotify') === 'spotify' || !!(config.controls && config.controls.enabled);
+}
+
+module.exports = {
+  createTrackSource,
+  sourceNeedsSpotifyApi,
+  normalizeSpotifyTrack,
+  normalizeSpotifyAlbum,
+  normalizeMprisMetadata
+};
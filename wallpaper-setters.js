@@ -0,0 +1,231 @@
+// Apply rendered PNGs as the desktop wallpaper
+//
+// In wallpaper mode (display.mode "wallpaper") the display renders one PNG per
+// screen offscreen and reports the files; a setter backend then hands them to
+// the desktop. Configured under `wallpaper` in .spotify-config.json:
+//   {
+//     "setter": "auto",                 // auto, gsettings, feh, swaybg, xwallpaper, custom or none
+//     "command": "my-setter {file}"     // custom only
+//   }
+// Each file is { file, displayId, label, output, primary, width, height };
+// `output` is the connector name from the screen entry (e.g. "HDMI-1") and is
+// needed by swaybg/xwallpaper to give every screen its own image.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { execFile, spawn } = require('child_process');
+
+const SETTERS = ['gsettings', 'feh', 'swaybg', 'xwallpaper', 'custom', 'none'];
+// A setter that takes longer is stopped, so it cannot hold up later updates
+const SETTER_TIMEOUT_MS = 15000;
+
+function commandExists(command) {
+  return (process.env.PATH || '').split(path.delimiter).some(dir => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Pick a setter for the running desktop
+function detectSetter() {
+  if (process.env.WAYLAND_DISPLAY && commandExists('swaybg') && !/gnome/i.test(process.env.XDG_CURRENT_DESKTOP || '')) {
+    return 'swaybg';
+  }
+  if (/gnome|unity|budgie/i.test(process.env.XDG_CURRENT_DESKTOP || '') && commandExists('gsettings')) {
+    return 'gsettings';
+  }
+  for (const command of ['feh', 'xwallpaper']) {
+    if (commandExists(command)) {
+      return command;
+    }
+  }
+  return null;
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: SETTER_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${(stderr || error.message).toString().trim()}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function runShell(command) {
+  return new Promise((resolve, reject) => {
+    // Own process group, so a timeout also stops whatever the command started
+    const child = spawn('/bin/sh', ['-c', command], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      detached: true
+    });
+    let stderr = '';
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }, SETTER_TIMEOUT_MS);
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Wallpaper command ${signal ? `was stopped after ${SETTER_TIMEOUT_MS}ms` : `exited with code ${code}`}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+// The image for setters that can only show one picture
+function primaryFile(files) {
+  return files.find(f => f.primary) || files[0];
+}
+
+function createWallpaperSetter(options = {}) {
+  let name = options.setter || 'auto';
+  if (name === 'auto') {
+    name = detectSetter();
+    if (!name) {
+      throw new Error('No wallpaper setter found (install feh, xwallpaper or swaybg, or set wallpaper.setter)');
+    }
+  }
+  if (!SETTERS.includes(name)) {
+    throw new Error(`Unknown wallpaper setter "${name}" (expected "auto" or one of ${SETTERS.join(', ')})`);
+  }
+  if (name === 'custom' && !options.command) {
+    throw new Error('wallpaper.setter "custom" needs wallpaper.command');
+  }
+
+  // swaybg keeps running to show the image; replaced on every change
+  let swaybg = null;
+
+  function warnIfUnassigned(files) {
+    if (files.length > 1 && files.some(f => !f.output)) {
+      console.warn(`[${new Date().toLocaleTimeString()}] ${name} needs "output" on each screen entry to set per-screen wallpapers, using one image for all screens`);
+      return true;
+    }
+    return false;
+  }
+
+  const backends = {
+    async gsettings(files) {
+      if (files.length > 1) {
+        console.warn(`[${new Date().toLocaleTimeString()}] gsettings sets one wallpaper for all screens, using the one rendered for the primary screen`);
+      }
+      // Escapes spaces, # and non-ASCII characters, which a bare file:// prefix would not
+      const uri = pathToFileURL(primaryFile(files).file).href;
+      await run('gsettings', ['set', 'org.gnome.desktop.background', 'picture-options', 'zoom']);
+      await run('gsettings', ['set', 'org.gnome.desktop.background', 'picture-uri', uri]);
+      // GNOME 42+ keeps a separate wallpaper for the dark style
+      await run('gsettings', ['set', 'org.gnome.desktop.background', 'picture-uri-dark', uri]).catch(() => {});
+    },
+
+    async feh(files) {
+      // feh assigns the images to the Xinerama screens in order
+      await run('feh', ['--no-fehbg', '--bg-fill', ...files.map(f => f.file)]);
+    },
+
+    async xwallpaper(files) {
+      if (warnIfUnassigned(files)) {
+        await run('xwallpaper', ['--zoom', primaryFile(files).file]);
+        return;
+      }
+      const args = [];
+      for (const f of files) {
+        if (f.output) {
+          args.push('--output', f.output);
+        }
+        args.push('--zoom', f.file);
+      }
+      await run('xwallpaper', args);
+    },
+
+    async swaybg(files) {
+      const args = [];
+      if (warnIfUnassigned(files) || !files[0].output) {
+        args.push('-o', '*', '-i', primaryFile(files).file, '-m', 'fill');
+      } else {
+        for (const f of files) {
+          args.push('-o', f.output, '-i', f.file, '-m', 'fill');
+        }
+      }
+      const previous = swaybg;
+      swaybg = spawn('swaybg', args, { stdio: 'ignore' });
+      swaybg.on('error', (error) => {
+        console.error(`[${new Date().toLocaleTimeString()}] Could not run swaybg:`, error.message);
+      });
+      // Stop the old instance once the new one had time to draw, avoids a flash
+      if (previous) {
+        setTimeout(() => previous.kill(), 1000);
+      }
+    },
+
+    async custom(files) {
+      for (const f of files) {
+        const command = options.command
+          .replace(/\{file\}/g, shellQuote(f.file))
+          .replace(/\{output\}/g, shellQuote(f.output || ''))
+          .replace(/\{display\}/g, shellQuote(f.displayId))
+          .replace(/\{width\}/g, String(f.width))
+          .replace(/\{height\}/g, String(f.height));
+        await runShell(command);
+      }
+    },
+
+    async none() {
+      // Only render the PNGs (e.g. under Xvfb, or for another tool to pick up)
+    }
+  };
+
+  // Never rejects; a failed setter should not stop the poller
+  async function apply(files) {
+    if (!files || files.length === 0) {
+      return;
+    }
+    try {
+      await backends[name](files);
+      console.log(`[${new Date().toLocaleTimeString()}] Wallpaper set with ${name}: ${files.map(f => path.basename(f.file)).join(', ')}`);
+    } catch (error) {
+      console.error(`[${new Date().toLocaleTimeString()}] Could not set wallpaper:`, error.message);
+    }
+  }
+
+  function close() {
+    if (swaybg) {
+      swaybg.kill();
+      swaybg = null;
+    }
+  }
+
+  return {
+    name,
+    apply,
+    close
+  };
+}
+
+module.exports = {
+  SETTERS,
+  createWallpaperSetter,
+  detectSetter
+};
@@ -0,0 +1,319 @@
+// Web display: the display page for browsers on other machines (tablets, TVs)
+//
+// Serves the same layouts and themes as the Electron display and pushes every
+// state and playback update to the open pages over Server-Sent Events.
+// Configured under `web` in .spotify-config.json:
+//   {
+//     "enabled": true,
+//     "host": "0.0.0.0",
+//     "port": 8766,
+//     "layout": "default",     // defaults to display.layout / display.theme
+//     "theme": "default",
+//     "scale": 1,
+//     "token": "...",          // or $SPOTIFY_WALLPAPER_WEB_TOKEN; required unless host is loopback
+//     "controls": false        // let the pages use the playback controls too
+//   }
+// With display.mode "web" no Electron window is opened at all.
+//
+// Routes:
+//   GET /                 the display page (?layout=, ?theme= and ?scale= override the config)
+//   GET /events           SSE stream: 'state' with the display state, 'playback' with positions
+//   GET /art/<state id>   album art of a recent state
+//   GET /assets/...       layout and theme CSS (user themes first, like theme-loader.js)
+//   GET /display-client.js
+//   POST /control         { action, value } from the page's shortcuts and overlay
+//                         (with web.controls and controls.enabled only)
+// States are sent with an `imageUrl` instead of the local `imagePath`. With a
+// token the page is opened as /?token=<token>, which sets a cookie for the
+// other requests (EventSource cannot send headers).
+
+const path = require('path');
+const express = require('express');
+const { isLoopback, tokenMatches } = require('./http-auth');
+const { buildDisplayPage, assetRoots, CLIENT_SCRIPT } = require('./theme-loader');
+const { playbackAt } = require('./display-protocol');
+
+const DEFAULT_WEB = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8766,
+  layout: null,
+  theme: null,
+  scale: 1,
+  token: null,
+  controls: false,
+  heartbeatMs: 25000
+};
+
+const TOKEN_ENV = 'SPOTIFY_WALLPAPER_WEB_TOKEN';
+const TOKEN_COOKIE = 'display_token';
+// Art of this many recent states stays available, for pages that are a bit behind
+const RECENT_ART = 4;
+
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+// options: the `web` settings; displayConfig for the layout, theme and themesDir defaults
+// deps.controls - shortcut and overlay settings (playback-controls.js pageSettings), or null
+// deps.onControl(action, value) - called for each control request
+function createWebDisplay(options = {}, displayConfig = {}, deps = {}) {
+  const settings = { ...DEFAULT_WEB, ...options };
+  // Anyone who can open the page could skip tracks, so this is opt-in per web display
+  const controls = settings.controls && deps.controls ? deps.controls : null;
+  const token = settings.token || process.env[TOKEN_ENV] || null;
+  const themesDir = displayConfig.themesDir;
+  const roots = assetRoots(themesDir);
+
+  let server = null;
+  let currentState = null;
+  let currentPlayback = null; // { data, at } - latest playback state and when it was reported
+  let currentControls = null; // latest control status
+  let nextId = 1;
+  const art = new Map();      // state id -> image path, the most recent RECENT_ART states
+  const clients = new Set();
+  let heartbeatTimer = null;
+
+  function playbackNow() {
+    return currentPlayback ? playbackAt(currentPlayback.data, Date.now() - currentPlayback.at) : null;
+  }
+
+  // Local paths stay on this machine; pages load the art from /art/<id>
+  function publicState() {
+    const { imagePath, ...state } = currentState;
+    return {
+      ...state,
+      imageUrl: imagePath ? `art/${state.id}` : '',
+      playback: playbackNow()
+    };
+  }
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcast(event, data) {
+    for (const res of clients) {
+      send(res, event, data);
+    }
+  }
+
+  // Maps the files the page links to onto the routes below
+  function urlFor(file) {
+    if (file === CLIENT_SCRIPT) {
+      return 'display-client.js';
+    }
+    for (const root of roots) {
+      const relative = path.relative(root, file);
+      if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return 'assets/' + relative.split(path.sep).map(encodeURIComponent).join('/');
+      }
+    }
+    throw new Error(`${file} is not inside a layout or theme directory`);
+  }
+
+  const app = express();
+  app.disable('x-powered-by');
+
+  if (token) {
+    app.use((req, res, next) => {
+      if (tokenMatches(req.query.token, token)) {
+        res.cookie(TOKEN_COOKIE, token, { httpOnly: true, sameSite: 'strict' });
+        next();
+        return;
+      }
+      if (tokenMatches(readCookie(req.get('cookie'), TOKEN_COOKIE), token)) {
+        next();
+        return;
+      }
+      res.status(401).type('text').send('Open the display with ?token=<token>');
+    });
+  }
+
+  app.get('/', (req, res) => {
+    res.type('html').send(buildDisplayPage({
+      layout: req.query.layout || settings.layout || displayConfig.layout,
+      theme: req.query.theme || settings.theme || displayConfig.theme,
+      themesDir: themesDir,
+      scale: req.query.scale || settings.scale,
+      mode: 'web',
+      urlFor: urlFor,
+      controls: controls && { ...controls, globalShortcuts: {} }
+    }, (message) => {
+      console.warn(`[${new Date().toLocaleTimeString()}] Web display: ${message}`);
+    }));
+  });
+
+  app.get('/display-client.js', (req, res) => {
+    res.sendFile(CLIENT_SCRIPT);
+  });
+
+  // Same lookup order as theme-loader.js, so relative @imports between layouts work
+  for (const root of roots) {
+    app.use('/assets', express.static(root, { index: false }));
+  }
+
+  if (controls) {
+    app.post('/control', express.json(), (req, res) => {
+      const body = req.body || {};
+      if (typeof body.action !== 'string') {
+        res.status(400).json({ error: '"action" is required' });
+        return;
+      }
+      deps.onControl(body.action, body.value);
+      // The result is pushed to every page as a 'controls' event
+      res.status(202).end();
+    });
+  }
+
+  app.get('/art/:id', (req, res) => {
+    const imagePath = art.get(Number(req.params.id));
+    if (!imagePath) {
+      res.status(404).type('text').send('No such art');
+      return;
+    }
+    // The art of a state never changes
+    res.sendFile(imagePath, { maxAge: '1h' });
+  });
+
+  app.get('/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Reconnecting pages get the current state right away
+    res.write(`retry: 3000\n\n`);
+    if (currentState) {
+      send(res, 'state', publicState());
+    }
+    if (currentControls && controls) {
+      send(res, 'controls', currentControls);
+    }
+    clients.add(res);
+    req.on('close', () => {
+      clients.delete(res);
+    });
+  });
+
+  function update(state) {
+    currentState = { ...state, id: nextId++ };
+    currentPlayback = state.playback ? { data: state.playback, at: Date.now() } : null;
+    if (state.imagePath) {
+      art.set(currentState.id, state.imagePath);
+      for (const id of art.keys()) {
+        if (art.size <= RECENT_ART) {
+          break;
+        }
+        art.delete(id);
+      }
+    }
+    broadcast('state', publicState());
+  }
+
+  function updatePlayback(playback) {
+    currentPlayback = { data: playback, at: Date.now() };
+    broadcast('playback', playback);
+  }
+
+  function updateControls(status) {
+    currentControls = status;
+    if (controls) {
+      broadcast('controls', status);
+    }
+  }
+
+  function start() {
+    // Same rule as the HTTP API: the page, its events and controls are not for the whole network
+    if (!isLoopback(settings.host) && !token) {
+      return Promise.reject(new Error(`Refusing to serve the web display on ${settings.host} without a token (set web.token or $${TOKEN_ENV})`));
+    }
+    return new Promise((resolve, reject) => {
+      server = app.listen(settings.port, settings.host);
+      server.once('listening', () => {
+        const address = server.address();
+        console.log(`[${new Date().toLocaleTimeString()}] Web display on http://${settings.host}:${address.port}/${token ? '?token=<token>' : ''}`);
+        // Comments keep proxies and idle browsers from dropping the streams
+        heartbeatTimer = setInterval(() => {
+          for (const res of clients) {
+            res.write(': ping\n\n');
+          }
+        }, settings.heartbeatMs);
+        resolve(address);
+      });
+      server.once('error', (error) => {
+        server = null;
+        reject(error);
+      });
+    });
+  }
+
+  function stop() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    for (const res of clients) {
+      res.end();
+    }
+    clients.clear();
+    if (server) {
+      server.close();
+      server = null;
+    }
+  }
+
+  function getHealth() {
+    return { running: !!server, clients: clients.size };
+  }
+
+  return {
+    settings,
+    start,
+    update,
+    updatePlayback,
+    updateControls,
+    stop,
+    describeHealth: () => `Web display: ${server ? 'serving' : 'stopped'}, ${clients.size} page(s) connected`,
+    getHealth,
+    isRunning: () => !!server,
+    isConnected: () => clients.size > 0,
+    getState: () => currentState,
+    getPlayback: playbackNow
+  };
+}
+
+// Feed a second display (the web display) from the same updates as the main one
+function mirrorDisplay(display, mirror) {
+  return {
+    ...display,
+    update(state) {
+      display.update(state);
+      mirror.update(state);
+    },
+    updatePlayback(playback) {
+      display.updatePlayback(playback);
+      mirror.updatePlayback(playback);
+    },
+    updateControls(status) {
+      display.updateControls(status);
+      mirror.updateControls(status);
+    },
+    stop() {
+      display.stop();
+      mirror.stop();
+    },
+    describeHealth: () => `${display.describeHealth()}\n[${new Date().toLocaleTimeString()}] ${mirror.describeHealth()}`
+  };
+}
+
+module.exports = {
+  createWebDisplay,
+  mirrorDisplay,
+  DEFAULT_WEB
+};